@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { calculateHierarchyScores, calculateRootScore, calculateRootCompletion, formatPercentage, readPercentage, WEIGHT_MODES, PERCENT_UNITS } from '../src/lib/scoring.js';
+import { parseDelimited, processRawData, parseSurveyJson, toSurveyJson, toScoredCsv, toScoredTsv, toScoredXlsx, defaultSettings } from '../src/lib/survey.js';
+import { validateSiblingWeights, describeWeightIssue } from '../src/lib/weights.js';
+import { validateStructure, hasErrors } from '../src/lib/validation.js';
+
+// --- Command-line Scorer ---
+// Reads survey CSV/TSV files or saved maturity_survey.json documents, rolls
+// up parent scores and writes one scored file per input.
+
+const usage = `Usage: score [options] <file...>
+
+Options:
+  -f, --format <fmt>       Output format: csv, tsv, json or xlsx
+                           (default: same as input)
+  -o, --out-dir <dir>      Directory for scored files (default: next to input)
+  -w, --weights <mode>     Sibling weight handling: raw or normalize
+                           (default: the file's saved setting, else raw)
+  -u, --units <unit>       How bare weight/score numbers in CSV/TSV input are
+                           read: auto, percent or fraction (default: auto,
+                           values above 1 are percent)
+      --decimal-comma      CSV/TSV numbers use a decimal comma (12,5%)
+      --stdout             Print the scored document instead of writing files
+      --fail-under <pct>   Exit with status 2 if any overall score is below pct
+      --strict             Treat structural errors (orphans, duplicate or
+                           malformed CIDs) and unreadable numbers as failures
+                           instead of warnings
+  -h, --help               Show this help`;
+
+const { values: options, positionals: files } = parseArgs({
+  allowPositionals: true,
+  options: {
+    format: { type: 'string', short: 'f' },
+    'out-dir': { type: 'string', short: 'o' },
+    weights: { type: 'string', short: 'w' },
+    units: { type: 'string', short: 'u' },
+    'decimal-comma': { type: 'boolean' },
+    stdout: { type: 'boolean' },
+    'fail-under': { type: 'string' },
+    strict: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' },
+  },
+});
+
+if (options.help || files.length === 0) {
+  console.log(usage);
+  process.exit(options.help ? 0 : 1);
+}
+
+const FORMATS = ['csv', 'tsv', 'json', 'xlsx'];
+
+if (options.format && !FORMATS.includes(options.format)) {
+  console.error(`Unknown format "${options.format}"`);
+  process.exit(1);
+}
+
+if (options.weights && !WEIGHT_MODES.includes(options.weights)) {
+  console.error(`Unknown weight mode "${options.weights}"`);
+  process.exit(1);
+}
+
+if (options.units && !PERCENT_UNITS.includes(options.units)) {
+  console.error(`Unknown units "${options.units}"`);
+  process.exit(1);
+}
+
+// "60" and "60%" both mean 60%.
+const failUnder = options['fail-under'] !== undefined ? readPercentage(options['fail-under'], { unit: 'percent' }) : null;
+if (failUnder !== null && !(failUnder >= 0 && failUnder <= 1)) {
+  console.error(`--fail-under takes a percentage from 0 to 100, not "${options['fail-under']}"`);
+  console.error(usage);
+  process.exit(1);
+}
+
+const loadSurvey = async (file) => {
+  const text = await readFile(file, 'utf8');
+  const overrides = options.weights ? { weightMode: options.weights } : {};
+  if (path.extname(file).toLowerCase() === '.json') {
+    const survey = parseSurveyJson(JSON.parse(text));
+    const settings = { ...survey.settings, ...overrides };
+    return { ...survey, settings, data: calculateHierarchyScores(survey.data, settings) };
+  }
+  const settings = { ...defaultSettings, ...overrides };
+  const parseOptions = { unit: options.units, decimalComma: options['decimal-comma'] };
+  return { ...processRawData(parseDelimited(text), settings, parseOptions), settings };
+};
+
+const scoreFile = async (file) => {
+  const survey = await loadSurvey(file);
+  const { maturityHeaders, data, settings } = survey;
+  const importIssues = survey.issues || [];
+  importIssues.forEach(issue => {
+    const location = issue.line ? `${file}:${issue.line}` : file;
+    console.error(`${location}: ${issue.severity}: ${issue.path ? `${issue.path}: ` : ''}${issue.message}`);
+  });
+  const structureIssues = validateStructure(data);
+  structureIssues.forEach(issue => console.error(`${file}: ${issue.severity}: ${issue.message}`));
+  validateSiblingWeights(data).forEach(issue => console.error(`${file}: warning: ${describeWeightIssue(issue)}`));
+  if (options.strict && hasErrors([...importIssues, ...structureIssues])) {
+    throw new Error('errors found (--strict)');
+  }
+
+  const extension = path.extname(file).toLowerCase().slice(1);
+  const format = options.format || (FORMATS.includes(extension) ? extension : 'csv');
+  const writers = {
+    csv: () => toScoredCsv(maturityHeaders, data, settings) + '\n',
+    tsv: () => toScoredTsv(maturityHeaders, data, settings) + '\n',
+    json: () => toSurveyJson(survey) + '\n',
+    xlsx: () => toScoredXlsx(survey)
+  };
+  const output = writers[format]();
+
+  if (options.stdout) {
+    process.stdout.write(output);
+  } else {
+    const outDir = options['out-dir'] || path.dirname(file);
+    const outFile = path.join(outDir, `${path.basename(file, path.extname(file))}.scored.${format}`);
+    await mkdir(outDir, { recursive: true });
+    await writeFile(outFile, output);
+    console.error(`${file} -> ${outFile}`);
+  }
+
+  return { rootScore: calculateRootScore(data, settings), completion: calculateRootCompletion(data) };
+};
+
+let exitCode = 0;
+
+for (const file of files) {
+  try {
+    const { rootScore, completion } = await scoreFile(file);
+    console.error(`${file}: overall ${formatPercentage(rootScore, 1)} (${completion.answered}/${completion.applicable} answered)`);
+    if (failUnder !== null && rootScore < failUnder && exitCode === 0) exitCode = 2;
+  } catch (err) {
+    console.error(`${file}: ${err.message}`);
+    exitCode = 1;
+  }
+}
+
+process.exit(exitCode);
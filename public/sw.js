@@ -0,0 +1,75 @@
+// --- Offline Service Worker ---
+// The app shell (index.html plus the files listed in precache-manifest.json,
+// written by the build) is cached on install, so the app opens offline after
+// the first visit. Hashed assets never change and are served from the cache
+// first. Everything else is network first, so deploys show up immediately,
+// falling back to the cache when the network fails or is slower than
+// NETWORK_TIMEOUT.
+
+const CACHE_NAME = 'sunburst-maturity-v2';
+const MANIFEST = 'precache-manifest.json';
+const NETWORK_TIMEOUT = 4000;
+
+const scopeUrl = (path) => new URL(path, self.registration.scope).href;
+
+const isHashedAsset = (url) => url.startsWith(scopeUrl('assets/'));
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    fetch(scopeUrl(MANIFEST), { cache: 'no-store' })
+      .then(response => {
+        if (!response.ok) throw new Error(`${MANIFEST}: ${response.status}`);
+        return response.json();
+      })
+      .then(files => caches.open(CACHE_NAME).then(cache => cache.addAll([scopeUrl('./'), scopeUrl(MANIFEST), ...files.map(scopeUrl)])))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drops older caches and the hashed assets of earlier deploys.
+const pruneAssets = () => caches.open(CACHE_NAME).then(cache => Promise.all([cache.match(scopeUrl(MANIFEST)), cache.keys()])
+  .then(([manifest, requests]) => manifest && manifest.json().then(files => {
+    const current = new Set(files.map(scopeUrl));
+    return Promise.all(requests
+      .filter(request => isHashedAsset(request.url) && !current.has(request.url))
+      .map(request => cache.delete(request)));
+  })));
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(pruneAssets)
+      .then(() => self.clients.claim())
+  );
+});
+
+const cached = (request) => caches.match(request)
+  .then(response => response || (request.mode === 'navigate' ? caches.match(scopeUrl('./')) : undefined));
+
+const fetchAndCache = (request) => fetch(request).then(response => {
+  if (response.ok) {
+    const copy = response.clone();
+    caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+  }
+  return response;
+});
+
+const cacheFirst = (request) => cached(request).then(response => response || fetchAndCache(request));
+
+// After NETWORK_TIMEOUT a cached copy is served if there is one; without one
+// the response keeps waiting for the network.
+const networkFirst = (request) => {
+  const network = fetchAndCache(request);
+  const timedOut = new Promise(resolve => setTimeout(resolve, NETWORK_TIMEOUT))
+    .then(() => cached(request))
+    .then(response => response || network);
+  return Promise.race([network, timedOut])
+    .catch(() => cached(request).then(response => response || Response.error()));
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+  event.respondWith(isHashedAsset(request.url) ? cacheFirst(request) : networkFirst(request));
+});
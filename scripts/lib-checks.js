@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+import assert from 'node:assert/strict';
+import { BUILT_IN_TEMPLATES } from '../src/lib/builtInTemplates.js';
+import { surveyFromTemplate } from '../src/lib/templates.js';
+import {
+  calculateHierarchyScores, calculateRootScore, updateScoredRows, selectMaturity, readPercentage
+} from '../src/lib/scoring.js';
+import { moveBranch } from '../src/lib/tree.js';
+import { readSurveyDocument, createSurveyDocument, FORMAT_VERSION } from '../src/lib/surveyFormat.js';
+import { defaultColorSettings } from '../src/lib/colors.js';
+import { emptyHistory, createCommand, recordCommand, undo, redo } from '../src/lib/history.js';
+import { createShareLink, readShareLink } from '../src/lib/shareLink.js';
+
+// --- Library Checks ---
+// Behaviour checks for the logic that is easy to get subtly wrong: the
+// incremental rescore against a full one, moving branches, the saved-format
+// migrations, merging edits in the history, share links and reading typed
+// percentages. Each section works on the sample survey (builtin:sample),
+// where 1.2.2 carries an imported 70% score without a level.
+
+const sample = BUILT_IN_TEMPLATES.find(template => template.id === 'builtin:sample');
+const settings = surveyFromTemplate(sample).settings;
+const scoredSample = () => calculateHierarchyScores(surveyFromTemplate(sample).data, settings);
+
+const indexOf = (data, cid) => {
+  const index = data.findIndex(row => row.CID === cid);
+  assert.ok(index >= 0, `no row ${cid}`);
+  return index;
+};
+const rowOf = (data, cid) => data[indexOf(data, cid)];
+
+const SCORED_FIELDS = ['Score', 'TargetScore', 'Gap', 'Excluded', 'AnsweredLeaves', 'ApplicableLeaves'];
+
+// Every row of `data` scored as a full rescore of the same rows scores it.
+const assertMatchesFullRescore = (data, label) => {
+  const full = calculateHierarchyScores(data, settings);
+  assert.equal(data.length, full.length, `${label}: row count`);
+  full.forEach(expected => {
+    const actual = rowOf(data, expected.CID);
+    SCORED_FIELDS.forEach(field => {
+      assert.ok(
+        actual[field] === expected[field] || Math.abs(actual[field] - expected[field]) < 1e-9,
+        `${label}: ${expected.CID} ${field} is ${actual[field]}, a full rescore gives ${expected[field]}`
+      );
+    });
+  });
+  assert.ok(Math.abs(calculateRootScore(data, settings) - calculateRootScore(full, settings)) < 1e-9, `${label}: overall score`);
+};
+
+const rename = (data, from, to) => updateScoredRows(data, { [indexOf(data, from)]: { CID: to } }, settings);
+const answer = (data, cid, level) => selectMaturity(data, indexOf(data, cid), level, settings);
+
+// --- Incremental rescoring ---
+{
+  let data = answer(rename(scoredSample(), '1.2.1', '2.3'), '2.3', 2);
+  assertMatchesFullRescore(data, 'rename then answer');
+  assert.equal(rowOf(data, '2').AnsweredLeaves, 1, 'rename then answer: 2.3 counts under 2');
+  assert.ok(Math.abs(calculateRootScore(data, settings) - 0.2235) < 1e-9, 'rename then answer: overall 22.35%');
+
+  data = rename(answer(scoredSample(), '1.2.1', 2), '1.2.1', '2.3');
+  assertMatchesFullRescore(data, 'answer then rename');
+
+  // A row added blank, then numbered, weighted and answered in the table.
+  data = [...scoredSample(), { CID: '', Criterion: 'Added', 'Calculated Weights': 0, Score: undefined, maturities: ['A', 'B', 'C'], selectedMaturityIndex: -1, targetMaturityIndex: -1 }];
+  const added = data.length - 1;
+  data = updateScoredRows(data, { [added]: { CID: '2.3' } }, settings);
+  data = updateScoredRows(data, { [added]: { 'Calculated Weights': 0.5 } }, settings);
+  data = answer(data, '2.3', 1);
+  assertMatchesFullRescore(data, 'added row');
+
+  // A parent that loses its children is unanswered, not scored 0%.
+  data = calculateHierarchyScores(scoredSample().filter(row => row.CID !== '2.1' && row.CID !== '2.2'), settings);
+  assert.equal(rowOf(data, '2').Score, undefined, 'children deleted: 2 keeps a rolled-up score');
+  assert.equal(rowOf(data, '2').AnsweredLeaves, 0, 'children deleted: 2 counted as answered');
+
+  data = rename(scoredSample(), '1.1', '1.9');
+  assert.equal(rowOf(data, '1.9').Score, undefined, 'parent renamed away: 1.9 keeps a rolled-up score');
+  assertMatchesFullRescore(data, 'parent renamed away');
+
+  console.log('incremental rescoring checks passed');
+}
+
+// --- Moving branches ---
+{
+  const { data, renamed } = moveBranch(scoredSample(), '1.2', '2', settings);
+  assert.deepEqual(renamed, { '1.2': '2.3', '1.2.1': '2.3.1', '1.2.2': '2.3.2' });
+  assert.ok(data.every(row => !String(row.CID).startsWith('1.2')), 'moved rows keep their old CIDs');
+  assert.equal(rowOf(data, '2.3.2').Score, 0.7, 'moved leaf keeps its score');
+  assertMatchesFullRescore(data, 'moved branch');
+
+  const toTop = moveBranch(scoredSample(), '1.1', null, settings);
+  assert.deepEqual(toTop.renamed, { '1.1': '3', '1.1.1': '3.1', '1.1.2': '3.2' });
+
+  assert.equal(moveBranch(scoredSample(), '1', '1.2', settings), null, 'a branch moved into itself');
+  assert.equal(moveBranch(scoredSample(), '1.2', '1', settings), null, 'a branch moved to its own parent');
+
+  console.log('branch move checks passed');
+}
+
+// --- Saved-format migrations ---
+{
+  const legacyRow = (cid, fields) => ({ CID: cid, Criterion: cid, 'Calculated Weights': 0.5, maturities: ['No', 'Yes'], selectedMaturityIndex: -1, ...fields });
+  const bareRows = [
+    legacyRow('1', { 'Calculated Weights': 1, Score: 0 }),
+    legacyRow('1.1', { Score: 0 }),
+    legacyRow('1.2', { Score: 1, selectedMaturityIndex: 1 })
+  ];
+
+  const fromRows = readSurveyDocument(bareRows);
+  assert.equal(fromRows.document.version, FORMAT_VERSION);
+  assert.deepEqual(fromRows.document.maturityHeaders, ['Maturity 1', 'Maturity 2']);
+  assert.equal(rowOf(fromRows.document.data, '1.1').Score, undefined, 'version 0: unanswered 0% leaf kept as 0%');
+  assert.equal(rowOf(fromRows.document.data, '1.2').Score, 1, 'version 0: answered leaf lost its score');
+  assert.ok(fromRows.issues.some(issue => issue.message.startsWith('1.1 saved as 0%')), 'version 0: cleared zero not reported');
+  assert.deepEqual(fromRows.document.settings.colors, defaultColorSettings);
+  assert.equal(fromRows.document.meta.mode, 'author');
+
+  const fromV1 = readSurveyDocument({ maturityHeaders: ['No', 'Yes'], data: bareRows, snapshots: [{ id: 's1', name: 'Before', date: '2024-01-01', data: bareRows }] });
+  assert.equal(rowOf(fromV1.document.snapshots[0].data, '1.1').Score, undefined, 'version 1: snapshot zero kept');
+
+  const v2 = { ...createSurveyDocument({ maturityHeaders: ['No', 'Yes'], data: bareRows.slice(2) }), version: 2 };
+  delete v2.meta.mode;
+  delete v2.settings.colors;
+  const fromV2 = readSurveyDocument(v2);
+  assert.deepEqual(fromV2.document.settings.colors, defaultColorSettings, 'version 2: colours not added');
+  assert.equal(fromV2.document.meta.mode, 'author', 'version 2: mode not added');
+
+  const v4 = createSurveyDocument({ meta: { mode: 'respondent' }, maturityHeaders: ['No', 'Yes'], data: bareRows.slice(2) });
+  assert.equal(readSurveyDocument(v4).document.meta.mode, 'respondent', 'version 4: mode not kept');
+
+  assert.throws(() => readSurveyDocument({ ...v4, version: FORMAT_VERSION + 1 }), /reads up to version/);
+  assert.throws(() => readSurveyDocument({ ...v4, version: -1 }), /version -1 does not exist/);
+  assert.throws(() => readSurveyDocument({ ...v4, format: 'other' }), /format is "other"/);
+
+  console.log('migration checks passed');
+}
+
+// --- Edit history ---
+{
+  const edit = (history, state, label, after, mergeKey, now) => recordCommand(history, createCommand(label, state, after, { mergeKey, now }));
+  let history = edit(emptyHistory(), { data: 'a' }, 'Type', { data: 'ab' }, 'Criterion:1', 1000);
+  history = edit(history, { data: 'ab' }, 'Type', { data: 'abc' }, 'Criterion:1', 2000);
+  assert.equal(history.past.length, 1, 'keystrokes in one cell are separate entries');
+  assert.deepEqual(history.past[0].before, { data: 'a' }, 'merged entry lost the first before');
+  assert.deepEqual(history.past[0].after, { data: 'abc' }, 'merged entry lost the last after');
+
+  history = edit(history, { data: 'abc' }, 'Type', { data: 'abcd' }, 'Criterion:1', 2000 + 1500);
+  assert.equal(history.past.length, 2, 'edits after the merge window were merged');
+  history = edit(history, { data: 'abcd' }, 'Type', { data: 'x' }, 'Criterion:2', 3600);
+  assert.equal(history.past.length, 3, 'edits to another cell were merged');
+  history = edit(history, { data: 'x' }, 'Rebalance', { data: 'y' }, null, 3700);
+  history = edit(history, { data: 'y' }, 'Rebalance', { data: 'z' }, null, 3800);
+  assert.equal(history.past.length, 5, 'edits without a merge key were merged');
+
+  const undone = undo(history);
+  assert.deepEqual(undone.changes, { data: 'y' });
+  assert.deepEqual(redo(undone.history).changes, { data: 'z' });
+
+  console.log('history checks passed');
+}
+
+// --- Share links ---
+{
+  const baseUrl = 'https://example.test/app/';
+  const survey = { ...surveyFromTemplate(sample), data: answer(scoredSample(), '1.1.1', 1) };
+  const expected = calculateRootScore(survey.data, settings);
+
+  const selections = await createShareLink(survey, { template: sample, focus: '1.2', baseUrl });
+  assert.ok(selections.startsWith(`${baseUrl}#share=`), selections);
+  const fromSelections = await readShareLink(selections.slice(baseUrl.length), [sample]);
+  assert.equal(fromSelections.focus, '1.2');
+  assert.equal(rowOf(fromSelections.survey.data, '1.2.2').Score, 0.7, 'selections link dropped a score without a level');
+  assert.equal(rowOf(fromSelections.survey.data, '1.1.1').selectedMaturityIndex, 1);
+  assert.ok(Math.abs(calculateRootScore(fromSelections.survey.data, settings) - expected) < 1e-9, 'selections link: overall score');
+
+  const whole = await createShareLink(survey, { baseUrl });
+  const fromWhole = await readShareLink(whole.slice(baseUrl.length), []);
+  assert.equal(fromWhole.focus, null);
+  assert.ok(Math.abs(calculateRootScore(fromWhole.survey.data, settings) - expected) < 1e-9, 'assessment link: overall score');
+
+  await assert.rejects(readShareLink(selections.slice(baseUrl.length), []), /needs the template/);
+  await assert.rejects(readShareLink('#share=not-a-link', [sample]), /incomplete or damaged/);
+
+  console.log('share link checks passed');
+}
+
+// --- Typed percentages ---
+{
+  assert.equal(readPercentage('55'), 0.55);
+  assert.equal(readPercentage('5.0%'), 0.05);
+  assert.equal(readPercentage('12,5 %', { decimalComma: true }), 0.125);
+  assert.equal(readPercentage(''), undefined);
+  assert.ok(Number.isNaN(readPercentage('5.0%0')), 'a half-typed weight reads as a number');
+  assert.ok(Number.isNaN(readPercentage('abc')));
+
+  console.log('percentage checks passed');
+}
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import * as d3 from 'd3';
+import { BUILT_IN_TEMPLATES } from '../src/lib/builtInTemplates.js';
+
+// --- Scorer Smoke Test ---
+// Runs bin/score.js on the sample survey, with 1.1.1 answered at its top
+// level, and checks the rolled-up scores, the overall line, a JSON round
+// trip, and that --fail-under passes, fails and rejects bad values.
+
+const run = promisify(execFile);
+const scorer = fileURLToPath(new URL('../bin/score.js', import.meta.url));
+
+// Exit status and output of one scorer run; a non-zero exit is not an error.
+const score = async (...args) => {
+  try {
+    const { stdout, stderr } = await run(process.execPath, [scorer, ...args]);
+    return { code: 0, stdout, stderr };
+  } catch (err) {
+    if (typeof err.code !== 'number') throw err;
+    return { code: err.code, stdout: err.stdout, stderr: err.stderr };
+  }
+};
+
+const EXPECTED_SCORES = {
+  '1': 0.305,
+  '1.1': 0.5,
+  '1.1.1': 1,
+  '1.2': 0.35,
+  '1.2.2': 0.7,
+  '2': 0
+};
+const EXPECTED_OVERALL = 'overall 21.3% (2/7 answered)';
+
+const sampleCsv = () => {
+  const rows = d3.csvParse(BUILT_IN_TEMPLATES[0].csv);
+  const selected = 'Selected Maturity';
+  rows.forEach(row => {
+    row[selected] = row.CID === '1.1.1' ? 'Maturity L2 (Reactive/Manual)' : '';
+  });
+  return d3.csvFormat(rows, [...rows.columns, selected]);
+};
+
+const checkScores = (csv, label) => {
+  const byCid = Object.fromEntries(d3.csvParse(csv).map(row => [row.CID, row.Score]));
+  Object.entries(EXPECTED_SCORES).forEach(([cid, expected]) => {
+    assert.ok(Math.abs(parseFloat(byCid[cid]) - expected) < 1e-9, `${label}: ${cid} scored ${byCid[cid]}, expected ${expected}`);
+  });
+};
+
+const dir = await mkdtemp(path.join(tmpdir(), 'score-smoke-'));
+try {
+  const csvFile = path.join(dir, 'sample.csv');
+  await writeFile(csvFile, sampleCsv());
+
+  const direct = await score('--stdout', csvFile);
+  assert.equal(direct.code, 0, direct.stderr);
+  checkScores(direct.stdout, 'csv');
+  assert.ok(direct.stderr.includes(EXPECTED_OVERALL), `csv: expected "${EXPECTED_OVERALL}" in:\n${direct.stderr}`);
+
+  const saved = await score('--format', 'json', '--out-dir', dir, csvFile);
+  assert.equal(saved.code, 0, saved.stderr);
+  const jsonFile = path.join(dir, 'sample.scored.json');
+  JSON.parse(await readFile(jsonFile, 'utf8'));
+  const reloaded = await score('--stdout', '--format', 'csv', jsonFile);
+  assert.equal(reloaded.code, 0, reloaded.stderr);
+  checkScores(reloaded.stdout, 'json');
+  assert.ok(reloaded.stderr.includes(EXPECTED_OVERALL), `json: expected "${EXPECTED_OVERALL}" in:\n${reloaded.stderr}`);
+
+  assert.equal((await score('--stdout', '--fail-under', '21', csvFile)).code, 0, '--fail-under 21 should pass');
+  assert.equal((await score('--stdout', '--fail-under', '22', csvFile)).code, 2, '--fail-under 22 should exit with 2');
+  for (const value of ['abc', '101']) {
+    const rejected = await score('--stdout', '--fail-under', value, csvFile);
+    assert.equal(rejected.code, 1, `--fail-under ${value} should be rejected`);
+    assert.ok(rejected.stderr.includes('--fail-under'), `--fail-under ${value}: expected a usage error in:\n${rejected.stderr}`);
+  }
+
+  console.log('score smoke test passed');
+} finally {
+  await rm(dir, { recursive: true, force: true });
+}
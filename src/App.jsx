@@ -1,452 +1,779 @@
-import React, { useState, useEffect, useRef, useMemo } from 'react';
-import * as d3 from 'd3';
-import { Upload, Download, Plus, Trash2, Clipboard, AlertCircle, FileText, ChevronRight } from 'lucide-react';
+import React, { useState, useEffect, useEffectEvent, useLayoutEffect, useRef, useMemo } from 'react';
+import { Upload, Download, Plus, Clipboard, AlertCircle, AlertTriangle, FileText, ChevronRight, Scale, ListChecks, SlidersHorizontal, Target, History, Users, SkipForward, Image as ImageIcon, FileImage, Printer, FileSpreadsheet, X, FolderOpen, Undo2, Redo2, ChevronsDownUp, ChevronsUpDown, Palette, LayoutTemplate, PenLine, ClipboardList, Share2 } from 'lucide-react';
+import { formatPercentage, calculateHierarchyScores, updateScoredRows, calculateRootScore, calculateRootCompletion, findNextUnanswered, selectMaturity, selectTarget, toggleNotApplicable } from './lib/scoring.js';
+import { parseDelimited, processRawData, parseSurveyJson, toScoredCsv, toScoredTsv, toScoredXlsx, defaultSettings } from './lib/survey.js';
+import { validateSiblingWeights, indexWeightIssues, describeWeightIssue, rebalanceWeights } from './lib/weights.js';
+import { validateStructure, hasErrors } from './lib/validation.js';
+import { describeScheme } from './lib/schemes.js';
+import ValidationPanel from './components/ValidationPanel.jsx';
+import ScoringSchemeEditor from './components/ScoringSchemeEditor.jsx';
+import GapTable from './components/GapTable.jsx';
+import { rankGaps } from './lib/gaps.js';
+import { projectWhatIf, rankImprovements } from './lib/whatIf.js';
+import WhatIfPanel from './components/WhatIfPanel.jsx';
+import { createSnapshot, sortSnapshots, compareScores } from './lib/snapshots.js';
+import SnapshotPanel from './components/SnapshotPanel.jsx';
+import { createRespondent, addRespondent, removeRespondent, selectResponse } from './lib/respondents.js';
+import RespondentPanel from './components/RespondentPanel.jsx';
+import { validateEvidence } from './lib/evidence.js';
+import RowDetailDrawer from './components/RowDetailDrawer.jsx';
+import { maxGap, maxAbsDelta, createColorScale } from './lib/colors.js';
+import ChartLegend from './components/ChartLegend.jsx';
+import ColorSettingsPanel from './components/ColorSettingsPanel.jsx';
+import { serializeChart, svgToPngBlob, downloadBlob } from './lib/chartExport.js';
+import PrintReport from './components/PrintReport.jsx';
+import ImportWizard from './components/ImportWizard.jsx';
+import { createSurveyDocument } from './lib/surveyFormat.js';
+import { listWorkspaces, readWorkspace, saveWorkspace, createWorkspace, deleteWorkspace, markWorkspaceExported, setActiveWorkspaceId, findStartupWorkspace } from './lib/workspaces.js';
+import WorkspacePanel from './components/WorkspacePanel.jsx';
+import { BUILT_IN_TEMPLATES, surveyFromTemplate, createTemplate, templateDocument, listSavedTemplates, saveTemplate, deleteTemplate } from './lib/templates.js';
+import TemplatePanel from './components/TemplatePanel.jsx';
+import Questionnaire from './components/Questionnaire.jsx';
+import { isShareHash, readShareLink } from './lib/shareLink.js';
+import SharePanel from './components/SharePanel.jsx';
+import MaturityChart from './components/MaturityChart.jsx';
+import { CHART_TYPES } from './lib/chartHierarchy.js';
+import { emptyHistory, createCommand, recordCommand, travel } from './lib/history.js';
+import HistoryPanel from './components/HistoryPanel.jsx';
+import SurveyTableRow from './components/SurveyTableRow.jsx';
+import { ROW_HEIGHT_ESTIMATE, windowStart, virtualWindow } from './lib/virtualRows.js';
+import { ancestorCids, isDescendantCid, isOnBranchPath, visibleRowIndices, canMoveBranch, moveBranch, revealCid, renameCollapsed } from './lib/tree.js';
 
 // --- Data & Helper Functions ---
 
-const initialCsvData = `CID,Criterion,Weight,Score,Maturity L1 (Non-Existent),Maturity L2 (Reactive/Manual),Maturity L3 (Defined/Policy)
-1,Overall Quality,70%,,,,,
-2,Support,30%,,,,,
-1.1,Functionality,40%,,,,,
-1.2,Usability,30%,,,,,
-1.3,Reliability,30%,,,,,
-1.1.1,Feature Set,50%,,Level 1,Level 2,
-1.1.2,Performance,50%,,Basic,
-1.2.1,Ease of Use,50%,,Simple,Usable,Expert
-1.2.2,Documentation,50%,70%,Exists,
-2.1,Response Time,50%,,SLA Met,
-2.2,Problem Resolution,50%,,Resolved,`;
-
-const parsePercentage = (value) => {
-  if (typeof value !== 'string' && typeof value !== 'number') return 0;
-  const sValue = String(value).replace('%', '').trim();
-  if (sValue === '') return 0;
-  const num = parseFloat(sValue);
-  if (isNaN(num)) return 0;
-  return num > 1 ? num / 100 : num;
-};
+// The sample assessment shown until one is loaded or a template is used.
+const initialSurvey = surveyFromTemplate(BUILT_IN_TEMPLATES[0]);
 
-const formatPercentage = (decimal, precision = 0) => {
-  if (decimal === undefined || isNaN(decimal)) return '';
-  return `${(decimal * 100).toFixed(precision)}%`;
-};
+const newMeta = () => ({ title: '', author: '', createdAt: new Date().toISOString() });
+
+const sampleSurvey = () => ({ ...initialSurvey, meta: newMeta(), settings: defaultSettings, snapshots: [], respondents: [] });
+
+// Drop target standing for "no parent" while dragging a branch.
+const TOP_LEVEL_DROP = Symbol('top level');
+
+// Milliseconds of quiet before edits are written to the workspace.
+const AUTOSAVE_DELAY = 500;
 
-const getAcronym = (name) => {
-  if (!name) return '';
-  const words = name.split(' ');
-  if (words.length > 1) {
-    return words.slice(0, 3).map(word => word[0]).join('').toUpperCase();
-  } else {
-    return name.substring(0, 3).toUpperCase();
+// Reopens the last workspace. If it holds work never saved to a file, the
+// sample loads instead and the recovery prompt offers that work back.
+const openStartupWorkspace = () => {
+  const workspace = findStartupWorkspace();
+  if (workspace && !workspace.needsRecovery) {
+    try {
+      return { survey: parseSurveyJson(workspace.document), workspaceId: workspace.id, recovery: null };
+    } catch (err) {
+      console.error(err);
+    }
   }
+  return { survey: { ...sampleSurvey(), issues: [] }, workspaceId: null, recovery: workspace && workspace.needsRecovery ? workspace : null };
 };
 
-const naturalSort = (a, b) => {
-  return String(a.CID).localeCompare(String(b.CID), undefined, { numeric: true, sensitivity: 'base' });
+// 'current' is the working data; anything else is a snapshot id.
+const resolveCompareSide = (id, data, snapshots) => {
+  if (id === 'current') return { name: 'Current', data };
+  const snapshot = snapshots.find(snap => snap.id === id);
+  return snapshot ? { name: `${snapshot.name} (${snapshot.date})`, data: snapshot.data } : null;
 };
 
-// --- D3 Chart Component ---
+// --- Main App Component ---
 
-const SunburstChart = ({ data, onPathClick }) => {
-  const svgRef = useRef(null);
-  const containerRef = useRef(null);
+export default function App() {
+  const [startup] = useState(openStartupWorkspace);
+  const [data, setData] = useState(startup.survey.data);
+  const [maturityHeaders, setMaturityHeaders] = useState(startup.survey.maturityHeaders);
+  const [pasteModalOpen, setPasteModalOpen] = useState(false);
+  const [pasteText, setPasteText] = useState("");
+  const [errorMsg, setErrorMsg] = useState("");
+  const [settings, setSettings] = useState(startup.survey.settings);
+  const [validationOpen, setValidationOpen] = useState(false);
+  const [highlightedRow, setHighlightedRow] = useState(null);
+  const [scoringOpen, setScoringOpen] = useState(false);
+  const [schemeRow, setSchemeRow] = useState(null);
+  const [viewMode, setViewMode] = useState('score');
+  const [chartType, setChartType] = useState('sunburst');
+  const [selectionMode, setSelectionMode] = useState('current');
+  const [snapshots, setSnapshots] = useState(startup.survey.snapshots);
+  const [snapshotsOpen, setSnapshotsOpen] = useState(false);
+  const [compareBaseId, setCompareBaseId] = useState(null);
+  const [compareTargetId, setCompareTargetId] = useState('current');
+  const [compareStyle, setCompareStyle] = useState('delta');
+  const [respondents, setRespondents] = useState(startup.survey.respondents);
+  const [respondentsOpen, setRespondentsOpen] = useState(false);
+  const [activeRespondentId, setActiveRespondentId] = useState(null);
+  const [detailRow, setDetailRow] = useState(null);
+  const [reportCharts, setReportCharts] = useState(null);
+  const [exportMenuOpen, setExportMenuOpen] = useState(false);
+  const [importDraft, setImportDraft] = useState(null);
+  const [meta, setMeta] = useState(startup.survey.meta);
+  const [loadIssues, setLoadIssues] = useState(startup.survey.issues);
+  const [workspaceId, setWorkspaceId] = useState(startup.workspaceId);
+  const [recovery, setRecovery] = useState(startup.recovery);
+  const [workspacesOpen, setWorkspacesOpen] = useState(false);
+  const [workspaces, setWorkspaces] = useState(listWorkspaces);
+  const [storageError, setStorageError] = useState('');
+  const [templatesOpen, setTemplatesOpen] = useState(false);
+  const [savedTemplates, setSavedTemplates] = useState(listSavedTemplates);
+  const [shareOpen, setShareOpen] = useState(false);
+  const [history, setHistory] = useState(emptyHistory);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [colorsOpen, setColorsOpen] = useState(false);
+  const [whatIfLevels, setWhatIfLevels] = useState({});
+  const [questionCid, setQuestionCid] = useState(null);
+  const [tableWindowStart, setTableWindowStart] = useState(0);
+  const [tableViewportHeight, setTableViewportHeight] = useState(600);
+  const [tableRowHeight, setTableRowHeight] = useState(ROW_HEIGHT_ESTIMATE);
+  const [scrollRequest, setScrollRequest] = useState(null);
+  const tableScrollRef = useRef(null);
+  const tableBodyRef = useRef(null);
+  const handledScrollRef = useRef(null);
+  const [collapsed, setCollapsed] = useState({});
+  const [dragCid, setDragCid] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [focusCid, setFocusCid] = useState(null);
+  const [focusFilter, setFocusFilter] = useState(false);
+  const chartPaneRef = useRef(null);
 
-  useEffect(() => {
-    if (!data || data.length === 0 || !svgRef.current || !containerRef.current) return;
-
-    // 1. Setup Dimensions
-    const width = containerRef.current.clientWidth;
-    const height = containerRef.current.clientHeight;
-    const radius = Math.min(width, height) / 2.2; 
-
-    // 2. Prepare Hierarchy
-    const rootData = { name: "root", children: [] };
-    const nodeMap = { 'root': rootData };
-    
-    // First pass: create nodes
-    data.forEach(d => {
-      nodeMap[d.CID] = {
-        ...d,
-        name: d.Criterion || d.CID,
-        weight: d['Calculated Weights'],
-        score: d.Score,
-        children: []
-      };
-    });
+  const weightIssues = useMemo(() => validateSiblingWeights(data), [data]);
+  const weightIssueByCid = useMemo(() => indexWeightIssues(weightIssues), [weightIssues]);
+  const validationIssues = useMemo(() => [...validateStructure(data), ...validateEvidence(data)], [data]);
+  const structureErrorCount = validationIssues.filter(i => i.severity === 'error').length;
+  const gaps = useMemo(() => rankGaps(data, settings), [data, settings]);
+  const isGapView = viewMode === 'gap';
+  const isCompareView = viewMode === 'compare';
+  const isWhatIfView = viewMode === 'whatif';
+  const isRespondentMode = meta.mode === 'respondent';
+  const isMultiRespondent = respondents.length > 1;
+  const rootCompletion = useMemo(() => calculateRootCompletion(data), [data]);
+  const unansweredCount = rootCompletion.applicable - rootCompletion.answered;
+  // Breadcrumb from the top level down to the focused row.
+  const focusPath = focusCid === null ? [] : [...ancestorCids(focusCid).reverse(), focusCid]
+    .map(cid => data.find(row => row.CID === cid))
+    .filter(Boolean);
+  const isFiltered = focusFilter && focusPath.length > 0 && focusPath.at(-1).CID === focusCid;
+  const visibleIndices = useMemo(() => {
+    const indices = visibleRowIndices(data, collapsed);
+    return isFiltered ? indices.filter(i => isOnBranchPath(data[i].CID, focusCid)) : indices;
+  }, [data, collapsed, isFiltered, focusCid]);
 
-    // Second pass: link parents
-    data.forEach(d => {
-      const node = nodeMap[d.CID];
-      const cid = String(d.CID);
-      const lastDotIndex = cid.lastIndexOf('.');
-      if (lastDotIndex > -1) {
-        const parentCid = cid.substring(0, lastDotIndex);
-        const parent = nodeMap[parentCid];
-        if (parent) parent.children.push(node);
-        else rootData.children.push(node);
-      } else {
-        rootData.children.push(node);
-      }
+  // Without an explicit choice, compare against the most recent snapshot.
+  const effectiveBaseId = compareBaseId ?? (snapshots.length ? sortSnapshots(snapshots).at(-1).id : null);
+  const compareBase = useMemo(() => resolveCompareSide(effectiveBaseId, data, snapshots), [effectiveBaseId, data, snapshots]);
+  const compareTarget = useMemo(() => resolveCompareSide(compareTargetId, data, snapshots), [compareTargetId, data, snapshots]);
+  const comparison = useMemo(() => {
+    if (!isCompareView || !compareBase || !compareTarget) return null;
+    return compareScores(compareBase.data, compareTarget.data, settings);
+  }, [isCompareView, compareBase, compareTarget, settings]);
+  const deltaByCid = useMemo(() => {
+    const byCid = {};
+    if (comparison) comparison.after.forEach(row => byCid[row.CID] = row.Delta);
+    return byCid;
+  }, [comparison]);
+  // The what-if view charts the sandbox projection instead of the answers.
+  const whatIf = useMemo(() => {
+    if (!isWhatIfView) return null;
+    const projected = projectWhatIf(data, whatIfLevels, settings);
+    return {
+      projected,
+      rootScore: calculateRootScore(data, settings),
+      projectedRootScore: calculateRootScore(projected, settings),
+      improvements: rankImprovements(projected, settings)
+    };
+  }, [isWhatIfView, data, whatIfLevels, settings]);
+  const chartColorBy = isCompareView ? (compareStyle === 'delta' ? 'delta' : 'score') : isWhatIfView ? 'score' : viewMode;
+  const chartExtent = chartColorBy === 'gap' ? maxGap(data) : chartColorBy === 'delta' && comparison ? maxAbsDelta(comparison.after) : 0;
+  // The table's score cells use the chart's score colours whatever the view.
+  const { scale: scoreColor } = useMemo(() => createColorScale('score', 0, settings.colors), [settings.colors]);
+  const rowSeverity = useMemo(() => {
+    const byRow = {};
+    validationIssues.forEach(i => {
+      if (byRow[i.rowIndex] !== 'error') byRow[i.rowIndex] = i.severity;
     });
+    return byRow;
+  }, [validationIssues]);
 
-    const hierarchy = d3.hierarchy(rootData);
+  const loadSurvey = ({ meta: loadedMeta, maturityHeaders, data, settings: loadedSettings, snapshots: loadedSnapshots, respondents: loadedRespondents }) => {
+    setMaturityHeaders(maturityHeaders);
+    setData(data);
+    if (loadedMeta) setMeta(loadedMeta);
+    if (loadedSettings) setSettings(loadedSettings);
+    if (loadedSnapshots) {
+      setSnapshots(loadedSnapshots);
+      setCompareBaseId(null);
+      setCompareTargetId('current');
+    }
+    if (loadedRespondents) {
+      setRespondents(loadedRespondents);
+      setActiveRespondentId(null);
+    }
+  };
 
-    // 3. Calculate "Absolute Weights"
-    hierarchy.data.absoluteWeight = 1.0;
-    hierarchy.eachBefore(node => {
-      if (node.parent) {
-        node.data.absoluteWeight = node.parent.data.absoluteWeight * (node.data.weight || 0);
-      }
-    });
-    
-    hierarchy.sum(d => (d.children && d.children.length) ? 0 : d.absoluteWeight);
-    hierarchy.sort((a, b) => b.value - a.value);
-
-    // 4. Scales
-    const x = d3.scaleLinear().range([0, 2 * Math.PI]);
-    const y = d3.scaleSqrt().range([0, radius]);
-    const color = d3.scaleSequential([0, 1], d3.interpolateRdYlGn);
-
-    const partition = d3.partition();
-    const arc = d3.arc()
-      .startAngle(d => Math.max(0, Math.min(2 * Math.PI, x(d.x0))))
-      .endAngle(d => Math.max(0, Math.min(2 * Math.PI, x(d.x1))))
-      .innerRadius(d => Math.max(0, y(d.y0)))
-      .outerRadius(d => Math.max(0, y(d.y1)));
-
-    const svg = d3.select(svgRef.current);
-    svg.selectAll("*").remove(); 
-
-    svg.attr("viewBox", `-${width / 2} -${height / 2} ${width} ${height}`)
-       .style("font", "12px sans-serif");
-
-    const root = partition(hierarchy);
-    const g = svg.append("g");
-
-    const path = g.append("g")
-      .selectAll("path")
-      .data(root.descendants().filter(d => d.depth)) 
-      .join("path")
-      .attr("fill", d => d.data.score === undefined ? '#ccc' : color(d.data.score))
-      .attr("d", arc)
-      .style("cursor", "pointer")
-      .attr("stroke", "#fff")
-      .attr("stroke-width", "1px");
-
-    const label = g.append("g")
-      .attr("pointer-events", "none")
-      .attr("text-anchor", "middle")
-      .style("user-select", "none")
-      .selectAll("text")
-      .data(root.descendants().filter(d => d.depth))
-      .join("text")
-      .attr("dy", "0.35em")
-      .attr("fill", "white")
-      .style("text-shadow", "0 0 3px black")
-      .style("font-weight", "bold")
-      .text(d => getAcronym(d.data.name))
-      .attr("transform", d => {
-          const x0 = x(d.x0);
-          const x1 = x(d.x1);
-          const y0 = y(d.y0);
-          const y1 = y(d.y1);
-          if (!y0) return "";
-          const rot = (x0 + x1) / 2 * 180 / Math.PI;
-          const transY = (y0 + y1) / 2;
-          return `rotate(${rot - 90}) translate(${transY},0) rotate(${rot < 180 ? 0 : 180})`;
-      })
-      .attr("display", d => {
-          const x0 = x(d.x0);
-          const x1 = x(d.x1);
-          const y0 = y(d.y0);
-          const y1 = y(d.y1);
-          const arcWidth = (x1 - x0) * (y0 + y1) / 2;
-          return arcWidth > 12 ? "inline" : "none";
-      });
+  // --- Edit History ---
+  // Every change to the criteria, scoring settings, respondents or snapshots
+  // goes through applyEdit so it can be undone. The history is kept per
+  // workspace and only for this session.
 
-    const centerText = g.append("text")
-      .attr("text-anchor", "middle")
-      .attr("dy", "0.35em")
-      .style("font-size", "24px")
-      .style("font-weight", "bold")
-      .style("fill", "#374151")
-      .style("filter", "drop-shadow(0px 1px 1px rgba(0,0,0,0.2))")
-      .style("cursor", "pointer")
-      .text(formatPercentage(root.data.score, 1))
-      .on("click", (event) => click(event, root)); 
-
-    const tooltip = d3.select("body").append("div")
-      .attr("class", "tooltip")
-      .style("opacity", 0);
-
-    path.on("mouseover", (event, d) => {
-      tooltip.transition().duration(200).style("opacity", .9);
-      const parentName = d.parent ? (d.parent.data.name === 'root' ? 'Total' : d.parent.data.name) : 'Total';
-      tooltip.html(`
-        <strong>${d.data.name}</strong><br/>
-        CID: ${d.data.CID}<br/>
-        Score: ${formatPercentage(d.data.score)}<br/>
-        Weight: ${formatPercentage(d.data.weight)} (of ${parentName})
-      `)
-      .style("left", (event.pageX + 10) + "px")
-      .style("top", (event.pageY - 28) + "px");
-    })
-    .on("mouseout", () => {
-      tooltip.transition().duration(500).style("opacity", 0);
-    })
-    .on("click", click);
-
-    function click(event, p) {
-      const target = p.children ? p : p.parent || root;
-      
-      svg.transition().duration(750).tween("scale", () => {
-        const xd = d3.interpolate(x.domain(), [target.x0, target.x1]);
-        const yd = d3.interpolate(y.domain(), [target.y0, 1]);
-        const yr = d3.interpolate(y.range(), [target.y0 ? 20 : 0, radius]);
-        
-        return t => { 
-          x.domain(xd(t)); 
-          y.domain(yd(t)).range(yr(t)); 
-        };
-      })
-      .selectAll("path")
-      .attrTween("d", d => () => arc(d));
-
-      centerText.text(formatPercentage(target.data.score, 1))
-                .style("fill", color(target.data.score));
-      
-      label.transition().duration(750)
-        .attrTween("transform", d => () => {
-            const x0 = x(d.x0);
-            const x1 = x(d.x1);
-            const y0 = y(d.y0);
-            const y1 = y(d.y1);
-            if (!y0) return "";
-            const rot = (x0 + x1) / 2 * 180 / Math.PI;
-            const transY = (y0 + y1) / 2;
-            return `rotate(${rot - 90}) translate(${transY},0) rotate(${rot < 180 ? 0 : 180})`;
-        })
-        .styleTween("display", d => () => {
-             const x0 = x(d.x0);
-             const x1 = x(d.x1);
-             const y0 = y(d.y0);
-             const y1 = y(d.y1);
-             if (x1 <= x0 || y0 >= y1) return "none";
-             const arcWidth = (x1 - x0) * (y0 + y1) / 2;
-             return arcWidth > 12 ? "inline" : "none";
-        });
-    }
+  const surveySetters = { data: setData, maturityHeaders: setMaturityHeaders, settings: setSettings, snapshots: setSnapshots, respondents: setRespondents };
 
-    return () => {
-      tooltip.remove();
-    };
-  }, [data]);
+  const applyChanges = (changes) => {
+    Object.entries(changes).forEach(([key, value]) => surveySetters[key](value));
+    if (changes.respondents && !changes.respondents.some(r => r.id === activeRespondentId)) setActiveRespondentId(null);
+    if (changes.data && detailRow !== null && detailRow >= changes.data.length) setDetailRow(null);
+  };
 
-  return (
-    <div ref={containerRef} className="w-full h-full flex items-center justify-center">
-      <svg ref={svgRef} width="100%" height="100%"></svg>
-    </div>
-  );
-};
+  const applyEdit = (label, changes, options) => {
+    const state = { data, maturityHeaders, settings, snapshots, respondents };
+    setHistory(recordCommand(history, createCommand(label, state, changes, options)));
+    applyChanges(changes);
+  };
 
-// --- Main App Component ---
+  const travelHistory = (pastLength) => {
+    const result = travel(history, pastLength);
+    if (!result) return;
+    setHistory(result.history);
+    applyChanges(result.changes);
+  };
 
-export default function App() {
-  const [data, setData] = useState([]);
-  const [maturityHeaders, setMaturityHeaders] = useState([]);
-  const [pasteModalOpen, setPasteModalOpen] = useState(false);
-  const [pasteText, setPasteText] = useState("");
-  const [errorMsg, setErrorMsg] = useState("");
+  // Text fields keep the browser's own undo for what is being typed.
+  const handleUndoKey = useEffectEvent((event) => {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    // Undoing could reach back into the author's structural edits.
+    if (isRespondentMode) return;
+    const key = event.key.toLowerCase();
+    if (key !== 'z' && key !== 'y') return;
+    const target = event.target;
+    if (target.isContentEditable || target.tagName === 'TEXTAREA' || (target.tagName === 'INPUT' && !['checkbox', 'radio', 'button'].includes(target.type))) return;
+    event.preventDefault();
+    travelHistory(history.past.length + (key === 'y' || event.shiftKey ? 1 : -1));
+  });
 
   useEffect(() => {
-    processRawData(d3.csvParse(initialCsvData));
+    window.addEventListener('keydown', handleUndoKey);
+    return () => window.removeEventListener('keydown', handleUndoKey);
   }, []);
 
-  const calculateHierarchyScores = (flatData) => {
-    const nodeMap = {};
-    const rootChildren = [];
-    const processedData = flatData.map(d => ({...d, children: []}));
-    processedData.forEach(d => nodeMap[d.CID] = d);
-
-    processedData.forEach(d => {
-      const lastDot = String(d.CID).lastIndexOf('.');
-      if (lastDot > -1) {
-        const parentCid = String(d.CID).substring(0, lastDot);
-        if (nodeMap[parentCid]) {
-          nodeMap[parentCid].children.push(d);
-        } else {
-           rootChildren.push(d);
-        }
-      } else {
-        rootChildren.push(d);
-      }
-    });
+  // --- Workspaces & Autosave ---
+  // Every edit is written to the active workspace after a short pause (and
+  // when the page is hidden). Without an active workspace one is created.
 
-    const calculateScore = (node) => {
-        if (!node.children || node.children.length === 0) {
-            return node.Score; 
-        }
-
-        let weightedSum = 0;
-        let weightTotal = 0;
-
-        node.children.forEach(child => {
-            const childScore = calculateScore(child);
-            const childWeight = child['Calculated Weights'] || 0;
-            if (childScore !== undefined && childScore !== null && !isNaN(childScore)) {
-                weightedSum += childScore * childWeight;
-                weightTotal += childWeight;
-            }
-        });
-        node.Score = weightedSum;
-        return node.Score;
+  useEffect(() => {
+    if (recovery) return;
+    const save = () => {
+      const surveyDocument = createSurveyDocument({ meta, maturityHeaders, data, settings, snapshots, respondents });
+      try {
+        if (!workspaceId) setWorkspaceId(createWorkspace(surveyDocument));
+        else if (!saveWorkspace(workspaceId, surveyDocument)) return;
+        setWorkspaces(listWorkspaces());
+        setStorageError('');
+      } catch (err) {
+        setStorageError(err.message);
+      }
+    };
+    const timer = setTimeout(save, AUTOSAVE_DELAY);
+    window.addEventListener('pagehide', save);
+    return () => {
+      clearTimeout(timer);
+      window.removeEventListener('pagehide', save);
     };
+  }, [recovery, workspaceId, meta, maturityHeaders, data, settings, snapshots, respondents]);
 
-    rootChildren.forEach(root => calculateScore(root));
-    return processedData.sort((a, b) => naturalSort(a, b));
+  const flushWorkspace = () => {
+    if (!workspaceId) return;
+    try {
+      saveWorkspace(workspaceId, createSurveyDocument({ meta, maturityHeaders, data, settings, snapshots, respondents }));
+      setWorkspaces(listWorkspaces());
+    } catch (err) {
+      setStorageError(err.message);
+    }
+  };
+
+  const resetView = () => {
+    setHistory(emptyHistory());
+    setCollapsed({});
+    setFocusCid(null);
+    setWhatIfLevels({});
+    setQuestionCid(null);
+    setDetailRow(null);
+    setHighlightedRow(null);
+    setLoadIssues([]);
+    setErrorMsg("");
   };
 
-  const processRawData = (parsedData) => {
+  // Saves the current workspace and loads `survey` into a new one, which the
+  // autosave creates.
+  const startNewWorkspace = (survey = sampleSurvey()) => {
+    flushWorkspace();
+    resetView();
+    loadSurvey(survey);
+    setWorkspaceId(null);
+  };
+
+  const openWorkspace = (workspace) => {
     try {
-        const columns = parsedData.columns;
-        
-        // Find core columns by fuzzy matching
-        const findCol = (terms) => columns.find(c => terms.some(t => c.toLowerCase().trim() === t));
-        
-        const cidCol = findCol(['cid', 'id']) || columns[0];
-        const critCol = findCol(['criterion', 'criteria', 'name']) || columns[1];
-        const weightCol = findCol(['calculated weights', 'weights', 'weight']) || columns[2];
-        const scoreCol = findCol(['score', 'current score']) || columns[3];
-        
-        const standardCols = [cidCol, critCol, weightCol, scoreCol];
-        
-        // Store the actual headers for maturity columns to render in table
-        const detectedMaturityHeaders = columns.filter(c => !standardCols.includes(c));
-        setMaturityHeaders(detectedMaturityHeaders);
-
-        const formatted = parsedData.map(d => {
-            // Map values to the detected headers
-            const rowMaturities = detectedMaturityHeaders.map(header => d[header]);
-            
-            return {
-                CID: d[cidCol] || '',
-                Criterion: d[critCol] || '',
-                'Calculated Weights': parsePercentage(d[weightCol]),
-                Score: parsePercentage(d[scoreCol]), 
-                maturities: rowMaturities,
-                selectedMaturityIndex: -1 
-            };
-        });
-        
-        const calculated = calculateHierarchyScores(formatted);
-        setData(calculated);
+      const survey = parseSurveyJson(readWorkspace(workspace.id));
+      flushWorkspace();
+      resetView();
+      loadSurvey(survey);
+      setLoadIssues(survey.issues);
+      setWorkspaceId(workspace.id);
+      setActiveWorkspaceId(workspace.id);
+    } catch (err) {
+      setErrorMsg(`Could not open workspace: ${err.message}`);
+    }
+  };
+
+  const handleDeleteWorkspace = (workspace) => {
+    if (!window.confirm(`Delete "${workspace.title || 'Untitled assessment'}" from this browser?`)) return;
+    deleteWorkspace(workspace.id);
+    if (workspace.id === workspaceId) {
+      resetView();
+      loadSurvey(sampleSurvey());
+      setWorkspaceId(null);
+    }
+    setWorkspaces(listWorkspaces());
+  };
+
+  // --- Templates ---
+
+  const handleUseTemplate = (template) => {
+    try {
+      const survey = surveyFromTemplate(template);
+      startNewWorkspace(survey);
+      setLoadIssues(survey.issues);
+      setTemplatesOpen(false);
+    } catch (err) {
+      setErrorMsg(`Could not open template: ${err.message}`);
+    }
+  };
+
+  const storeTemplate = (template) => {
+    try {
+      saveTemplate(template);
+      setSavedTemplates(listSavedTemplates());
     } catch (err) {
+      setErrorMsg(`Could not save template: ${err.message}`);
+    }
+  };
+
+  const handleSaveTemplate = (name, description) => {
+    storeTemplate(createTemplate({ maturityHeaders, data, settings }, { name, description }));
+  };
+
+  // Any saved survey file becomes a template; its answers are dropped.
+  const handleImportTemplate = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const survey = parseSurveyJson(JSON.parse(e.target.result));
+        storeTemplate(createTemplate(survey, { name: survey.meta.title || file.name.replace(/\.json$/i, '') }));
+      } catch (err) {
         console.error(err);
-        setErrorMsg("Failed to process data. Ensure CSV format is correct.");
+        setErrorMsg(err instanceof SyntaxError ? "Error parsing JSON file" : err.message);
+      }
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+  };
+
+  const handleDownloadTemplate = (template) => {
+    const slug = template.name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'template';
+    downloadBlob(new Blob([JSON.stringify(templateDocument(template))], { type: 'application/json' }), `${slug}_template.json`);
+  };
+
+  const handleDeleteTemplate = (template) => {
+    if (!window.confirm(`Delete the template "${template.name}"?`)) return;
+    deleteTemplate(template.id);
+    setSavedTemplates(listSavedTemplates());
+  };
+
+  // --- Share links ---
+
+  // Templates a shared selections link can refer to.
+  const shareTemplates = useMemo(() => [...BUILT_IN_TEMPLATES, ...savedTemplates], [savedTemplates]);
+
+  // Opens a #share= link in a new workspace, zoomed as shared. The hash is
+  // cleared first, so reloading shows the workspace rather than the link.
+  const openShareLink = useEffectEvent(async (hash) => {
+    window.history.replaceState(null, '', window.location.href.split('#')[0]);
+    try {
+      const { survey, focus } = await readShareLink(hash, shareTemplates);
+      startNewWorkspace(survey);
+      setLoadIssues(survey.issues);
+      if (focus && survey.data.some(row => row.CID === focus)) setFocusCid(focus);
+    } catch (err) {
+      setErrorMsg(`Could not open the shared link: ${err.message}`);
     }
+  });
+
+  useEffect(() => {
+    const handleHash = () => {
+      if (isShareHash(window.location.hash)) openShareLink(window.location.hash);
+    };
+    handleHash();
+    window.addEventListener('hashchange', handleHash);
+    return () => window.removeEventListener('hashchange', handleHash);
+  }, []);
+
+  const restoreRecovery = () => {
+    setRecovery(null);
+    openWorkspace(recovery);
   };
 
-  const handleMaturityClick = (rowIndex, maturityIndex, totalMaturities, maturityText) => {
-    const newData = [...data];
-    const row = newData[rowIndex];
-    
-    const isNo = String(maturityText).trim().toLowerCase() === 'no';
-    let newScore = 0;
+  const handleSettingsChange = (patch) => {
+    const newSettings = { ...settings, ...patch };
+    applyEdit('Change respondent settings', { settings: newSettings, data: calculateHierarchyScores(data, newSettings) });
+  };
 
-    if (!isNo) {
-        const currentMaturities = row.maturities;
-        
-        // 1. Calculate Denominator: Count valid options (not "No", not empty)
-        const valueOptionCount = currentMaturities.filter(m => {
-            const txt = String(m).trim().toLowerCase();
-            return txt !== 'no' && txt !== '';
-        }).length;
-        
-        // 2. Calculate Rank: Position of clicked item relative to non-No items
-        let rank = 0;
-        for (let i = 0; i <= maturityIndex; i++) {
-             const textAtIndex = currentMaturities[i];
-             const txt = String(textAtIndex).trim().toLowerCase();
-             if (txt !== 'no' && txt !== '') {
-                 rank++;
-             }
-        }
-        
-        newScore = valueOptionCount > 0 ? rank / valueOptionCount : 0;
+  const handleColorsChange = (colors) => {
+    applyEdit('Change colours', { settings: { ...settings, colors } }, { mergeKey: 'colors' });
+  };
+
+  const handleAddRespondent = (name) => {
+    const respondent = createRespondent(name);
+    const result = addRespondent(data, respondents, respondent, settings);
+    applyEdit(`Add respondent ${respondent.name}`, { respondents: result.respondents, data: result.data });
+    setActiveRespondentId(respondent.id);
+  };
+
+  const handleRemoveRespondent = (respondent) => {
+    if (!window.confirm(`Remove ${respondent.name} and all of their answers?`)) return;
+    const result = removeRespondent(data, respondents, respondent.id, settings);
+    applyEdit(`Remove respondent ${respondent.name}`, { respondents: result.respondents, data: result.data });
+  };
+
+  const handleCreateSnapshot = (name, date) => {
+    applyEdit(`Create snapshot ${name}`, { snapshots: sortSnapshots([...snapshots, createSnapshot(data, name, date)]) });
+  };
+
+  const handleRestoreSnapshot = (snapshot) => {
+    if (!window.confirm(`Replace the current answers with "${snapshot.name}"?`)) return;
+    applyEdit(`Restore snapshot ${snapshot.name}`, { data: calculateHierarchyScores(snapshot.data, settings) });
+  };
+
+  const handleDeleteSnapshot = (snapshot) => {
+    if (!window.confirm(`Delete snapshot "${snapshot.name}"?`)) return;
+    applyEdit(`Delete snapshot ${snapshot.name}`, { snapshots: snapshots.filter(snap => snap.id !== snapshot.id) });
+    if (compareBaseId === snapshot.id) setCompareBaseId(null);
+    if (compareTargetId === snapshot.id) setCompareTargetId('current');
+  };
+
+  const handleImport = (importOptions) => {
+    try {
+        const imported = processRawData(importDraft, settings, importOptions);
+        applyEdit(`Import ${imported.data.length} rows`, { maturityHeaders: imported.maturityHeaders, data: imported.data, respondents: [] });
+        setImportDraft(null);
+        setHighlightedRow(null);
+    } catch (err) {
+        console.error(err);
+        setErrorMsg("Failed to process data. Ensure CSV format is correct.");
     }
+  };
 
-    if (row.selectedMaturityIndex === maturityIndex) {
-        row.selectedMaturityIndex = -1;
-        row.Score = undefined; 
+  const handleMaturityClick = (rowIndex, maturityIndex) => {
+    const criterion = data[rowIndex].CID;
+    if (selectionMode === 'target') {
+      applyEdit(`Set target for ${criterion}`, { data: selectTarget(data, rowIndex, maturityIndex, settings) });
+    } else if (respondents.length > 0) {
+      // The aggregate view is read-only; answers belong to a respondent.
+      if (activeRespondentId) applyEdit(`Answer ${criterion}`, { data: selectResponse(data, rowIndex, activeRespondentId, maturityIndex, settings) });
     } else {
-        row.selectedMaturityIndex = maturityIndex;
-        row.Score = newScore;
+      applyEdit(`Answer ${criterion}`, { data: selectMaturity(data, rowIndex, maturityIndex, settings) });
     }
+  };
+
+  const handleWeightModeChange = (weightMode) => {
+    const newSettings = { ...settings, weightMode };
+    applyEdit('Change weight mode', { settings: newSettings, data: calculateHierarchyScores(data, newSettings) });
+  };
+
+  const handleSchemeChange = (scoring) => {
+    const newSettings = { ...settings, scoring };
+    applyEdit('Edit scoring scheme', { settings: newSettings, data: calculateHierarchyScores(data, newSettings) }, { mergeKey: 'scoring' });
+  };
+
+  // A row scheme of undefined falls back to the assessment default.
+  const handleRowSchemeChange = (rowIndex, scoring) => {
+    applyEdit(`Edit scoring for ${data[rowIndex].CID}`, { data: updateScoredRows(data, { [rowIndex]: { scoring } }, settings) }, { mergeKey: `scoring:${rowIndex}` });
+  };
 
-    const recalculated = calculateHierarchyScores(newData);
-    setData(recalculated);
+  const handleRebalance = () => {
+    applyEdit('Rebalance weights', { data: rebalanceWeights(data, settings) });
   };
   
+  // Rows are replaced rather than mutated so the edit history keeps the old ones.
+  // A weight (already a fraction) only changes the scores of the row's
+  // ancestors, so only those are rescored; text edits rescore nothing.
   const handleInputChange = (rowIndex, field, value) => {
-      const newData = [...data];
+      const label = `Edit ${field === 'Calculated Weights' ? 'weight' : field} of ${data[rowIndex].CID || 'new row'}`;
+      const options = { mergeKey: `${field}:${rowIndex}` };
       if (field === 'Calculated Weights') {
-          newData[rowIndex][field] = parsePercentage(value);
-          const recalculated = calculateHierarchyScores(newData);
-          setData(recalculated);
+          applyEdit(label, { data: updateScoredRows(data, { [rowIndex]: { [field]: value } }, settings) }, options);
+      } else if (field === 'CID') {
+          // Moves the row in the tree: rescores its old and new ancestors,
+          // keeping the row where it is in the table while the CID is typed.
+          applyEdit(label, { data: updateScoredRows(data, { [rowIndex]: { CID: value } }, settings) }, options);
       } else {
-          newData[rowIndex][field] = value;
-          setData(newData);
+          applyEdit(label, { data: data.map((row, i) => i === rowIndex ? { ...row, [field]: value } : row) }, options);
       }
   };
 
   const addRow = () => {
-      setData([...data, { 
+      applyEdit('Add row', { data: [...data, { 
           CID: '', 
           Criterion: '', 
           'Calculated Weights': 0, 
-          Score: 0, 
+          Score: undefined, 
           maturities: new Array(maturityHeaders.length).fill(""),
-          selectedMaturityIndex: -1
-      }]);
+          selectedMaturityIndex: -1,
+          targetMaturityIndex: -1,
+          ...(respondents.length > 0 ? { responses: {} } : {})
+      }] });
   };
 
   const deleteRow = (index) => {
       const newData = data.filter((_, i) => i !== index);
-      const recalculated = calculateHierarchyScores(newData);
-      setData(recalculated);
+      applyEdit(`Delete ${data[index].CID || 'row'} ${data[index].Criterion}`.trim(), { data: calculateHierarchyScores(newData, settings) });
+      setDetailRow(null);
   };
 
-  const handlePaste = () => {
+  // Parsed tables go through the import wizard for column mapping first.
+  const openImportWizard = (text) => {
       try {
-          let parsed;
-          if (pasteText.includes('\t')) {
-              parsed = d3.tsvParse(pasteText);
-          } else {
-              parsed = d3.csvParse(pasteText);
-          }
-          
-          if (!parsed.columns || parsed.columns.length < 2) throw new Error("Invalid CSV/TSV");
-          processRawData(parsed);
+          setImportDraft(parseDelimited(text));
           setPasteModalOpen(false);
           setPasteText("");
           setErrorMsg("");
-      } catch (err) {
+      } catch {
           setErrorMsg("Failed to parse data. Check format.");
       }
   };
 
+  const handlePaste = () => {
+      openImportWizard(pasteText);
+  };
+
+  const loadDelimitedFile = (event) => {
+      const file = event.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = (e) => openImportWizard(e.target.result);
+      reader.readAsText(file);
+      event.target.value = '';
+  };
+
+  // --- Tree ---
+
+  const toggleCollapsed = (cid) => {
+      const next = { ...collapsed };
+      if (next[cid]) delete next[cid];
+      else next[cid] = true;
+      setCollapsed(next);
+  };
+
+  const collapseAll = () => {
+      setCollapsed(Object.fromEntries(data.filter(row => row.children && row.children.length > 0).map(row => [row.CID, true])));
+  };
+
+  const endDrag = () => {
+      setDragCid(null);
+      setDropTarget(null);
+  };
+
+  const handleDragOver = (event, parentCid) => {
+      if (dragCid === null || !canMoveBranch(dragCid, parentCid)) return;
+      event.preventDefault();
+      const target = parentCid ?? TOP_LEVEL_DROP;
+      if (dropTarget !== target) setDropTarget(target);
+  };
+
+  // Drops the dragged branch under `parentCid` (null for top level).
+  const handleDrop = (event, parentCid) => {
+      event.preventDefault();
+      const result = dragCid !== null && moveBranch(data, dragCid, parentCid, settings);
+      endDrag();
+      if (!result) return;
+      const newCid = result.renamed[dragCid];
+      applyEdit(`Move ${dragCid} to ${newCid}`, { data: result.data });
+      const nextCollapsed = renameCollapsed(collapsed, result.renamed);
+      if (parentCid !== null) delete nextCollapsed[parentCid];
+      setCollapsed(nextCollapsed);
+      if (result.renamed[focusCid]) setFocusCid(result.renamed[focusCid]);
+      setDetailRow(null);
+      setSchemeRow(null);
+      setHighlightedRow(result.data.findIndex(row => row.CID === newCid));
+  };
+
+  const handleDetailChange = (rowIndex, patch) => {
+      const fields = Object.keys(patch).join(', ');
+      applyEdit(`Edit ${fields} of ${data[rowIndex].CID}`, { data: data.map((row, i) => i === rowIndex ? { ...row, ...patch } : row) }, { mergeKey: `detail:${rowIndex}:${fields}` });
+  };
+
+  // Expands collapsed branches hiding the row (and drops a branch filter that
+  // leaves it out) first; the row only exists in the DOM after that render.
+  const jumpToRow = (rowIndex, { focusInput = true } = {}) => {
+      if (isRespondentMode) {
+          if (data[rowIndex]) setQuestionCid(data[rowIndex].CID);
+          return;
+      }
+      setHighlightedRow(rowIndex);
+      const cid = data[rowIndex] ? data[rowIndex].CID : null;
+      const expanded = cid !== null ? revealCid(collapsed, cid) : collapsed;
+      const filteredOut = isFiltered && cid !== null && !isOnBranchPath(cid, focusCid);
+      if (filteredOut) setFocusFilter(false);
+      if (expanded !== collapsed) setCollapsed(expanded);
+      setScrollRequest({ rowIndex, focusInput });
+  };
+
+  // The table only renders rows near its viewport, so a row being jumped to
+  // may not exist yet: scroll to its estimated position first and finish once
+  // the window has moved there.
+  useEffect(() => {
+      if (!scrollRequest || handledScrollRef.current === scrollRequest) return;
+      const rowEl = document.getElementById(`survey-row-${scrollRequest.rowIndex}`);
+      if (rowEl) {
+          handledScrollRef.current = scrollRequest;
+          rowEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+          const firstInput = scrollRequest.focusInput && rowEl.querySelector('input');
+          if (firstInput) firstInput.focus({ preventScroll: true });
+          return;
+      }
+      const position = visibleIndices.indexOf(scrollRequest.rowIndex);
+      const container = tableScrollRef.current;
+      if (position >= 0 && container) container.scrollTop = Math.max(0, position * tableRowHeight - container.clientHeight / 2);
+  }, [scrollRequest, visibleIndices, tableWindowStart, tableRowHeight]);
+
+  // Viewport height and average row height for the virtualised table.
+  useEffect(() => {
+      const container = tableScrollRef.current;
+      const body = tableBodyRef.current;
+      if (!container || !body || typeof ResizeObserver === 'undefined') return;
+      const observer = new ResizeObserver(() => {
+          setTableViewportHeight(container.clientHeight);
+          const rows = body.querySelectorAll('tr[data-survey-row]');
+          if (rows.length === 0) return;
+          const total = Array.from(rows).reduce((sum, row) => sum + row.offsetHeight, 0);
+          setTableRowHeight(Math.max(20, Math.round(total / rows.length)));
+      });
+      observer.observe(container);
+      observer.observe(body);
+      return () => observer.disconnect();
+  }, []);
+
+  // Focus shared by the chart zoom and the table: from the chart or the
+  // breadcrumb the table also scrolls to the row.
+  const focusOnCid = (cid) => {
+      setFocusCid(cid);
+      const rowIndex = cid === null ? -1 : data.findIndex(row => row.CID === cid);
+      if (rowIndex >= 0) jumpToRow(rowIndex, { focusInput: false });
+      else setHighlightedRow(null);
+  };
+
+  // The questionnaire moves the chart focus along with it.
+  const handleQuestionChange = (cid) => {
+      setQuestionCid(cid);
+      setFocusCid(cid);
+  };
+
+  // Respondent mode locks the framework: only levels can be picked, through
+  // the questionnaire, and the colours and workspaces are out of reach too.
+  // Leaving it needs a confirmation.
+  const handleModeChange = (mode) => {
+      if ((mode === 'respondent') === isRespondentMode) return;
+      if (mode === 'author' && !window.confirm('Switch to author mode? It allows editing criteria, weights and structure.')) return;
+      if (mode === 'respondent') {
+          setSelectionMode('current');
+          setValidationOpen(false);
+          setHistoryOpen(false);
+          setRespondentsOpen(false);
+          setSnapshotsOpen(false);
+          setScoringOpen(false);
+          setPasteModalOpen(false);
+          setTemplatesOpen(false);
+          setColorsOpen(false);
+          setWorkspacesOpen(false);
+          setSchemeRow(null);
+          setDetailRow(null);
+      }
+      setMeta({ ...meta, mode });
+  };
+
+  // Sets or (with level undefined) drops one hypothetical level. The sandbox
+  // is not an edit: it stays out of the history and is never saved.
+  const handleWhatIfLevel = (cid, level) => {
+      setWhatIfLevels(prev => {
+          const { [cid]: _removed, ...rest } = prev;
+          return level === undefined ? rest : { ...rest, [cid]: level };
+      });
+  };
+
+  const jumpToNextUnanswered = () => {
+      const nextIndex = findNextUnanswered(data, highlightedRow ?? -1);
+      if (nextIndex >= 0) jumpToRow(nextIndex);
+  };
+
+  // Serialises every chart currently on screen (two in side-by-side compare).
+  const captureCharts = () => {
+      const svgEls = chartPaneRef.current ? Array.from(chartPaneRef.current.querySelectorAll('svg.maturity-chart')) : [];
+      const chartLabel = CHART_TYPES.find(type => type.id === chartType).label;
+      const names = isCompareView && compareStyle === 'paired' ? [compareBase.name, compareTarget.name] : [isWhatIfView ? `${chartLabel} (what-if)` : chartLabel];
+      return svgEls.map((svgEl, i) => ({ name: names[i] || `Chart ${i + 1}`, ...serializeChart(svgEl) }));
+  };
+
+  const chartFilename = (extension, index, count) => `maturity_${chartType}${count > 1 ? `_${index + 1}` : ''}.${extension}`;
+
+  const exportSvg = () => {
+      const charts = captureCharts();
+      charts.forEach((chart, i) => downloadBlob(new Blob([chart.svg], { type: 'image/svg+xml' }), chartFilename('svg', i, charts.length)));
+  };
+
+  const exportPng = async () => {
+      const charts = captureCharts();
+      try {
+          for (const [i, chart] of charts.entries()) {
+              downloadBlob(await svgToPngBlob(chart), chartFilename('png', i, charts.length));
+          }
+      } catch (err) {
+          console.error(err);
+          setErrorMsg("Failed to export PNG.");
+      }
+  };
+
+  const openReport = () => {
+      setReportCharts(captureCharts());
+  };
+
   const saveJson = () => {
-      const exportObject = {
-          maturityHeaders,
-          data
-      };
-      const dataStr = "data:text/json;charset=utf-8," + encodeURIComponent(JSON.stringify(exportObject));
+      if (hasErrors(validationIssues)) {
+          setValidationOpen(true);
+          const proceed = window.confirm(`This assessment has ${structureErrorCount} structural error${structureErrorCount === 1 ? '' : 's'}. Save anyway?`);
+          if (!proceed) return;
+      }
+      const surveyDocument = createSurveyDocument({ meta, maturityHeaders, data, settings, snapshots, respondents });
+      setMeta(surveyDocument.meta);
+      const dataStr = "data:text/json;charset=utf-8," + encodeURIComponent(JSON.stringify(surveyDocument));
       const downloadAnchorNode = document.createElement('a');
       downloadAnchorNode.setAttribute("href", dataStr);
       downloadAnchorNode.setAttribute("download", "maturity_survey.json");
       document.body.appendChild(downloadAnchorNode);
       downloadAnchorNode.click();
       downloadAnchorNode.remove();
+      if (workspaceId) {
+          flushWorkspace();
+          markWorkspaceExported(workspaceId);
+          setWorkspaces(listWorkspaces());
+      }
+  };
+
+  // Same column layout as the Paste CSV importer, so exports load back unchanged.
+  const exportTable = (format) => {
+      setExportMenuOpen(false);
+      const exporters = {
+          csv: () => new Blob([toScoredCsv(maturityHeaders, data, settings)], { type: 'text/csv;charset=utf-8' }),
+          tsv: () => new Blob([toScoredTsv(maturityHeaders, data, settings)], { type: 'text/tab-separated-values;charset=utf-8' }),
+          xlsx: () => new Blob([toScoredXlsx({ maturityHeaders, data, settings, snapshots })], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' })
+      };
+      downloadBlob(exporters[format](), `maturity_survey.${format}`);
   };
 
   const loadJson = (event) => {
@@ -455,43 +782,125 @@ export default function App() {
       const reader = new FileReader();
       reader.onload = (e) => {
           try {
-              const jsonImport = JSON.parse(e.target.result);
-              let loadedData = [];
-              if (Array.isArray(jsonImport)) {
-                  loadedData = jsonImport;
-                  const maxLen = loadedData.reduce((max, d) => Math.max(max, d.maturities ? d.maturities.length : 0), 0);
-                  const inferredHeaders = Array.from({length: maxLen}, (_, i) => `Maturity ${i+1}`);
-                  setMaturityHeaders(inferredHeaders);
-              } else if (jsonImport.data && jsonImport.maturityHeaders) {
-                  loadedData = jsonImport.data;
-                  setMaturityHeaders(jsonImport.maturityHeaders);
-              }
-
-              const recalculated = calculateHierarchyScores(loadedData);
-              setData(recalculated);
+              const survey = parseSurveyJson(JSON.parse(e.target.result));
+              startNewWorkspace(survey);
+              setLoadIssues(survey.issues);
           } catch (err) {
-              setErrorMsg("Error parsing JSON file");
+              console.error(err);
+              setErrorMsg(err instanceof SyntaxError ? "Error parsing JSON file" : err.message);
           }
       };
       reader.readAsText(file);
+      event.target.value = '';
   };
 
+  // Table rows call the latest handlers through a ref, so the `actions` object
+  // they receive never changes and memoised rows skip unrelated renders.
+  const rowHandlersRef = useRef(null);
+  useLayoutEffect(() => {
+      rowHandlersRef.current = {
+          inputChange: handleInputChange,
+          maturityClick: handleMaturityClick,
+          toggleCollapsed,
+          focusRow: (cid) => { if (focusCid !== cid) setFocusCid(cid); },
+          dragStart: (cid) => setDragCid(cid),
+          dragEnd: endDrag,
+          dragOver: handleDragOver,
+          drop: handleDrop,
+          toggleScheme: (rowIndex) => setSchemeRow(schemeRow === rowIndex ? null : rowIndex),
+          schemeChange: handleRowSchemeChange,
+          toggleNotApplicable: (rowIndex) => applyEdit(`Toggle N/A for ${data[rowIndex].CID}`, { data: toggleNotApplicable(data, rowIndex, settings) }),
+          toggleDetail: (rowIndex) => setDetailRow(detailRow === rowIndex ? null : rowIndex),
+          deleteRow
+      };
+  });
+  const rowActions = useMemo(() => {
+      const call = (name) => (...args) => rowHandlersRef.current[name](...args);
+      return Object.fromEntries(['inputChange', 'maturityClick', 'toggleCollapsed', 'focusRow', 'dragStart', 'dragEnd', 'dragOver', 'drop', 'toggleScheme', 'schemeChange', 'toggleNotApplicable', 'toggleDetail', 'deleteRow'].map(name => [name, call(name)]));
+  }, []);
+  const tableWindow = virtualWindow(visibleIndices.length, { start: tableWindowStart, viewportHeight: tableViewportHeight, rowHeight: tableRowHeight });
+
   return (
-    <div className="flex flex-col h-screen bg-gray-50 text-gray-800 font-sans overflow-hidden">
+    <>
+    <div className="flex flex-col h-screen bg-gray-50 text-gray-800 font-sans overflow-hidden print:hidden">
       {/* Header */}
       <header className="flex-none bg-white border-b border-gray-200 px-6 py-4 flex justify-between items-center shadow-sm z-10">
         <div>
             <h1 className="text-2xl font-bold text-gray-900">Maturity Sunburst SPA</h1>
-            <p className="text-sm text-gray-500">Interactive Assessment Tool</p>
+            <div className="flex gap-2 text-sm">
+                <input
+                    type="text"
+                    value={meta.title}
+                    readOnly={isRespondentMode}
+                    onChange={(e) => setMeta({ ...meta, title: e.target.value })}
+                    placeholder="Untitled assessment"
+                    className="w-64 px-1 border-b border-transparent hover:border-gray-300 focus:border-blue-500 focus:outline-none text-gray-700"
+                />
+                <input
+                    type="text"
+                    value={meta.author}
+                    readOnly={isRespondentMode}
+                    onChange={(e) => setMeta({ ...meta, author: e.target.value })}
+                    placeholder="Author"
+                    className="w-40 px-1 border-b border-transparent hover:border-gray-300 focus:border-blue-500 focus:outline-none text-gray-500"
+                />
+            </div>
         </div>
         <div className="flex gap-2">
+            <div className="inline-flex rounded border border-gray-300 overflow-hidden shadow" title="Author mode edits the framework; respondent mode only answers, one question at a time">
+                <button
+                    onClick={() => handleModeChange('author')}
+                    className={`flex items-center gap-2 px-3 py-2 ${!isRespondentMode ? 'bg-gray-700 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                >
+                    <PenLine size={16} /> Author
+                </button>
+                <button
+                    onClick={() => handleModeChange('respondent')}
+                    className={`flex items-center gap-2 px-3 py-2 ${isRespondentMode ? 'bg-gray-700 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                >
+                    <ClipboardList size={16} /> Respondent
+                </button>
+            </div>
+            {!isRespondentMode && (
+            <button onClick={() => setWorkspacesOpen(!workspacesOpen)} className="flex items-center gap-2 px-4 py-2 bg-white text-gray-700 border border-gray-300 rounded hover:bg-gray-50 transition shadow" title="Assessments saved in this browser">
+                <FolderOpen size={16} /> Workspaces
+                {storageError && <AlertCircle size={14} className="text-red-600" />}
+            </button>
+            )}
+            {!isRespondentMode && (
+            <button onClick={() => setTemplatesOpen(!templatesOpen)} className="flex items-center gap-2 px-4 py-2 bg-white text-gray-700 border border-gray-300 rounded hover:bg-gray-50 transition shadow" title="Start from a framework or save this structure for reuse">
+                <LayoutTemplate size={16} /> Templates
+            </button>
+            )}
+            <button onClick={() => setShareOpen(!shareOpen)} className="flex items-center gap-2 px-4 py-2 bg-white text-gray-700 border border-gray-300 rounded hover:bg-gray-50 transition shadow" title="Link or QR code that opens this assessment, with no server">
+                <Share2 size={16} /> Share
+            </button>
             <button onClick={saveJson} className="flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 transition shadow">
                 <Download size={16} /> Save JSON
             </button>
+            <div className="relative">
+                <button onClick={() => setExportMenuOpen(!exportMenuOpen)} className="flex items-center gap-2 px-4 py-2 bg-teal-600 text-white rounded hover:bg-teal-700 transition shadow">
+                    <FileSpreadsheet size={16} /> Export
+                </button>
+                {exportMenuOpen && (
+                    <div className="absolute right-0 mt-1 w-56 bg-white border border-gray-200 rounded shadow-lg z-20 text-sm">
+                        {[['csv', 'CSV (.csv)'], ['tsv', 'Tab-separated (.tsv)'], ['xlsx', 'Excel, one sheet per snapshot']].map(([format, text]) => (
+                            <button key={format} onClick={() => exportTable(format)} className="block w-full text-left px-3 py-2 hover:bg-gray-50">
+                                {text}
+                            </button>
+                        ))}
+                        <div className="px-3 py-2 border-t border-gray-100 text-xs text-gray-500">
+                            Settings and respondents' answers are not exported; Save JSON keeps them.
+                        </div>
+                    </div>
+                )}
+            </div>
+            {!isRespondentMode && (
             <label className="flex items-center gap-2 px-4 py-2 bg-purple-600 text-white rounded hover:bg-purple-700 transition shadow cursor-pointer">
                 <Upload size={16} /> Load JSON
                 <input type="file" className="hidden" accept=".json" onChange={loadJson} />
             </label>
+            )}
         </div>
       </header>
 
@@ -499,28 +908,359 @@ export default function App() {
       <div className="flex-1 flex overflow-hidden">
         
         {/* Left Pane: Chart (1/3) */}
-        <div className="w-1/3 border-r border-gray-200 bg-white relative p-4 flex flex-col">
-           <div className="flex-1 relative">
-             <SunburstChart data={data} />
+        <div ref={chartPaneRef} className="w-1/3 border-r border-gray-200 bg-white relative p-4 flex flex-col">
+           <div className="flex-none flex flex-wrap items-center justify-center gap-2 mb-2">
+             <select
+               value={chartType}
+               onChange={(e) => setChartType(e.target.value)}
+               className="px-2 py-1 border border-gray-300 rounded bg-white text-sm"
+               title="Chart type"
+             >
+               {CHART_TYPES.map(type => <option key={type.id} value={type.id}>{type.label}</option>)}
+             </select>
+             {!isRespondentMode && (
+             <button
+               onClick={() => setColorsOpen(!colorsOpen)}
+               title="Palette and score bands"
+               className={`flex items-center gap-1 px-2 py-1 border rounded text-sm ${colorsOpen ? 'bg-gray-700 text-white border-gray-700' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'}`}
+             >
+               <Palette size={14} /> Colours
+             </button>
+             )}
+             <div className="inline-flex rounded border border-gray-300 overflow-hidden text-sm">
+               {[['score', 'Score'], ['gap', 'Gap to target'], ['compare', 'Compare'], ['whatif', 'What-if']].map(([mode, text]) => (
+                 <button
+                   key={mode}
+                   onClick={() => setViewMode(mode)}
+                   className={`px-3 py-1 ${viewMode === mode ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                 >
+                   {text}
+                 </button>
+               ))}
+             </div>
+             <div className="inline-flex rounded border border-gray-300 overflow-hidden text-sm">
+               <button onClick={exportSvg} title="Download the chart as shown as SVG" className="flex items-center gap-1 px-2 py-1 bg-white text-gray-700 hover:bg-gray-50">
+                 <FileImage size={14} /> SVG
+               </button>
+               <button onClick={exportPng} title="Download the chart as shown as a high-resolution PNG" className="flex items-center gap-1 px-2 py-1 bg-white text-gray-700 hover:bg-gray-50 border-l border-gray-300">
+                 <ImageIcon size={14} /> PNG
+               </button>
+               <button onClick={openReport} title="Printable report with chart, legend and scored criteria" className="flex items-center gap-1 px-2 py-1 bg-white text-gray-700 hover:bg-gray-50 border-l border-gray-300">
+                 <Printer size={14} /> Report
+               </button>
+             </div>
            </div>
+           {colorsOpen && !isRespondentMode && (
+             <ColorSettingsPanel colors={settings.colors} onChange={handleColorsChange} onClose={() => setColorsOpen(false)} />
+           )}
+           {isCompareView && (
+             <div className="flex-none flex flex-wrap items-center justify-center gap-2 mb-2 text-sm">
+               <select
+                 value={effectiveBaseId ?? ''}
+                 onChange={(e) => setCompareBaseId(e.target.value)}
+                 className="px-2 py-1 border border-gray-300 rounded bg-white max-w-[40%]"
+                 title="Baseline"
+               >
+                 {snapshots.length === 0 && <option value="">No snapshots</option>}
+                 {sortSnapshots(snapshots).map(snap => <option key={snap.id} value={snap.id}>{snap.date} {snap.name}</option>)}
+                 <option value="current">Current</option>
+               </select>
+               <ChevronRight size={14} className="text-gray-400" />
+               <select
+                 value={compareTargetId}
+                 onChange={(e) => setCompareTargetId(e.target.value)}
+                 className="px-2 py-1 border border-gray-300 rounded bg-white max-w-[40%]"
+                 title="Compare to"
+               >
+                 {sortSnapshots(snapshots).map(snap => <option key={snap.id} value={snap.id}>{snap.date} {snap.name}</option>)}
+                 <option value="current">Current</option>
+               </select>
+               <div className="inline-flex rounded border border-gray-300 overflow-hidden">
+                 {[['delta', 'Delta'], ['paired', 'Side by side']].map(([style, text]) => (
+                   <button
+                     key={style}
+                     onClick={() => setCompareStyle(style)}
+                     className={`px-2 py-1 ${compareStyle === style ? 'bg-gray-700 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                   >
+                     {text}
+                   </button>
+                 ))}
+               </div>
+             </div>
+           )}
+           {/* Breadcrumb */}
+           <nav className="flex-none flex flex-wrap items-center justify-center gap-1 mb-2 text-sm" aria-label="Chart focus">
+             <button
+               onClick={() => focusOnCid(null)}
+               className={focusPath.length ? 'text-blue-700 hover:underline' : 'font-semibold text-gray-700'}
+             >
+               All criteria
+             </button>
+             {focusPath.map((row, i) => (
+               <React.Fragment key={row.CID}>
+                 <ChevronRight size={12} className="text-gray-400" />
+                 <button
+                   onClick={() => focusOnCid(row.CID)}
+                   title={row.CID}
+                   className={`max-w-[10rem] truncate ${i === focusPath.length - 1 ? 'font-semibold text-gray-700' : 'text-blue-700 hover:underline'}`}
+                 >
+                   {row.Criterion || row.CID}
+                 </button>
+               </React.Fragment>
+             ))}
+             {focusPath.length > 0 && (
+               <label className="ml-2 flex items-center gap-1 text-xs text-gray-600" title="Show only this branch and its parents in the table">
+                 <input type="checkbox" checked={focusFilter} onChange={(e) => setFocusFilter(e.target.checked)} />
+                 Filter table
+               </label>
+             )}
+           </nav>
+           {isCompareView && !comparison && (
+             <div className="flex-1 flex items-center justify-center text-sm text-gray-500 text-center px-8">
+               Take a snapshot (Snapshots in the table toolbar) to compare it with later answers.
+             </div>
+           )}
+           {isCompareView && comparison && compareStyle === 'paired' && (
+             <div className="flex-1 flex flex-col min-h-0">
+               <div className="text-xs text-center text-gray-500">{compareBase.name}</div>
+               <div className="flex-1 relative min-h-0">
+                 <MaturityChart type={chartType} data={comparison.before} settings={settings} maturityHeaders={maturityHeaders} focusCid={focusCid} onPathClick={focusOnCid} />
+               </div>
+               <div className="text-xs text-center text-gray-500">{compareTarget.name}</div>
+               <div className="flex-1 relative min-h-0">
+                 <MaturityChart type={chartType} data={comparison.after} settings={settings} maturityHeaders={maturityHeaders} focusCid={focusCid} onPathClick={focusOnCid} />
+               </div>
+             </div>
+           )}
+           {isCompareView && comparison && compareStyle === 'delta' && (
+             <div className="flex-1 relative min-h-0">
+               <MaturityChart type={chartType} data={comparison.after} settings={settings} maturityHeaders={maturityHeaders} colorBy="delta" focusCid={focusCid} onPathClick={focusOnCid} />
+             </div>
+           )}
+           {!isCompareView && (
+             <div className="flex-1 relative min-h-0">
+               <MaturityChart type={chartType} data={whatIf ? whatIf.projected : data} settings={settings} maturityHeaders={maturityHeaders} colorBy={chartColorBy} focusCid={focusCid} onPathClick={focusOnCid} />
+             </div>
+           )}
+           {(!isCompareView || comparison) && (
+             <div className="flex-none mt-2 flex justify-center">
+               <ChartLegend colorBy={chartColorBy} extent={chartExtent} colors={settings.colors} />
+             </div>
+           )}
+           {isGapView && (
+             <div className="flex-none h-1/3 mt-2 overflow-auto border border-gray-200 rounded">
+               <GapTable gaps={gaps} onSelect={(row) => jumpToRow(data.indexOf(row))} />
+             </div>
+           )}
+           {whatIf && (
+             <div className="flex-none h-1/3 mt-2 overflow-auto border border-gray-200 rounded">
+               <WhatIfPanel
+                 data={data}
+                 projected={whatIf.projected}
+                 settings={settings}
+                 rootScore={whatIf.rootScore}
+                 projectedRootScore={whatIf.projectedRootScore}
+                 levels={whatIfLevels}
+                 improvements={whatIf.improvements}
+                 onSetLevel={handleWhatIfLevel}
+                 onClear={() => setWhatIfLevels({})}
+                 onSelect={(cid) => jumpToRow(data.findIndex(row => row.CID === cid))}
+               />
+             </div>
+           )}
         </div>
 
         {/* Right Pane: Table (2/3) */}
         <div className="w-2/3 flex flex-col bg-gray-50 h-full">
            {/* Toolbar */}
-           <div className="flex-none p-4 bg-white border-b border-gray-200 flex justify-between items-center">
-              <h2 className="font-semibold text-lg flex items-center gap-2">
-                  <Clipboard size={18}/> Survey Questions
-              </h2>
-              <div className="flex gap-2">
-                  <button onClick={() => setPasteModalOpen(!pasteModalOpen)} className="flex items-center gap-2 px-3 py-1.5 bg-blue-500 text-white rounded hover:bg-blue-600 text-sm">
-                      <FileText size={14} /> Paste CSV
-                  </button>
-                  <button onClick={addRow} className="flex items-center gap-2 px-3 py-1.5 bg-green-600 text-white rounded hover:bg-green-700 text-sm">
-                      <Plus size={14} /> Add Row
-                  </button>
-              </div>
-           </div>
+           {!isRespondentMode && (
+             <div className="flex-none p-4 bg-white border-b border-gray-200 flex flex-wrap gap-2 justify-between items-center">
+                <h2 className="font-semibold text-lg flex items-center gap-2">
+                    <Clipboard size={18}/> Survey Questions
+                </h2>
+                <div className="flex flex-wrap gap-2">
+                    <div className="inline-flex rounded border border-gray-300 overflow-hidden text-sm">
+                        <button
+                            onClick={() => travelHistory(history.past.length - 1)}
+                            disabled={!history.past.length}
+                            title={history.past.length ? `Undo ${history.past.at(-1).label} (Ctrl+Z)` : 'Nothing to undo'}
+                            className="px-2 py-1.5 bg-white text-gray-700 hover:bg-gray-50 disabled:opacity-40 disabled:cursor-default"
+                        >
+                            <Undo2 size={14} />
+                        </button>
+                        <button
+                            onClick={() => travelHistory(history.past.length + 1)}
+                            disabled={!history.future.length}
+                            title={history.future.length ? `Redo ${history.future[0].label} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+                            className="px-2 py-1.5 bg-white text-gray-700 hover:bg-gray-50 border-l border-gray-300 disabled:opacity-40 disabled:cursor-default"
+                        >
+                            <Redo2 size={14} />
+                        </button>
+                        <button
+                            onClick={() => setHistoryOpen(!historyOpen)}
+                            title="Recent edits"
+                            className={`px-2 py-1.5 border-l border-gray-300 ${historyOpen ? 'bg-gray-700 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                        >
+                            History
+                        </button>
+                    </div>
+                    {respondents.length > 0 && (
+                        <select
+                            value={activeRespondentId ?? ''}
+                            onChange={(e) => setActiveRespondentId(e.target.value || null)}
+                            className="px-2 py-1 border border-gray-300 rounded bg-white text-sm"
+                            title="Whose answers the table shows and edits"
+                        >
+                            <option value="">All respondents ({settings.aggregation})</option>
+                            {respondents.map(r => <option key={r.id} value={r.id}>Answering as {r.name}</option>)}
+                        </select>
+                    )}
+                    <button onClick={() => setRespondentsOpen(!respondentsOpen)} className="flex items-center gap-2 px-3 py-1.5 bg-white text-gray-700 border border-gray-300 rounded hover:bg-gray-50 text-sm">
+                        <Users size={14} /> Respondents{respondents.length > 0 ? ` (${respondents.length})` : ''}
+                    </button>
+                    <label className="flex items-center gap-2 text-sm text-gray-600" title="How sibling weights that do not total 100% are scored">
+                        <Scale size={14} /> Weights
+                        <select
+                            value={settings.weightMode}
+                            onChange={(e) => handleWeightModeChange(e.target.value)}
+                            className="px-2 py-1 border border-gray-300 rounded bg-white text-sm"
+                        >
+                            <option value="raw">As entered</option>
+                            <option value="normalize">Normalize</option>
+                        </select>
+                    </label>
+                    <button
+                        onClick={() => setValidationOpen(!validationOpen)}
+                        className={`flex items-center gap-2 px-3 py-1.5 rounded text-sm border ${
+                            structureErrorCount > 0
+                            ? 'bg-red-50 text-red-700 border-red-300 hover:bg-red-100'
+                            : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                        }`}
+                    >
+                        <ListChecks size={14} /> Validation
+                        {validationIssues.length > 0 && (
+                            <span className={`px-1.5 rounded-full text-xs text-white ${structureErrorCount > 0 ? 'bg-red-600' : 'bg-amber-500'}`}>
+                                {validationIssues.length}
+                            </span>
+                        )}
+                    </button>
+                    <button
+                        onClick={() => setSelectionMode(selectionMode === 'target' ? 'current' : 'target')}
+                        title="Choose whether clicking a maturity level sets the current level or the target level"
+                        className={`flex items-center gap-2 px-3 py-1.5 rounded text-sm border ${
+                            selectionMode === 'target'
+                            ? 'bg-emerald-600 text-white border-emerald-700'
+                            : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                        }`}
+                    >
+                        <Target size={14} /> {selectionMode === 'target' ? 'Setting targets' : 'Set targets'}
+                    </button>
+                    <button onClick={() => setSnapshotsOpen(!snapshotsOpen)} className="flex items-center gap-2 px-3 py-1.5 bg-white text-gray-700 border border-gray-300 rounded hover:bg-gray-50 text-sm">
+                        <History size={14} /> Snapshots{snapshots.length > 0 ? ` (${snapshots.length})` : ''}
+                    </button>
+                    <button onClick={() => setScoringOpen(!scoringOpen)} className="flex items-center gap-2 px-3 py-1.5 bg-white text-gray-700 border border-gray-300 rounded hover:bg-gray-50 text-sm">
+                        <SlidersHorizontal size={14} /> Scoring: {describeScheme(settings.scoring)}
+                    </button>
+                    <button
+                        onClick={jumpToNextUnanswered}
+                        disabled={unansweredCount === 0}
+                        title={`${rootCompletion.answered} of ${rootCompletion.applicable} criteria answered`}
+                        className="flex items-center gap-2 px-3 py-1.5 bg-white text-gray-700 border border-gray-300 rounded hover:bg-gray-50 text-sm disabled:opacity-50 disabled:cursor-default"
+                    >
+                        <SkipForward size={14} /> Next unanswered{unansweredCount > 0 ? ` (${unansweredCount})` : ''}
+                    </button>
+                    <button onClick={() => setPasteModalOpen(!pasteModalOpen)} className="flex items-center gap-2 px-3 py-1.5 bg-blue-500 text-white rounded hover:bg-blue-600 text-sm">
+                        <FileText size={14} /> Paste CSV
+                    </button>
+                    <button onClick={addRow} className="flex items-center gap-2 px-3 py-1.5 bg-green-600 text-white rounded hover:bg-green-700 text-sm">
+                        <Plus size={14} /> Add Row
+                    </button>
+                </div>
+             </div>
+           )}
+
+           {/* Validation Panel */}
+           {validationOpen && (
+               <ValidationPanel issues={validationIssues} onJump={jumpToRow} onClose={() => setValidationOpen(false)} />
+           )}
+
+           {/* Edit History */}
+           {historyOpen && (
+               <HistoryPanel history={history} onTravel={travelHistory} onClose={() => setHistoryOpen(false)} />
+           )}
+
+           {/* Workspaces */}
+           {workspacesOpen && !isRespondentMode && (
+               <WorkspacePanel
+                   workspaces={workspaces}
+                   activeId={workspaceId}
+                   storageError={storageError}
+                   onOpen={openWorkspace}
+                   onNew={() => startNewWorkspace()}
+                   onDelete={handleDeleteWorkspace}
+                   onClose={() => setWorkspacesOpen(false)}
+               />
+           )}
+
+           {/* Templates */}
+           {templatesOpen && !isRespondentMode && (
+               <TemplatePanel
+                   builtIn={BUILT_IN_TEMPLATES}
+                   saved={savedTemplates}
+                   onUse={handleUseTemplate}
+                   onSave={handleSaveTemplate}
+                   onImport={handleImportTemplate}
+                   onDownload={handleDownloadTemplate}
+                   onDelete={handleDeleteTemplate}
+                   onClose={() => setTemplatesOpen(false)}
+               />
+           )}
+
+           {/* Share */}
+           {shareOpen && (
+               <SharePanel
+                   meta={meta}
+                   maturityHeaders={maturityHeaders}
+                   data={data}
+                   settings={settings}
+                   snapshots={snapshots}
+                   respondents={respondents}
+                   templates={shareTemplates}
+                   focusCid={focusCid}
+                   focusLabel={focusCid ? `${focusCid} ${data.find(row => row.CID === focusCid)?.Criterion || ''}`.trim() : ''}
+                   onClose={() => setShareOpen(false)}
+               />
+           )}
+
+           {/* Respondents */}
+           {respondentsOpen && (
+               <RespondentPanel
+                   respondents={respondents}
+                   settings={settings}
+                   onAdd={handleAddRespondent}
+                   onRemove={handleRemoveRespondent}
+                   onSettingsChange={handleSettingsChange}
+                   onClose={() => setRespondentsOpen(false)}
+               />
+           )}
+
+           {/* Snapshots */}
+           {snapshotsOpen && (
+               <SnapshotPanel
+                   snapshots={snapshots}
+                   onCreate={handleCreateSnapshot}
+                   onRestore={handleRestoreSnapshot}
+                   onDelete={handleDeleteSnapshot}
+                   onClose={() => setSnapshotsOpen(false)}
+               />
+           )}
+
+           {/* Scoring Scheme */}
+           {scoringOpen && (
+               <div className="flex-none p-4 bg-gray-100 border-b border-gray-200">
+                   <ScoringSchemeEditor scheme={settings.scoring} maturityHeaders={maturityHeaders} onChange={handleSchemeChange} />
+               </div>
+           )}
 
            {/* Paste Drawer */}
            {pasteModalOpen && (
@@ -532,8 +1272,12 @@ export default function App() {
                        onChange={(e) => setPasteText(e.target.value)}
                    />
                    <div className="mt-2 flex justify-end gap-2">
+                       <label className="mr-auto flex items-center gap-1 px-3 py-1 text-sm text-blue-700 hover:text-blue-900 cursor-pointer">
+                           <Upload size={14} /> Open CSV/TSV file…
+                           <input type="file" className="hidden" accept=".csv,.tsv,.txt" onChange={loadDelimitedFile} />
+                       </label>
                        <button onClick={() => setPasteModalOpen(false)} className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800">Cancel</button>
-                       <button onClick={handlePaste} className="px-3 py-1 text-sm bg-blue-600 text-white rounded">Import</button>
+                       <button onClick={handlePaste} className="px-3 py-1 text-sm bg-blue-600 text-white rounded">Next: map columns</button>
                    </div>
                </div>
            )}
@@ -545,95 +1289,201 @@ export default function App() {
                </div>
            )}
 
+           {/* Load Repairs */}
+           {loadIssues.length > 0 && (
+               <div className="flex-none p-2 px-4 bg-amber-50 text-amber-800 border-b border-amber-200 text-sm flex items-start justify-between gap-4">
+                   <div>
+                       <div className="font-semibold">The loaded file had {loadIssues.length} problem{loadIssues.length === 1 ? '' : 's'}, repaired as follows:</div>
+                       <ul className="max-h-24 overflow-auto space-y-0.5">
+                           {loadIssues.map((issue, i) => (
+                               <li key={i} className="flex items-center gap-2">
+                                   <AlertTriangle size={14} className="flex-none" /> <span className="font-mono text-xs">{issue.path}</span> {issue.message}
+                               </li>
+                           ))}
+                       </ul>
+                   </div>
+                   <button onClick={() => setLoadIssues([])} className="flex-none text-amber-700 hover:text-amber-900" title="Dismiss">
+                       <X size={16} />
+                   </button>
+               </div>
+           )}
+
+           {/* Weight Warnings */}
+           {!isRespondentMode && weightIssues.length > 0 && (
+               <div className="flex-none p-2 px-4 bg-amber-50 text-amber-800 border-b border-amber-200 text-sm flex items-start justify-between gap-4">
+                   <ul className="space-y-0.5">
+                       {weightIssues.map(issue => (
+                           <li key={issue.parentCid ?? 'root'} className="flex items-center gap-2">
+                               <AlertTriangle size={14} /> {describeWeightIssue(issue)}
+                           </li>
+                       ))}
+                   </ul>
+                   <button onClick={handleRebalance} className="flex-none flex items-center gap-2 px-3 py-1 bg-amber-600 text-white rounded hover:bg-amber-700 text-sm">
+                       <Scale size={14} /> Rebalance
+                   </button>
+               </div>
+           )}
+
+           {/* Questionnaire */}
+           {isRespondentMode && (
+             <div className="flex-1 min-h-0">
+               <Questionnaire
+                   data={data}
+                   maturityHeaders={maturityHeaders}
+                   respondents={respondents}
+                   activeRespondentId={activeRespondentId}
+                   onRespondentChange={setActiveRespondentId}
+                   questionCid={questionCid}
+                   onQuestionChange={handleQuestionChange}
+                   onAnswer={handleMaturityClick}
+               />
+             </div>
+           )}
+
            {/* Table Container */}
-           <div className="flex-1 p-4 min-h-0 overflow-hidden">
-             <div className="bg-white rounded-lg shadow border border-gray-200 h-full flex flex-col">
-                <div className="flex-1 overflow-auto w-full">
-                    <table className="min-w-full text-sm text-left border-collapse">
-                        <thead className="bg-[#0880f7] text-white">
-                            <tr>
-                                <th className="px-4 py-2 w-16 sticky top-0">CID</th>
-                                <th className="px-4 py-2 min-w-[200px] sticky top-0">Criterion</th>
-                                <th className="px-4 py-2 w-20 sticky top-0">Weight</th>
-                                <th className="px-4 py-2 w-20 sticky top-0">Score</th>
-                                {maturityHeaders.map((header, i) => (
-                                    <th key={i} className="px-4 py-2 sticky top-0 text-center min-w-[100px] whitespace-normal">
-                                        {header}
-                                    </th>
-                                ))}
-                                <th className="px-2 py-2 w-10 sticky top-0"></th>
-                            </tr>
-                        </thead>
-                        <tbody className="divide-y divide-gray-100">
-                            {data.map((row, rowIndex) => {
-                                const isParent = row.children && row.children.length > 0;
-                                return (
-                                    <tr key={rowIndex} className="hover:bg-gray-50">
-                                        <td className="p-1 align-middle">
-                                            <input 
-                                                type="text" 
-                                                value={row.CID} 
-                                                onChange={(e) => handleInputChange(rowIndex, 'CID', e.target.value)}
-                                                className="w-full px-2 py-1 border-transparent hover:border-gray-300 focus:border-blue-500 bg-transparent rounded"
-                                            />
-                                        </td>
-                                        <td className="p-1 align-middle">
-                                            <input 
-                                                type="text" 
-                                                value={row.Criterion} 
-                                                onChange={(e) => handleInputChange(rowIndex, 'Criterion', e.target.value)}
-                                                className="w-full px-2 py-1 border-transparent hover:border-gray-300 focus:border-blue-500 bg-transparent rounded"
-                                            />
-                                        </td>
-                                        <td className="p-1 align-middle">
-                                            <input 
-                                                type="text" 
-                                                value={formatPercentage(row['Calculated Weights'], 1)} 
-                                                onChange={(e) => handleInputChange(rowIndex, 'Calculated Weights', e.target.value)}
-                                                className="w-full px-2 py-1 border-transparent hover:border-gray-300 focus:border-blue-500 bg-transparent rounded text-right"
-                                            />
-                                        </td>
-                                        <td className={`p-2 align-middle text-right font-mono ${isParent ? 'bg-gray-100 text-gray-500' : 'text-gray-800'}`}>
-                                            {formatPercentage(row.Score, 0)}
-                                        </td>
-                                        
-                                        {maturityHeaders.map((_, mIndex) => {
-                                            const matText = row.maturities && row.maturities[mIndex];
-                                            if (isParent || !matText) return <td key={mIndex} className="bg-gray-50"></td>;
-                                            
-                                            const isActive = row.selectedMaturityIndex === mIndex;
-                                            
-                                            return (
-                                                <td key={mIndex} className="p-1 align-middle">
-                                                    <button
-                                                        onClick={() => handleMaturityClick(rowIndex, mIndex, row.maturities.length, matText)}
-                                                        className={`w-full py-2 px-2 rounded text-xs transition-colors border whitespace-normal h-full min-h-[32px] ${
-                                                            isActive 
-                                                            ? 'bg-blue-600 text-white border-blue-700 shadow-inner font-semibold' 
-                                                            : 'bg-white text-gray-700 border-gray-200 hover:bg-gray-50'
-                                                        }`}
-                                                    >
-                                                        {matText}
-                                                    </button>
-                                                </td>
-                                            );
-                                        })}
-
-                                        <td className="p-1 align-middle text-center">
-                                            <button onClick={() => deleteRow(rowIndex)} className="text-gray-400 hover:text-red-600 transition">
-                                                <Trash2 size={16} />
-                                            </button>
-                                        </td>
-                                    </tr>
-                                );
-                            })}
-                        </tbody>
-                    </table>
-                </div>
+           {!isRespondentMode && (
+             <div className="flex-1 p-4 min-h-0 overflow-hidden">
+               <div className="bg-white rounded-lg shadow border border-gray-200 h-full flex flex-col">
+                  {dragCid !== null && canMoveBranch(dragCid, null) && (
+                      <div
+                          onDragOver={(e) => handleDragOver(e, null)}
+                          onDrop={(e) => handleDrop(e, null)}
+                          className={`flex-none px-4 py-2 text-sm text-center border-b border-dashed ${
+                              dropTarget !== TOP_LEVEL_DROP ? 'bg-gray-50 text-gray-500 border-gray-300' : 'bg-blue-50 text-blue-700 border-blue-400'
+                          }`}
+                      >
+                          Drop here to move {dragCid} to the top level
+                      </div>
+                  )}
+                  <div
+                      ref={tableScrollRef}
+                      onScroll={(e) => setTableWindowStart(windowStart(e.currentTarget.scrollTop, tableRowHeight))}
+                      className="flex-1 overflow-auto w-full"
+                  >
+                      <table className="min-w-full text-sm text-left border-collapse">
+                          <thead className="bg-[#0880f7] text-white">
+                              <tr>
+                                  <th className="px-4 py-2 w-16 sticky top-0">CID</th>
+                                  <th className="px-4 py-2 min-w-[200px] sticky top-0">
+                                      <div className="flex items-center gap-2">
+                                          <span className="flex-1">Criterion</span>
+                                          <button onClick={() => setCollapsed({})} className="opacity-80 hover:opacity-100" title="Expand all">
+                                              <ChevronsUpDown size={14} />
+                                          </button>
+                                          <button onClick={collapseAll} className="opacity-80 hover:opacity-100" title="Collapse all">
+                                              <ChevronsDownUp size={14} />
+                                          </button>
+                                      </div>
+                                  </th>
+                                  <th className="px-4 py-2 w-20 sticky top-0">Weight</th>
+                                  <th className="px-4 py-2 w-20 sticky top-0">Score</th>
+                                  <th className="px-4 py-2 w-24 sticky top-0" title="Answered share of the applicable criteria below">Done</th>
+                                  {isGapView && <th className="px-4 py-2 w-20 sticky top-0">Target</th>}
+                                  {isGapView && <th className="px-4 py-2 w-20 sticky top-0">Gap</th>}
+                                  {isCompareView && <th className="px-4 py-2 w-20 sticky top-0" title="Change between the compared snapshots">Change</th>}
+                                  {isMultiRespondent && <th className="px-4 py-2 w-20 sticky top-0" title="Difference between the highest and lowest answer">Spread</th>}
+                                  {maturityHeaders.map((header, i) => (
+                                      <th key={i} className="px-4 py-2 sticky top-0 text-center min-w-[100px] whitespace-normal">
+                                          {header}
+                                          {settings.scoring.type === 'points' && (
+                                              <div className="text-xs font-normal opacity-80">{formatPercentage(settings.scoring.points[i])}</div>
+                                          )}
+                                      </th>
+                                  ))}
+                                  <th className="px-2 py-2 w-10 sticky top-0"></th>
+                              </tr>
+                          </thead>
+                          <tbody ref={tableBodyRef} className="divide-y divide-gray-100">
+                              {tableWindow.paddingTop > 0 && <tr aria-hidden="true" style={{ height: tableWindow.paddingTop }} />}
+                              {visibleIndices.slice(tableWindow.start, tableWindow.end).map(rowIndex => {
+                                  const row = data[rowIndex];
+                                  return (
+                                      <SurveyTableRow
+                                          key={row.rowId ?? rowIndex}
+                                          row={row}
+                                          rowIndex={rowIndex}
+                                          maturityHeaders={maturityHeaders}
+                                          settings={settings}
+                                          scoreColor={scoreColor}
+                                          actions={rowActions}
+                                          isGapView={isGapView}
+                                          isCompareView={isCompareView}
+                                          isMultiRespondent={isMultiRespondent}
+                                          hasRespondents={respondents.length > 0}
+                                          activeRespondentId={activeRespondentId}
+                                          isCollapsed={Boolean(collapsed[row.CID])}
+                                          weightIssue={weightIssueByCid[row.CID]}
+                                          severity={rowSeverity[rowIndex]}
+                                          isHighlighted={highlightedRow === rowIndex}
+                                          isInFocus={focusCid !== null && (row.CID === focusCid || isDescendantCid(row.CID, focusCid))}
+                                          isDropTarget={dropTarget === row.CID}
+                                          isDragging={dragCid === row.CID}
+                                          delta={deltaByCid[row.CID]}
+                                          isSchemeOpen={schemeRow === rowIndex}
+                                      />
+                                  );
+                              })}
+                              {tableWindow.paddingBottom > 0 && <tr aria-hidden="true" style={{ height: tableWindow.paddingBottom }} />}
+                          </tbody>
+                      </table>
+                  </div>
+               </div>
              </div>
-           </div>
+           )}
         </div>
       </div>
+
+      {/* Detail Drawer */}
+      {!isRespondentMode && detailRow !== null && data[detailRow] && (
+        <RowDetailDrawer
+          row={data[detailRow]}
+          maturityHeaders={maturityHeaders}
+          onChange={(patch) => handleDetailChange(detailRow, patch)}
+          onClose={() => setDetailRow(null)}
+        />
+      )}
     </div>
+
+    {/* Recovery Prompt */}
+    {recovery && (
+      <div className="fixed inset-0 z-40 flex items-center justify-center bg-black/40 p-6 print:hidden">
+        <div className="w-full max-w-md bg-white rounded shadow-2xl p-5 text-sm space-y-3">
+          <div className="font-semibold text-base flex items-center gap-2">
+            <AlertTriangle size={18} className="text-amber-500" /> Unsaved work found
+          </div>
+          <p>
+            <strong>{recovery.title || 'Untitled assessment'}</strong> was last edited {new Date(recovery.updatedAt).toLocaleString()} and has changes that were never saved to a file.
+          </p>
+          <div className="flex justify-end gap-2">
+            <button onClick={() => setRecovery(null)} className="px-3 py-1.5 text-gray-600 hover:text-gray-800" title="It stays in the workspace list">
+              Start fresh
+            </button>
+            <button onClick={restoreRecovery} className="px-3 py-1.5 bg-blue-600 text-white rounded hover:bg-blue-700">
+              Restore it
+            </button>
+          </div>
+        </div>
+      </div>
+    )}
+
+    {/* Import Wizard */}
+    {importDraft && (
+      <ImportWizard parsed={importDraft} onImport={handleImport} onCancel={() => setImportDraft(null)} />
+    )}
+
+    {/* Print Report */}
+    {reportCharts && (
+      <PrintReport
+        charts={reportCharts}
+        colorBy={chartColorBy}
+        extent={chartExtent}
+        meta={meta}
+        data={data}
+        maturityHeaders={maturityHeaders}
+        settings={settings}
+        onClose={() => setReportCharts(null)}
+      />
+    )}
+    </>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,54 @@
+import React from 'react';
+import { formatPercentage } from '../lib/scoring.js';
+import { formatDelta } from '../lib/snapshots.js';
+import { createColorScale, cssGradient, UNANSWERED_COLOR, PROGRESS_COLOR, WEIGHT_ISSUE_COLOR } from '../lib/colors.js';
+
+// --- Chart Legend ---
+// Explains arc colours and markings for the given chart colouring: the
+// gradient, or one swatch per score band when the assessment is banded.
+
+const TITLES = { score: 'Score', gap: 'Gap to target', delta: 'Change since baseline' };
+
+const HATCH = 'repeating-linear-gradient(45deg, #e5e7eb 0 3px, #9ca3af 3px 4.5px)';
+
+const Swatch = ({ style, children }) => (
+  <span className="flex items-center gap-1">
+    <span className="inline-block w-3 h-3 border border-gray-300" style={style} />
+    {children}
+  </span>
+);
+
+const ChartLegend = ({ colorBy = 'score', extent = 0, colors }) => {
+  const { domain, interpolator, bands } = createColorScale(colorBy, extent, colors);
+  const formatEnd = colorBy === 'delta' ? (value) => formatDelta(value) : (value) => formatPercentage(value);
+
+  return (
+    <div className="text-xs text-gray-600 space-y-1">
+      {bands ? (
+        <div className="flex flex-wrap items-center gap-x-3 gap-y-1">
+          <span className="font-semibold">{TITLES.score}</span>
+          {bands.map(band => (
+            <Swatch key={band.from} style={{ background: band.color }}>
+              {band.label} <span className="text-gray-400">{formatPercentage(band.from)}–{formatPercentage(band.to)}</span>
+            </Swatch>
+          ))}
+        </div>
+      ) : (
+        <div className="flex items-center gap-2">
+          <span className="font-semibold">{TITLES[colorBy] || TITLES.score}</span>
+          <span>{formatEnd(domain[0])}</span>
+          <span className="inline-block w-32 h-3 border border-gray-300" style={{ background: cssGradient(interpolator) }} />
+          <span>{formatEnd(domain[1])}</span>
+        </div>
+      )}
+      <div className="flex flex-wrap items-center gap-3">
+        <Swatch style={{ background: UNANSWERED_COLOR }}>Unanswered</Swatch>
+        <Swatch style={{ background: HATCH }}>Not applicable</Swatch>
+        <Swatch style={{ borderColor: WEIGHT_ISSUE_COLOR, borderStyle: 'dashed', borderWidth: 2 }}>Weights off 100%</Swatch>
+        <Swatch style={{ background: PROGRESS_COLOR, opacity: 0.6 }}>Completion band</Swatch>
+      </div>
+    </div>
+  );
+};
+
+export default ChartLegend;
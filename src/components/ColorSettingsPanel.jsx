@@ -0,0 +1,105 @@
+import React from 'react';
+import { Plus, Trash2, X } from 'lucide-react';
+import { PALETTES, MATURITY_BANDS, paletteOf, resolveBands, cssGradient } from '../lib/colors.js';
+import { parsePercentage, formatPercentage } from '../lib/scoring.js';
+
+// --- Colour Settings Panel ---
+// Picks the chart palette and optionally splits scores into named bands with
+// their own cut-offs. Bands are kept sorted; the first always starts at 0%.
+
+const sortBands = (bands) => {
+  const sorted = [...bands].sort((a, b) => a.from - b.from);
+  return sorted.length ? [{ ...sorted[0], from: 0 }, ...sorted.slice(1)] : sorted;
+};
+
+const ColorSettingsPanel = ({ colors, onChange, onClose }) => {
+  const bands = resolveBands(colors);
+  const isBanded = bands.length > 0;
+
+  const setBands = (next) => onChange({ ...colors, bands: sortBands(next).map(({ from, label }) => ({ from, label })) });
+
+  const updateBand = (index, patch) => setBands(bands.map((band, i) => i === index ? { ...band, ...patch } : band));
+
+  // Splits the widest band in half.
+  const addBand = () => {
+    const widest = bands.reduce((best, band) => band.to - band.from > best.to - best.from ? band : best, bands[0]);
+    setBands([...bands, { from: Math.round((widest.from + widest.to) * 50) / 100, label: '' }]);
+  };
+
+  return (
+    <div className="flex-none mb-2 p-3 bg-white border border-gray-200 rounded text-sm space-y-2">
+      <div className="flex flex-wrap items-end gap-4">
+        <label className="flex flex-col gap-1">
+          <span className="text-xs text-gray-500">Palette</span>
+          <select
+            value={paletteOf(colors).id}
+            onChange={(e) => onChange({ ...colors, palette: e.target.value })}
+            className="px-2 py-1 border border-gray-300 rounded bg-white"
+          >
+            {PALETTES.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+          </select>
+        </label>
+        <span className="inline-block w-32 h-3 mb-2 border border-gray-300" style={{ background: cssGradient(paletteOf(colors).score) }} />
+        <label className="flex items-center gap-1 pb-1.5">
+          <input
+            type="checkbox"
+            checked={isBanded}
+            onChange={(e) => setBands(e.target.checked ? MATURITY_BANDS : [])}
+          />
+          Score bands
+        </label>
+        <button onClick={onClose} className="ml-auto self-start text-gray-400 hover:text-gray-700" title="Close">
+          <X size={16} />
+        </button>
+      </div>
+
+      {isBanded && (
+        <div className="space-y-1">
+          {bands.map((band, i) => (
+            <div key={i} className="flex items-center gap-2">
+              <span className="inline-block w-4 h-4 border border-gray-300 rounded-sm" style={{ background: band.color }} />
+              <label className="flex items-center gap-1 text-xs text-gray-500">
+                From
+                <input
+                  type="text"
+                  key={band.from}
+                  defaultValue={formatPercentage(band.from)}
+                  disabled={i === 0}
+                  onBlur={(e) => updateBand(i, { from: Math.max(0, Math.min(1, parsePercentage(e.target.value))) })}
+                  className="w-14 px-1 py-0.5 border border-gray-300 rounded text-right disabled:bg-gray-100"
+                  title={i === 0 ? 'The lowest band always starts at 0%' : 'Lowest score in this band'}
+                />
+              </label>
+              <input
+                type="text"
+                value={band.label}
+                onChange={(e) => updateBand(i, { label: e.target.value })}
+                placeholder={`Band ${i + 1}`}
+                className="flex-1 px-2 py-0.5 border border-gray-300 rounded"
+              />
+              <span className="w-20 text-xs text-gray-400">to {formatPercentage(band.to)}</span>
+              <button
+                onClick={() => setBands(bands.filter((_, j) => j !== i))}
+                disabled={bands.length === 1}
+                className="text-gray-400 hover:text-red-600 disabled:opacity-30"
+                title="Remove band"
+              >
+                <Trash2 size={14} />
+              </button>
+            </div>
+          ))}
+          <div className="flex gap-2 pt-1">
+            <button onClick={addBand} className="flex items-center gap-1 px-2 py-0.5 text-xs bg-white text-gray-700 border border-gray-300 rounded hover:bg-gray-50">
+              <Plus size={12} /> Add band
+            </button>
+            <button onClick={() => setBands(MATURITY_BANDS)} className="px-2 py-0.5 text-xs bg-white text-gray-700 border border-gray-300 rounded hover:bg-gray-50">
+              Reset to five levels
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ColorSettingsPanel;
@@ -0,0 +1,46 @@
+import React from 'react';
+import { formatPercentage } from '../lib/scoring.js';
+
+// --- Gap Table ---
+// Leaf criteria below target, largest contribution to the overall gap first.
+
+const GapTable = ({ gaps, onSelect }) => {
+  if (gaps.length === 0) {
+    return (
+      <div className="p-4 text-sm text-gray-500 text-center">
+        No gaps. Set target levels in the table to see where you fall short.
+      </div>
+    );
+  }
+
+  return (
+    <table className="min-w-full text-xs text-left border-collapse">
+      <thead className="bg-gray-100 text-gray-600">
+        <tr>
+          <th className="px-2 py-1 sticky top-0 bg-gray-100">#</th>
+          <th className="px-2 py-1 sticky top-0 bg-gray-100">Criterion</th>
+          <th className="px-2 py-1 sticky top-0 bg-gray-100 text-right">Current</th>
+          <th className="px-2 py-1 sticky top-0 bg-gray-100 text-right">Target</th>
+          <th className="px-2 py-1 sticky top-0 bg-gray-100 text-right">Gap</th>
+          <th className="px-2 py-1 sticky top-0 bg-gray-100 text-right" title="Points of overall score lost to this gap">Impact</th>
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-gray-100">
+        {gaps.map(({ row, gap, impact }, i) => (
+          <tr key={`${row.CID}-${i}`} onClick={() => onSelect(row)} className="hover:bg-gray-50 cursor-pointer">
+            <td className="px-2 py-1 text-gray-400">{i + 1}</td>
+            <td className="px-2 py-1">
+              <span className="font-mono text-gray-500 mr-1">{row.CID}</span> {row.Criterion}
+            </td>
+            <td className="px-2 py-1 text-right font-mono">{formatPercentage(row.Score)}</td>
+            <td className="px-2 py-1 text-right font-mono">{formatPercentage(row.TargetScore)}</td>
+            <td className="px-2 py-1 text-right font-mono text-red-700">{formatPercentage(gap)}</td>
+            <td className="px-2 py-1 text-right font-mono">{formatPercentage(impact, 1)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default GapTable;
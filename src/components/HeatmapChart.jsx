@@ -0,0 +1,168 @@
+import React, { useEffect } from 'react';
+import * as d3 from 'd3';
+import { defaultSettings } from '../lib/surveyFormat.js';
+import { formatPercentage } from '../lib/scoring.js';
+import { scoreMaturity } from '../lib/schemes.js';
+import { countResponses } from '../lib/respondents.js';
+import { createColorScale } from '../lib/colors.js';
+import { buildChartHierarchy, createNodeColoring, appendHatchPattern, resolveZoom, parentFocus, createTooltip, escapeHtml, truncate } from '../lib/chartHierarchy.js';
+import useChartZoom from './useChartZoom.js';
+
+// --- Heatmap Chart ---
+// Criteria against maturity levels: one row per leaf below the zoomed node,
+// each level cell coloured by the score it is worth. The chosen level is
+// solid (or shaded by how many respondents chose it), the target level has a
+// dashed border. The swatch by each name follows the chart colouring.
+
+const TITLE_HEIGHT = 24;
+const HEADER_HEIGHT = 30;
+const TARGET_COLOR = '#047857';
+
+const HeatmapChart = ({ data, settings = defaultSettings, colorBy = 'score', maturityHeaders = [], focusCid = null, onPathClick }) => {
+  const { svgRef, containerRef, hatchId, focusRef, zoomRef, handlePathClick } = useChartZoom({ focusCid, onPathClick });
+
+  useEffect(() => {
+    if (!data || data.length === 0 || !svgRef.current || !containerRef.current) return;
+
+    const width = containerRef.current.clientWidth;
+    const height = containerRef.current.clientHeight;
+    const labelWidth = Math.min(width * 0.4, 200);
+    const columnWidth = (width - labelWidth) / Math.max(1, maturityHeaders.length);
+
+    const { hierarchy: root, weightIssueByCid } = buildChartHierarchy(data, settings);
+    const { scale: levelColor } = createColorScale('score', 0, settings.colors);
+
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+    svg.attr("viewBox", `0 0 ${width} ${height}`)
+       .style("font", "11px sans-serif");
+
+    const coloring = createNodeColoring(data, colorBy, appendHatchPattern(svg, hatchId), settings.colors);
+    const tooltip = createTooltip(weightIssueByCid);
+    let current = root;
+
+    const title = svg.append("text")
+      .attr("x", 4)
+      .attr("y", 16)
+      .style("font-size", "13px")
+      .style("font-weight", "bold")
+      .style("cursor", "pointer")
+      .on("click", () => {
+        if (current !== root) handlePathClick(parentFocus(current));
+      });
+
+    svg.append("g")
+      .selectAll("text")
+      .data(maturityHeaders)
+      .join("text")
+      .attr("x", (d, i) => labelWidth + (i + 0.5) * columnWidth)
+      .attr("y", TITLE_HEIGHT + HEADER_HEIGHT - 8)
+      .attr("text-anchor", "middle")
+      .attr("fill", "#4b5563")
+      .text(d => truncate(String(d), Math.max(1, Math.floor(columnWidth / 6))))
+      .append("title")
+      .text(d => d);
+
+    const rows = svg.append("g");
+    const focusOutline = svg.append("rect")
+      .attr("fill", "none")
+      .attr("stroke", "#1f2937")
+      .attr("stroke-width", 2)
+      .attr("pointer-events", "none");
+
+    const levelInfo = (leaf, index) => {
+      const scheme = leaf.data.scoring || settings.scoring;
+      return `<br/>Level: ${escapeHtml(maturityHeaders[index])} (${formatPercentage(scoreMaturity(leaf.data.maturities, index, scheme))})`;
+    };
+
+    function zoomTo(cid, animate) {
+      const { focused, target } = resolveZoom(root, cid);
+      current = target;
+      const leaves = target.leaves().filter(d => d.depth);
+      const rowHeight = Math.max(6, Math.min(24, (height - TITLE_HEIGHT - HEADER_HEIGHT) / Math.max(1, leaves.length)));
+      const rowY = i => TITLE_HEIGHT + HEADER_HEIGHT + i * rowHeight;
+
+      title.text(`${target.depth ? target.data.name : 'All criteria'} · ${coloring.label(target.data)}`)
+        .attr("fill", coloring.centerFill(target.data));
+
+      rows.selectAll("g").remove();
+      const row = rows.selectAll("g")
+        .data(leaves)
+        .join("g")
+        .attr("transform", (d, i) => `translate(0,${rowY(i)})`)
+        .attr("opacity", 0)
+        .style("cursor", "pointer")
+        .on("click", (event, d) => handlePathClick(d.data.CID));
+      row.transition().duration(animate ? 500 : 0).delay((d, i) => animate ? Math.min(i * 10, 250) : 0).attr("opacity", 1);
+
+      row.append("rect")
+        .attr("x", 2)
+        .attr("y", 2)
+        .attr("width", 8)
+        .attr("height", Math.max(2, rowHeight - 4))
+        .attr("fill", d => coloring.fill(d.data))
+        .on("mouseover", tooltip.show)
+        .on("mouseout", tooltip.hide);
+      if (rowHeight >= 12) {
+        row.append("text")
+          .attr("x", 14)
+          .attr("y", rowHeight / 2)
+          .attr("dy", "0.35em")
+          .attr("fill", d => d.data.Excluded ? "#9ca3af" : "#1f2937")
+          .text(d => truncate(`${d.data.CID} ${d.data.name}`, Math.max(1, Math.floor((labelWidth - 18) / 6))))
+          .on("mouseover", tooltip.show)
+          .on("mouseout", tooltip.hide);
+      }
+
+      row.each(function drawCells(leaf) {
+        const scheme = leaf.data.scoring || settings.scoring;
+        const responseCounts = leaf.data.responses ? countResponses(leaf.data, maturityHeaders.length) : null;
+        const responseTotal = responseCounts ? d3.sum(responseCounts) : 0;
+        const levelOpacity = (index) => {
+          if (leaf.data.notApplicable) return 0.1;
+          if (responseCounts) return responseTotal ? 0.12 + 0.88 * responseCounts[index] / responseTotal : 0.12;
+          return leaf.data.selectedMaturityIndex === index ? 1 : 0.12;
+        };
+        d3.select(this).selectAll("rect.level")
+          .data(maturityHeaders.map((_, index) => index))
+          .join("rect")
+          .attr("class", "level")
+          .attr("x", index => labelWidth + index * columnWidth + 1)
+          .attr("y", 1)
+          .attr("width", Math.max(0, columnWidth - 2))
+          .attr("height", Math.max(1, rowHeight - 2))
+          .attr("fill", index => String(leaf.data.maturities?.[index] ?? '').trim() ? levelColor(scoreMaturity(leaf.data.maturities, index, scheme)) : "#fff")
+          .attr("fill-opacity", levelOpacity)
+          .attr("stroke", index => leaf.data.targetMaturityIndex === index ? TARGET_COLOR : "#e5e7eb")
+          .attr("stroke-width", index => leaf.data.targetMaturityIndex === index ? 2 : 1)
+          .attr("stroke-dasharray", index => leaf.data.targetMaturityIndex === index ? "3 2" : null)
+          .on("mouseover", (event, index) => tooltip.show(event, leaf, levelInfo(leaf, index)))
+          .on("mouseout", tooltip.hide);
+      });
+
+      const focusIndex = focused ? leaves.indexOf(focused) : -1;
+      focusOutline
+        .attr("display", focusIndex >= 0 ? null : "none")
+        .attr("x", 1)
+        .attr("y", rowY(Math.max(0, focusIndex)))
+        .attr("width", width - 2)
+        .attr("height", rowHeight);
+    }
+
+    zoomRef.current = zoomTo;
+    zoomTo(focusRef.current, false);
+
+    return () => {
+      zoomRef.current = null;
+      tooltip.remove();
+    };
+  }, [data, settings, colorBy, maturityHeaders, svgRef, containerRef, hatchId, focusRef, zoomRef, handlePathClick]);
+
+  return (
+    <div ref={containerRef} className="w-full h-full flex items-center justify-center">
+      <svg ref={svgRef} className="maturity-chart" width="100%" height="100%"></svg>
+    </div>
+  );
+};
+
+export default HeatmapChart;
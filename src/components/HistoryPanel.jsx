@@ -0,0 +1,60 @@
+import React from 'react';
+import { Undo2, Redo2, X } from 'lucide-react';
+
+// --- History Panel ---
+// Recent edits, newest first. Undone edits stay listed (greyed) until a new
+// edit replaces them; clicking any entry returns to the state right after it.
+
+const formatTime = (at) => new Date(at).toLocaleTimeString();
+
+const HistoryPanel = ({ history, onTravel, onClose }) => {
+  const { past, future } = history;
+  const entries = [
+    ...future.map((command, i) => ({ command, pastLength: past.length + i + 1, undone: true })).reverse(),
+    ...past.map((command, i) => ({ command, pastLength: i + 1, undone: false })).reverse()
+  ];
+
+  return (
+    <div className="flex-none max-h-56 flex flex-col bg-white border-b border-gray-200 text-sm">
+      <div className="flex-none flex items-center gap-2 px-4 py-2 bg-gray-100 border-b border-gray-200">
+        <span className="flex-1 text-gray-600">
+          Edit history for this session. Ctrl+Z to undo, Ctrl+Shift+Z or Ctrl+Y to redo.
+        </span>
+        <button onClick={() => onTravel(past.length - 1)} disabled={!past.length} className="text-gray-500 hover:text-blue-600 disabled:opacity-40" title="Undo">
+          <Undo2 size={16} />
+        </button>
+        <button onClick={() => onTravel(past.length + 1)} disabled={!future.length} className="text-gray-500 hover:text-blue-600 disabled:opacity-40" title="Redo">
+          <Redo2 size={16} />
+        </button>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-700" title="Close">
+          <X size={16} />
+        </button>
+      </div>
+      <ul className="overflow-auto divide-y divide-gray-100">
+        {entries.map(({ command, pastLength, undone }) => (
+          <li key={command.id}>
+            <button
+              onClick={() => onTravel(pastLength)}
+              className={`w-full px-4 py-1 flex items-center gap-3 text-left hover:bg-blue-50 ${undone ? 'text-gray-400 line-through' : ''} ${pastLength === past.length ? 'bg-blue-50 font-medium' : ''}`}
+              title={undone ? 'Redo up to here' : 'Undo back to here'}
+            >
+              <span className="flex-1 truncate">{command.label}</span>
+              <span className="text-xs text-gray-400">{formatTime(command.at)}</span>
+            </button>
+          </li>
+        ))}
+        <li>
+          <button
+            onClick={() => onTravel(0)}
+            className={`w-full px-4 py-1 text-left text-gray-500 hover:bg-blue-50 ${past.length === 0 ? 'bg-blue-50 font-medium' : ''}`}
+            title="Undo every edit listed"
+          >
+            Opened
+          </button>
+        </li>
+      </ul>
+    </div>
+  );
+};
+
+export default HistoryPanel;
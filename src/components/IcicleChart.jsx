@@ -0,0 +1,135 @@
+import React, { useEffect } from 'react';
+import * as d3 from 'd3';
+import { defaultSettings } from '../lib/surveyFormat.js';
+import { PROGRESS_COLOR, WEIGHT_ISSUE_COLOR } from '../lib/colors.js';
+import { buildChartHierarchy, createNodeColoring, appendHatchPattern, resolveZoom, parentFocus, createTooltip, truncate } from '../lib/chartHierarchy.js';
+import useChartZoom from './useChartZoom.js';
+
+// --- Icicle Chart ---
+// The sunburst unrolled: depth runs left to right and each node's height is
+// its absolute weight. Zooms like the sunburst; the zoomed node fills the
+// first column, and clicking it zooms back out one level.
+
+const IcicleChart = ({ data, settings = defaultSettings, colorBy = 'score', focusCid = null, onPathClick }) => {
+  const { svgRef, containerRef, hatchId, focusRef, zoomRef, handlePathClick } = useChartZoom({ focusCid, onPathClick });
+
+  useEffect(() => {
+    if (!data || data.length === 0 || !svgRef.current || !containerRef.current) return;
+
+    const width = containerRef.current.clientWidth;
+    const height = containerRef.current.clientHeight;
+
+    const { hierarchy, weightIssueByCid } = buildChartHierarchy(data, settings);
+    const root = d3.partition()(hierarchy);
+
+    // x runs along the weight (vertical), y along the depth (horizontal)
+    const x = d3.scaleLinear().range([0, height]);
+    const y = d3.scaleLinear().range([0, width]);
+
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+    svg.attr("viewBox", `0 0 ${width} ${height}`)
+       .style("font", "11px sans-serif");
+
+    const coloring = createNodeColoring(data, colorBy, appendHatchPattern(svg, hatchId), settings.colors);
+    const tooltip = createTooltip(weightIssueByCid);
+    let current = root;
+
+    const cell = svg.append("g")
+      .selectAll("g")
+      .data(root.descendants())
+      .join("g")
+      .style("cursor", "pointer")
+      .on("mouseover", (event, d) => { if (d.depth) tooltip.show(event, d); })
+      .on("mouseout", tooltip.hide)
+      .on("click", (event, d) => {
+        if (d === current) {
+          if (current !== root) handlePathClick(parentFocus(current));
+        } else if (d.depth) {
+          handlePathClick(d.data.CID);
+        }
+      });
+
+    const rect = cell.append("rect")
+      .attr("fill", d => d.depth ? coloring.fill(d.data) : coloring.centerFill(d.data))
+      .attr("stroke", d => weightIssueByCid[d.data.CID] ? WEIGHT_ISSUE_COLOR : null)
+      .attr("stroke-width", 2)
+      .attr("stroke-dasharray", "4 2");
+
+    const progress = cell.append("rect")
+      .attr("fill", PROGRESS_COLOR)
+      .attr("fill-opacity", 0.6)
+      .attr("pointer-events", "none");
+
+    const text = cell.append("text")
+      .attr("pointer-events", "none")
+      .attr("x", 4)
+      .attr("y", 13)
+      .attr("fill", "white")
+      .style("text-shadow", "0 0 3px black")
+      .style("user-select", "none");
+
+    const focusOutline = svg.append("rect")
+      .attr("fill", "none")
+      .attr("stroke", "#1f2937")
+      .attr("stroke-width", 3)
+      .attr("pointer-events", "none");
+
+    const nodeWidth = d => Math.max(0, y(d.y1) - y(d.y0) - 1);
+    const nodeHeight = d => Math.max(0, x(d.x1) - x(d.x0) - 1);
+    const nodeLabel = (d) => {
+      const name = d.depth ? d.data.name : 'All criteria';
+      return `${truncate(name, Math.max(1, Math.floor((nodeWidth(d) - 8) / 6.5)))} ${coloring.label(d.data)}`;
+    };
+
+    const layout = (focused) => {
+      cell.attr("transform", d => `translate(${y(d.y0)},${x(d.x0)})`);
+      rect.attr("width", nodeWidth).attr("height", nodeHeight);
+      progress
+        .attr("y", d => Math.max(0, nodeHeight(d) - 3))
+        .attr("width", d => nodeWidth(d) * (d.data.completion || 0))
+        .attr("height", d => Math.min(3, nodeHeight(d)));
+      text.attr("display", d => nodeHeight(d) > 16 && nodeWidth(d) > 30 ? null : "none");
+      if (focused) {
+        focusOutline
+          .attr("x", y(focused.y0))
+          .attr("y", x(focused.x0))
+          .attr("width", nodeWidth(focused))
+          .attr("height", nodeHeight(focused));
+      }
+    };
+
+    function zoomTo(cid, animate) {
+      const { focused, target } = resolveZoom(root, cid);
+      current = target;
+      focusOutline.attr("display", focused ? null : "none");
+      svg.transition().duration(animate ? 750 : 0)
+        .tween("scale", () => {
+          const xd = d3.interpolate(x.domain(), [target.x0, target.x1]);
+          const yd = d3.interpolate(y.domain(), [target.y0, 1]);
+          return t => {
+            x.domain(xd(t));
+            y.domain(yd(t));
+            layout(focused);
+          };
+        })
+        .on("end", () => text.text(nodeLabel));
+    }
+
+    zoomRef.current = zoomTo;
+    zoomTo(focusRef.current, false);
+
+    return () => {
+      zoomRef.current = null;
+      tooltip.remove();
+    };
+  }, [data, settings, colorBy, svgRef, containerRef, hatchId, focusRef, zoomRef, handlePathClick]);
+
+  return (
+    <div ref={containerRef} className="w-full h-full flex items-center justify-center">
+      <svg ref={svgRef} className="maturity-chart" width="100%" height="100%"></svg>
+    </div>
+  );
+};
+
+export default IcicleChart;
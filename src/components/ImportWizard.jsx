@@ -0,0 +1,172 @@
+import React, { useState, useMemo } from 'react';
+import { X, AlertCircle, AlertTriangle } from 'lucide-react';
+import { formatPercentage } from '../lib/scoring.js';
+import { COLUMN_ROLES, guessMapping, assignRole, mapRows } from '../lib/columnMapping.js';
+
+// --- Import Wizard ---
+// Shows the pasted or opened table with a role picker above every column,
+// the resulting rows and any cells that could not be read. Nothing is loaded
+// until Import is pressed.
+
+const PREVIEW_ROWS = 12;
+
+const UNIT_OPTIONS = [
+  ['auto', 'Auto (values above 1 are percent)'],
+  ['percent', 'Percent (70 = 70%)'],
+  ['fraction', 'Fraction (0.7 = 70%)']
+];
+
+const ImportWizard = ({ parsed, onImport, onCancel }) => {
+  const [mapping, setMapping] = useState(() => guessMapping(parsed.columns));
+  const [unit, setUnit] = useState('auto');
+  const [decimalComma, setDecimalComma] = useState(false);
+
+  const result = useMemo(() => mapRows(parsed, mapping, { unit, decimalComma }), [parsed, mapping, unit, decimalComma]);
+  const errors = result.issues.filter(i => i.severity === 'error');
+  const warnings = result.issues.filter(i => i.severity === 'warning');
+
+  // line -> column -> severity, for highlighting preview cells
+  const cellSeverity = useMemo(() => {
+    const byLine = {};
+    result.issues.forEach(i => {
+      if (i.line === null) return;
+      const byColumn = byLine[i.line] = byLine[i.line] || {};
+      if (byColumn[i.column] !== 'error') byColumn[i.column] = i.severity;
+    });
+    return byLine;
+  }, [result]);
+
+  const importAll = () => {
+    if (errors.length > 0 && !window.confirm(`${errors.length} cell${errors.length === 1 ? '' : 's'} could not be read and will be left blank. Import anyway?`)) return;
+    onImport({ mapping, unit, decimalComma });
+  };
+
+  const cellClass = (line, column) => {
+    const severity = cellSeverity[line] && cellSeverity[line][column];
+    if (severity === 'error') return 'bg-red-100 text-red-800';
+    if (severity === 'warning') return 'bg-amber-50 text-amber-800';
+    return mapping[column] === 'ignore' ? 'text-gray-300' : '';
+  };
+
+  return (
+    <div className="fixed inset-0 z-30 flex items-center justify-center bg-black/40 p-6">
+      <div className="w-full max-w-6xl max-h-full flex flex-col bg-white rounded shadow-2xl text-sm">
+        <div className="flex-none flex items-center justify-between px-4 py-3 border-b border-gray-200 bg-gray-50">
+          <div className="font-semibold text-base">Import {parsed.length} row{parsed.length === 1 ? '' : 's'}</div>
+          <button onClick={onCancel} className="text-gray-400 hover:text-gray-700" title="Cancel">
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="flex-none flex flex-wrap items-center gap-4 px-4 py-2 border-b border-gray-200">
+          <label className="flex items-center gap-2">
+            Weights and scores
+            <select value={unit} onChange={(e) => setUnit(e.target.value)} className="px-2 py-1 border border-gray-300 rounded bg-white">
+              {UNIT_OPTIONS.map(([value, text]) => <option key={value} value={value}>{text}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={decimalComma} onChange={(e) => setDecimalComma(e.target.checked)} />
+            Decimal comma (12,5%)
+          </label>
+          <span className="text-gray-500">
+            {result.maturityHeaders.length} maturity level{result.maturityHeaders.length === 1 ? '' : 's'}
+          </span>
+        </div>
+
+        <div className="flex-1 min-h-0 overflow-auto">
+          <table className="min-w-full text-xs border-collapse">
+            <thead className="sticky top-0 bg-gray-100">
+              <tr>
+                <th className="px-2 py-1 text-left text-gray-400 font-normal">Line</th>
+                {parsed.columns.map(column => (
+                  <th key={column} className="px-2 py-1 text-left align-bottom min-w-[120px]">
+                    <select
+                      value={mapping[column]}
+                      onChange={(e) => setMapping(assignRole(mapping, column, e.target.value))}
+                      className="w-full px-1 py-0.5 border border-gray-300 rounded bg-white font-normal"
+                    >
+                      {COLUMN_ROLES.map(role => <option key={role.id} value={role.id}>{role.label}</option>)}
+                    </select>
+                    <div className="mt-1 truncate" title={column}>{column}</div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {parsed.slice(0, PREVIEW_ROWS).map((record, i) => (
+                <tr key={i}>
+                  <td className="px-2 py-1 text-gray-400">{i + 2}</td>
+                  {parsed.columns.map(column => (
+                    <td key={column} className={`px-2 py-1 max-w-[200px] truncate ${cellClass(i + 2, column)}`}>{record[column]}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {parsed.length > PREVIEW_ROWS && (
+            <div className="px-2 py-1 text-xs text-gray-500">… and {parsed.length - PREVIEW_ROWS} more rows</div>
+          )}
+
+          <div className="px-4 py-2 border-t border-gray-200">
+            <div className="text-xs font-semibold text-gray-600 mb-1">As imported</div>
+            <table className="text-xs">
+              <thead className="text-gray-500">
+                <tr>
+                  <th className="pr-4 text-left">CID</th>
+                  <th className="pr-4 text-left">Criterion</th>
+                  <th className="pr-4 text-right">Weight</th>
+                  <th className="pr-4 text-right">Score</th>
+                  <th className="pr-4 text-left">Selected</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.rows.slice(0, PREVIEW_ROWS).map((row, i) => (
+                  <tr key={i}>
+                    <td className="pr-4 font-mono">{row.CID}</td>
+                    <td className="pr-4">{row.Criterion}</td>
+                    <td className="pr-4 text-right">{formatPercentage(row['Calculated Weights'], 1)}</td>
+                    <td className="pr-4 text-right">{row.Score === undefined ? '—' : formatPercentage(row.Score, 1)}</td>
+                    <td className="pr-4">{row.notApplicable ? 'N/A' : result.maturityHeaders[row.selectedMaturityIndex] || ''}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {result.issues.length > 0 && (
+          <ul className="flex-none max-h-32 overflow-auto border-t border-gray-200 divide-y divide-gray-100">
+            {[...errors, ...warnings].map((issue, i) => (
+              <li key={i} className="px-4 py-1 flex items-center gap-2">
+                {issue.severity === 'error'
+                  ? <AlertCircle size={14} className="flex-none text-red-600" />
+                  : <AlertTriangle size={14} className="flex-none text-amber-500" />}
+                {issue.line !== null && <span className="font-mono text-xs text-gray-500 w-14">Line {issue.line}</span>}
+                <span>{issue.message}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="flex-none flex items-center justify-end gap-2 px-4 py-3 border-t border-gray-200 bg-gray-50">
+          <span className="mr-auto text-gray-500">
+            {errors.length > 0
+              ? `${errors.length} error${errors.length === 1 ? '' : 's'}: change the mapping or number format, or set the column to Ignore.`
+              : 'Importing replaces the current criteria and respondents; Undo brings them back.'}
+          </span>
+          <button onClick={onCancel} className="px-3 py-1 text-gray-600 hover:text-gray-800">Cancel</button>
+          <button
+            onClick={importAll}
+            disabled={!result.rows.length || result.issues.some(i => i.code === 'no-cid-column')}
+            className={`px-3 py-1 text-white rounded disabled:opacity-50 ${errors.length > 0 ? 'bg-amber-600 hover:bg-amber-700' : 'bg-blue-600 hover:bg-blue-700'}`}
+          >
+            {errors.length > 0 ? 'Import anyway' : `Import ${result.rows.length} rows`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportWizard;
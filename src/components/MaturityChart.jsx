@@ -0,0 +1,25 @@
+import React from 'react';
+import SunburstChart from './SunburstChart.jsx';
+import IcicleChart from './IcicleChart.jsx';
+import TreemapChart from './TreemapChart.jsx';
+import RadarChart from './RadarChart.jsx';
+import HeatmapChart from './HeatmapChart.jsx';
+
+// --- Maturity Chart ---
+// Renders the selected view (see CHART_TYPES). Every view takes the same
+// props, so switching keeps the colouring and the focused node.
+
+const CHARTS = {
+  sunburst: SunburstChart,
+  icicle: IcicleChart,
+  treemap: TreemapChart,
+  radar: RadarChart,
+  heatmap: HeatmapChart
+};
+
+const MaturityChart = ({ type = 'sunburst', ...props }) => {
+  const Chart = CHARTS[type] || SunburstChart;
+  return <Chart {...props} />;
+};
+
+export default MaturityChart;
@@ -0,0 +1,148 @@
+import React from 'react';
+import { Printer, X } from 'lucide-react';
+import { formatPercentage, calculateRootScore, calculateRootCompletion, getParentCid } from '../lib/scoring.js';
+import { svgDataUrl } from '../lib/chartExport.js';
+import { depthOf } from '../lib/tree.js';
+import { createColorScale, scoreBand } from '../lib/colors.js';
+import ChartLegend from './ChartLegend.jsx';
+import ScoreChip from './ScoreChip.jsx';
+
+// --- Print Report ---
+// A paper-sized summary of the assessment: the chart as currently shown, its
+// legend, a summary per top-level branch and the full scored criteria table.
+// On screen it is a preview; the browser's print dialog produces the PDF.
+
+const isLeaf = (row) => !row.children || row.children.length === 0;
+
+
+// Lowest-scoring answered leaf under a branch, to point readers at the weak spot.
+const weakestLeaf = (data, cid) => {
+  const prefix = `${cid}.`;
+  return data
+    .filter(row => String(row.CID).startsWith(prefix) && isLeaf(row) && !row.Excluded && row.Score !== undefined)
+    .reduce((lowest, row) => (!lowest || row.Score < lowest.Score ? row : lowest), null);
+};
+
+const PrintReport = ({ charts, colorBy, extent, meta = {}, data, maturityHeaders, settings, onClose }) => {
+  const branches = data.filter(row => getParentCid(row.CID) === null);
+  const completion = calculateRootCompletion(data);
+  const overall = calculateRootScore(data, settings);
+  const target = calculateRootScore(data, settings, 'TargetScore');
+  const { scale: scoreColor } = createColorScale('score', 0, settings.colors);
+  const renderScore = (row) => {
+    if (row.Excluded) return 'N/A';
+    if (row.Score === undefined) return '—';
+    return <ScoreChip score={row.Score} color={scoreColor(row.Score)} band={scoreBand(row.Score, settings.colors)} showBand />;
+  };
+
+  return (
+    <div className="print-report fixed inset-0 z-30 overflow-auto bg-gray-200 text-gray-900 print:static print:overflow-visible print:bg-white">
+      <div className="sticky top-0 flex justify-end gap-2 p-3 bg-gray-800 print:hidden">
+        <button onClick={() => window.print()} className="flex items-center gap-2 px-3 py-1.5 bg-blue-600 text-white rounded hover:bg-blue-700 text-sm">
+          <Printer size={14} /> Print / Save as PDF
+        </button>
+        <button onClick={onClose} className="flex items-center gap-2 px-3 py-1.5 bg-white text-gray-700 rounded hover:bg-gray-100 text-sm">
+          <X size={14} /> Close
+        </button>
+      </div>
+
+      <div className="max-w-[190mm] mx-auto my-6 p-10 bg-white shadow text-sm print:max-w-none print:m-0 print:p-0 print:shadow-none">
+        <header className="flex items-end justify-between border-b-2 border-gray-800 pb-2 mb-4">
+          <div>
+            <h1 className="text-xl font-bold">{meta.title || 'Maturity Assessment Report'}</h1>
+            <div className="text-xs text-gray-500">
+              {meta.author ? `${meta.author} · ` : ''}{new Date().toLocaleDateString()}
+            </div>
+          </div>
+          <div className="text-right">
+            <div className="text-2xl font-bold">{formatPercentage(overall, 1)}</div>
+            <div className="text-xs text-gray-500">
+              Target {formatPercentage(target, 1)} · {completion.answered}/{completion.applicable} answered
+            </div>
+          </div>
+        </header>
+
+        <section className="break-inside-avoid mb-6">
+          <div className={`grid gap-4 ${charts.length > 1 ? 'grid-cols-2' : 'grid-cols-1'}`}>
+            {charts.map(chart => (
+              <figure key={chart.name} className="text-center">
+                <img src={svgDataUrl(chart.svg)} alt={chart.name} className="mx-auto max-h-[110mm]" />
+                {charts.length > 1 && <figcaption className="text-xs text-gray-500">{chart.name}</figcaption>}
+              </figure>
+            ))}
+          </div>
+          <div className="mt-2 flex justify-center">
+            <ChartLegend colorBy={colorBy} extent={extent} colors={settings.colors} />
+          </div>
+        </section>
+
+        <section className="break-inside-avoid mb-6">
+          <h2 className="font-semibold text-base mb-1">Branch summary</h2>
+          <table className="w-full text-xs border-collapse">
+            <thead>
+              <tr className="border-b border-gray-400 text-left">
+                <th className="py-1 pr-2">Branch</th>
+                <th className="py-1 px-2 text-right">Weight</th>
+                <th className="py-1 px-2 text-right">Score</th>
+                <th className="py-1 px-2 text-right">Target</th>
+                <th className="py-1 px-2 text-right">Gap</th>
+                <th className="py-1 px-2 text-right">Answered</th>
+                <th className="py-1 pl-2">Weakest criterion</th>
+              </tr>
+            </thead>
+            <tbody>
+              {branches.map(row => {
+                const weakest = weakestLeaf(data, row.CID);
+                return (
+                  <tr key={row.CID} className="border-b border-gray-200 break-inside-avoid">
+                    <td className="py-1 pr-2"><span className="font-mono text-gray-500 mr-1">{row.CID}</span>{row.Criterion}</td>
+                    <td className="py-1 px-2 text-right">{formatPercentage(row['Calculated Weights'])}</td>
+                    <td className="py-1 px-2 text-right font-semibold">{renderScore(row)}</td>
+                    <td className="py-1 px-2 text-right">{formatPercentage(row.TargetScore)}</td>
+                    <td className="py-1 px-2 text-right">{row.Gap > 0 ? formatPercentage(row.Gap) : ''}</td>
+                    <td className="py-1 px-2 text-right">{row.ApplicableLeaves ? `${row.AnsweredLeaves}/${row.ApplicableLeaves}` : ''}</td>
+                    <td className="py-1 pl-2">{weakest ? `${weakest.Criterion || weakest.CID} (${formatPercentage(weakest.Score)})` : ''}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </section>
+
+        <section>
+          <h2 className="font-semibold text-base mb-1">Scored criteria</h2>
+          <table className="w-full text-xs border-collapse">
+            <thead>
+              <tr className="border-b border-gray-400 text-left">
+                <th className="py-1 pr-2">CID</th>
+                <th className="py-1 px-2">Criterion</th>
+                <th className="py-1 px-2 text-right">Weight</th>
+                <th className="py-1 px-2">Level</th>
+                <th className="py-1 px-2 text-right">Score</th>
+                <th className="py-1 pl-2 text-right">Target</th>
+              </tr>
+            </thead>
+            <tbody>
+              {data.map((row, rowIndex) => {
+                const parent = !isLeaf(row);
+                const level = row.notApplicable ? 'Not applicable' : maturityHeaders[row.selectedMaturityIndex] || '';
+                return (
+                  <tr key={rowIndex} className={`border-b border-gray-200 break-inside-avoid ${parent ? 'font-semibold bg-gray-50' : ''}`}>
+                    <td className="py-1 pr-2 font-mono text-gray-500">{row.CID}</td>
+                    <td className="py-1 px-2" style={{ paddingLeft: `${0.5 + depthOf(row.CID)}rem` }}>{row.Criterion}</td>
+                    <td className="py-1 px-2 text-right">{formatPercentage(row['Calculated Weights'])}</td>
+                    <td className="py-1 px-2">{parent ? '' : level}</td>
+                    <td className="py-1 px-2 text-right">{renderScore(row)}</td>
+                    <td className="py-1 pl-2 text-right">{row.TargetScore !== row.Score ? formatPercentage(row.TargetScore) : ''}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default PrintReport;
@@ -0,0 +1,201 @@
+import React, { useEffect, useEffectEvent, useMemo, useState } from 'react';
+import { CheckCircle, ChevronLeft, ChevronRight, ClipboardList, SkipForward } from 'lucide-react';
+import { questionIndices, selectedLevel, isQuestionAnswered } from '../lib/questionnaire.js';
+import { ancestorCids } from '../lib/tree.js';
+
+// --- Questionnaire ---
+// Respondent mode's step-by-step view: one leaf criterion at a time with the
+// full description of every level. It only ever picks levels (through
+// onAnswer); the structure, weights and notes stay untouched.
+// Keys: 1-9 pick a level, left/right arrows go back and next.
+
+const Questionnaire = ({ data, maturityHeaders, respondents, activeRespondentId, onRespondentChange, questionCid, onQuestionChange, onAnswer }) => {
+  const [finished, setFinished] = useState(false);
+  const questions = useMemo(() => questionIndices(data), [data]);
+  const respondentId = respondents.length > 0 ? activeRespondentId : null;
+  const needsRespondent = respondents.length > 0 && activeRespondentId === null;
+  const answeredCount = questions.filter(index => isQuestionAnswered(data[index], respondentId)).length;
+
+  // Without a valid current question, start at the first unanswered one.
+  const requested = questions.findIndex(index => data[index].CID === questionCid);
+  const position = requested >= 0 ? requested : Math.max(0, questions.findIndex(index => !isQuestionAnswered(data[index], respondentId)));
+  const rowIndex = questions[position];
+  const row = data[rowIndex];
+  const level = row ? selectedLevel(row, respondentId) : -1;
+  const path = row ? ancestorCids(row.CID).reverse().map(cid => data.find(r => r.CID === cid)).filter(Boolean) : [];
+
+  // Pins the question shown, so answering it does not move on by itself.
+  const answer = (maturityIndex) => {
+    if (requested < 0) onQuestionChange(row.CID);
+    onAnswer(rowIndex, maturityIndex);
+  };
+  const goTo = (nextPosition) => {
+    setFinished(false);
+    onQuestionChange(data[questions[nextPosition]].CID);
+  };
+  const goBack = () => {
+    if (finished) goTo(position);
+    else if (position > 0) goTo(position - 1);
+  };
+  const goNext = () => {
+    if (position + 1 < questions.length) goTo(position + 1);
+    else setFinished(true);
+  };
+  // On to the next unanswered question, wrapping round; finishes when none is
+  // left. From the end, the last question counts too.
+  const skip = () => {
+    const steps = finished ? questions.length : questions.length - 1;
+    for (let step = 1; step <= steps; step++) {
+      const next = (position + step) % questions.length;
+      if (!isQuestionAnswered(data[questions[next]], respondentId)) {
+        goTo(next);
+        return;
+      }
+    }
+    setFinished(true);
+  };
+
+  const handleKey = useEffectEvent((event) => {
+    const target = event.target;
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+    if (event.key === 'ArrowLeft') goBack();
+    else if (event.key === 'ArrowRight' && !finished && row && isQuestionAnswered(row, respondentId)) goNext();
+    else if (/^[1-9]$/.test(event.key) && row && !finished && !needsRespondent) {
+      const options = (row.maturities || []).flatMap((text, index) => String(text ?? '').trim() ? [index] : []);
+      const picked = options[Number(event.key) - 1];
+      if (picked !== undefined) answer(picked);
+    }
+  });
+
+  useEffect(() => {
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, []);
+
+  return (
+    <div className="h-full flex flex-col">
+      <div className="flex-none p-4 bg-white border-b border-gray-200 flex flex-wrap gap-3 items-center">
+        <h2 className="font-semibold text-lg flex items-center gap-2">
+          <ClipboardList size={18} /> Questionnaire
+        </h2>
+        {respondents.length > 0 && (
+          <select
+            value={activeRespondentId ?? ''}
+            onChange={(e) => onRespondentChange(e.target.value || null)}
+            className="px-2 py-1 border border-gray-300 rounded bg-white text-sm"
+            title="Whose answers are recorded"
+          >
+            <option value="">Choose who is answering…</option>
+            {respondents.map(r => <option key={r.id} value={r.id}>Answering as {r.name}</option>)}
+          </select>
+        )}
+        <div className="flex-1 min-w-[12rem] flex items-center gap-2 text-sm text-gray-600">
+          <div className="flex-1 h-2 bg-gray-200 rounded overflow-hidden">
+            <div className="h-full bg-blue-600 transition-all" style={{ width: `${questions.length ? answeredCount / questions.length * 100 : 0}%` }} />
+          </div>
+          <span className="whitespace-nowrap">{answeredCount} of {questions.length} answered</span>
+        </div>
+      </div>
+
+      <div className="flex-1 min-h-0 overflow-auto p-6">
+        <div className="max-w-3xl mx-auto">
+          {questions.length === 0 ? (
+            <div className="text-gray-500 text-center">This assessment has no criteria to answer.</div>
+          ) : finished ? (
+            <div className="bg-white rounded-lg shadow border border-gray-200 p-6 text-center space-y-3">
+              <CheckCircle size={32} className="mx-auto text-green-600" />
+              <div className="text-lg font-semibold">
+                {answeredCount === questions.length ? 'All questions answered' : 'End of the questionnaire'}
+              </div>
+              <div className="text-gray-600">{answeredCount} of {questions.length} answered.</div>
+              <div className="flex justify-center gap-2">
+                {answeredCount < questions.length && (
+                  <button onClick={skip} className="px-3 py-1.5 bg-blue-600 text-white rounded hover:bg-blue-700">
+                    Answer the skipped questions
+                  </button>
+                )}
+                <button onClick={() => goTo(0)} className="px-3 py-1.5 bg-white text-gray-700 border border-gray-300 rounded hover:bg-gray-50">
+                  Back to the first question
+                </button>
+              </div>
+            </div>
+          ) : (
+            <>
+              <div className="text-xs text-gray-500 mb-1">
+                Question {position + 1} of {questions.length}
+                {path.length > 0 && <span> · {path.map(r => r.Criterion || r.CID).join(' › ')}</span>}
+              </div>
+              <h3 className="text-xl font-semibold text-gray-800 mb-4">
+                <span className="font-mono text-gray-400 mr-2">{row.CID}</span>{row.Criterion}
+              </h3>
+              {needsRespondent && (
+                <div className="mb-3 p-2 bg-amber-50 text-amber-800 border border-amber-200 rounded text-sm">
+                  Choose who is answering above to record answers.
+                </div>
+              )}
+              <div className="space-y-2">
+                {(row.maturities || []).map((text, index) => {
+                  if (!String(text ?? '').trim()) return null;
+                  const isSelected = level === index;
+                  return (
+                    <button
+                      key={index}
+                      onClick={() => answer(index)}
+                      disabled={needsRespondent}
+                      title={isSelected ? 'Click again to clear the answer' : undefined}
+                      className={`w-full text-left p-3 rounded border transition ${
+                        isSelected
+                        ? 'bg-blue-600 text-white border-blue-700 shadow-inner'
+                        : 'bg-white text-gray-800 border-gray-200 hover:border-blue-400 hover:bg-blue-50'
+                      } disabled:opacity-50 disabled:cursor-default`}
+                    >
+                      <div className={`text-xs font-semibold mb-1 ${isSelected ? 'text-blue-100' : 'text-gray-500'}`}>
+                        {maturityHeaders[index]}
+                        {row.targetMaturityIndex === index && <span className="ml-2 px-1.5 rounded-full bg-emerald-100 text-emerald-800">target</span>}
+                      </div>
+                      <div className="whitespace-pre-wrap">{text}</div>
+                    </button>
+                  );
+                })}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+
+      {questions.length > 0 && (
+        <div className="flex-none p-4 bg-white border-t border-gray-200 flex items-center gap-2">
+          <button
+            onClick={goBack}
+            disabled={!finished && position === 0}
+            className="flex items-center gap-1 px-3 py-1.5 bg-white text-gray-700 border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-40 disabled:cursor-default"
+          >
+            <ChevronLeft size={16} /> Back
+          </button>
+          <div className="flex-1" />
+          {!finished && (
+            <button
+              onClick={skip}
+              className="flex items-center gap-1 px-3 py-1.5 bg-white text-gray-700 border border-gray-300 rounded hover:bg-gray-50"
+              title="Leave this unanswered and go to the next unanswered question"
+            >
+              <SkipForward size={16} /> Skip
+            </button>
+          )}
+          {!finished && (
+            <button
+              onClick={goNext}
+              disabled={!isQuestionAnswered(row, respondentId)}
+              className="flex items-center gap-1 px-3 py-1.5 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-40 disabled:cursor-default"
+            >
+              {position + 1 < questions.length ? 'Next' : 'Finish'} <ChevronRight size={16} />
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Questionnaire;
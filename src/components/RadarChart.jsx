@@ -0,0 +1,166 @@
+import React, { useEffect } from 'react';
+import * as d3 from 'd3';
+import { defaultSettings } from '../lib/surveyFormat.js';
+import { buildChartHierarchy, createNodeColoring, appendHatchPattern, resolveZoom, parentFocus, createTooltip, truncate, completionLabel } from '../lib/chartHierarchy.js';
+import useChartZoom from './useChartZoom.js';
+
+// --- Radar Chart ---
+// One axis per child of the zoomed node (the top-level domains at first),
+// with the score polygon over a dashed target polygon (the baseline in the
+// delta view). Clicking an axis zooms into that domain; the centre zooms out.
+
+const RING_LEVELS = [0.25, 0.5, 0.75, 1];
+
+const RadarChart = ({ data, settings = defaultSettings, colorBy = 'score', focusCid = null, onPathClick }) => {
+  const { svgRef, containerRef, hatchId, focusRef, zoomRef, handlePathClick } = useChartZoom({ focusCid, onPathClick });
+
+  useEffect(() => {
+    if (!data || data.length === 0 || !svgRef.current || !containerRef.current) return;
+
+    const width = containerRef.current.clientWidth;
+    const height = containerRef.current.clientHeight;
+    const radius = Math.min(width, height) / 2 - 48;
+
+    const { hierarchy: root, weightIssueByCid } = buildChartHierarchy(data, settings);
+    const r = d3.scaleLinear([0, 1], [0, radius]).clamp(true);
+
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+    svg.attr("viewBox", `-${width / 2} -${height / 2} ${width} ${height}`)
+       .style("font", "11px sans-serif");
+
+    const coloring = createNodeColoring(data, colorBy, appendHatchPattern(svg, hatchId), settings.colors);
+    const tooltip = createTooltip(weightIssueByCid);
+    const isDeltaView = colorBy === 'delta';
+    const secondaryValue = d => isDeltaView ? d.data.BaselineScore : d.data.targetScore;
+
+    svg.append("g")
+      .attr("fill", "none")
+      .attr("stroke", "#e5e7eb")
+      .selectAll("circle")
+      .data(RING_LEVELS)
+      .join("circle")
+      .attr("r", r);
+    svg.append("g")
+      .attr("fill", "#9ca3af")
+      .attr("font-size", 9)
+      .selectAll("text")
+      .data(RING_LEVELS)
+      .join("text")
+      .attr("x", 3)
+      .attr("y", level => -r(level) - 2)
+      .text(level => `${level * 100}%`);
+
+    const axes = svg.append("g");
+    const shapes = svg.append("g").attr("pointer-events", "none");
+    const points = svg.append("g");
+    let current = root;
+
+    const centerText = svg.append("text")
+      .attr("text-anchor", "middle")
+      .attr("dy", "0.35em")
+      .style("font-size", "20px")
+      .style("font-weight", "bold")
+      .style("cursor", "pointer")
+      .style("paint-order", "stroke")
+      .attr("stroke", "white")
+      .attr("stroke-width", 4)
+      .on("click", () => {
+        if (current !== root) handlePathClick(parentFocus(current));
+      });
+    const subText = svg.append("text")
+      .attr("text-anchor", "middle")
+      .attr("dy", "2.2em")
+      .attr("pointer-events", "none")
+      .style("fill", "#6b7280");
+
+    function zoomTo(cid, animate) {
+      const { focused, target } = resolveZoom(root, cid);
+      current = target;
+      const duration = animate ? 750 : 0;
+      const spokes = target.children || [];
+      const angle = i => (i / spokes.length) * 2 * Math.PI - Math.PI / 2;
+      const pointAt = (i, value) => [Math.cos(angle(i)) * r(value || 0), Math.sin(angle(i)) * r(value || 0)];
+
+      centerText.text(coloring.label(target.data)).attr("fill", coloring.centerFill(target.data));
+      subText.text(`${target.depth ? truncate(target.data.name, 28) : 'All criteria'} · ${completionLabel(target.data)}`);
+
+      axes.selectAll("g").remove();
+      const axis = axes.selectAll("g")
+        .data(spokes)
+        .join("g")
+        .style("cursor", "pointer")
+        .on("mouseover", tooltip.show)
+        .on("mouseout", tooltip.hide)
+        .on("click", (event, d) => handlePathClick(d.data.CID));
+      axis.append("line")
+        .attr("stroke", "#d1d5db")
+        .attr("x2", (d, i) => pointAt(i, 1)[0])
+        .attr("y2", (d, i) => pointAt(i, 1)[1]);
+      axis.append("text")
+        .attr("x", (d, i) => Math.cos(angle(i)) * (radius + 10))
+        .attr("y", (d, i) => Math.sin(angle(i)) * (radius + 10))
+        .attr("dy", "0.35em")
+        .attr("text-anchor", (d, i) => {
+          const cos = Math.cos(angle(i));
+          return Math.abs(cos) < 0.2 ? "middle" : cos > 0 ? "start" : "end";
+        })
+        .style("font-weight", d => d === focused ? "bold" : null)
+        .attr("fill", d => d === focused ? "#1f2937" : "#4b5563")
+        .text(d => truncate(d.data.name, 18));
+
+      // Polygons grow out of the centre on zoom.
+      const polygon = (value) => (d3.line().curve(d3.curveLinearClosed))(spokes.map((d, i) => pointAt(i, value(d))));
+      const collapsedPolygon = (d3.line().curve(d3.curveLinearClosed))(spokes.map(() => [0, 0]));
+      shapes.selectAll("path").remove();
+      shapes.append("path")
+        .attr("fill", "none")
+        .attr("stroke", "#6b7280")
+        .attr("stroke-dasharray", "4 3")
+        .attr("d", collapsedPolygon)
+        .transition().duration(duration)
+        .attr("d", polygon(secondaryValue));
+      shapes.append("path")
+        .attr("fill", "#2563eb")
+        .attr("fill-opacity", 0.15)
+        .attr("stroke", "#2563eb")
+        .attr("stroke-width", 2)
+        .attr("d", collapsedPolygon)
+        .transition().duration(duration)
+        .attr("d", polygon(d => d.data.score));
+
+      points.selectAll("circle")
+        .data(spokes)
+        .join("circle")
+        .attr("cx", 0)
+        .attr("cy", 0)
+        .attr("r", d => d === focused ? 7 : 5)
+        .attr("fill", d => coloring.fill(d.data))
+        .attr("stroke", d => d === focused ? "#1f2937" : "white")
+        .attr("stroke-width", d => d === focused ? 3 : 1.5)
+        .style("cursor", "pointer")
+        .on("mouseover", tooltip.show)
+        .on("mouseout", tooltip.hide)
+        .on("click", (event, d) => handlePathClick(d.data.CID))
+        .transition().duration(duration)
+        .attr("cx", (d, i) => pointAt(i, d.data.score)[0])
+        .attr("cy", (d, i) => pointAt(i, d.data.score)[1]);
+    }
+
+    zoomRef.current = zoomTo;
+    zoomTo(focusRef.current, false);
+
+    return () => {
+      zoomRef.current = null;
+      tooltip.remove();
+    };
+  }, [data, settings, colorBy, svgRef, containerRef, hatchId, focusRef, zoomRef, handlePathClick]);
+
+  return (
+    <div ref={containerRef} className="w-full h-full flex items-center justify-center">
+      <svg ref={svgRef} className="maturity-chart" width="100%" height="100%"></svg>
+    </div>
+  );
+};
+
+export default RadarChart;
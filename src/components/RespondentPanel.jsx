@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { UserPlus, Trash2, X } from 'lucide-react';
+import { AGGREGATIONS, parsePercentage, formatPercentage } from '../lib/scoring.js';
+
+// --- Respondent Panel ---
+// Manages the people answering the assessment and how their answers combine.
+
+const AGGREGATION_LABELS = { mean: 'Mean', median: 'Median', min: 'Minimum', max: 'Maximum' };
+
+const RespondentPanel = ({ respondents, settings, onAdd, onRemove, onSettingsChange, onClose }) => {
+  const [name, setName] = useState('');
+
+  const add = () => {
+    if (!name.trim()) return;
+    onAdd(name.trim());
+    setName('');
+  };
+
+  return (
+    <div className="flex-none max-h-56 flex flex-col bg-white border-b border-gray-200 text-sm">
+      <div className="flex-none flex flex-wrap items-center gap-2 px-4 py-2 bg-gray-100 border-b border-gray-200">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && add()}
+          placeholder="Respondent name"
+          className="flex-1 min-w-[140px] px-2 py-1 border border-gray-300 rounded"
+        />
+        <button onClick={add} className="flex items-center gap-2 px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700">
+          <UserPlus size={14} /> Add
+        </button>
+        <label className="flex items-center gap-1 ml-2">
+          Aggregate
+          <select
+            value={settings.aggregation}
+            onChange={(e) => onSettingsChange({ aggregation: e.target.value })}
+            className="px-2 py-1 border border-gray-300 rounded bg-white"
+          >
+            {AGGREGATIONS.map(method => <option key={method} value={method}>{AGGREGATION_LABELS[method]}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-1" title="Highlight criteria whose highest and lowest answers differ by at least this much">
+          Flag spread ≥
+          <input
+            type="text"
+            key={settings.disagreementThreshold}
+            defaultValue={formatPercentage(settings.disagreementThreshold)}
+            onBlur={(e) => onSettingsChange({ disagreementThreshold: parsePercentage(e.target.value) })}
+            className="w-16 px-2 py-1 border border-gray-300 rounded text-right"
+          />
+        </label>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-700" title="Close">
+          <X size={16} />
+        </button>
+      </div>
+      {respondents.length === 0 ? (
+        <div className="px-4 py-3 text-gray-500">
+          Single assessor. Add respondents to collect several answers per criterion; the first one keeps the current selections.
+        </div>
+      ) : (
+        <ul className="overflow-auto divide-y divide-gray-100">
+          {respondents.map(respondent => (
+            <li key={respondent.id} className="px-4 py-1.5 flex items-center gap-3">
+              <span className="flex-1">{respondent.name}</span>
+              <button onClick={() => onRemove(respondent)} className="text-gray-400 hover:text-red-600" title="Remove respondent and their answers">
+                <Trash2 size={14} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default RespondentPanel;
@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { X, Plus, Trash2, ExternalLink, AlertTriangle } from 'lucide-react';
+import { formatPercentage } from '../lib/scoring.js';
+import { isLink, isMissingEvidence } from '../lib/evidence.js';
+
+// --- Row Detail Drawer ---
+// Rationale, evidence, owner and review date for one criterion.
+
+const RowDetailDrawer = ({ row, maturityHeaders, onChange, onClose }) => {
+  const [newEvidence, setNewEvidence] = useState('');
+  const evidence = row.evidence || [];
+  const selectedLevel = row.selectedMaturityIndex >= 0 ? maturityHeaders[row.selectedMaturityIndex] : null;
+
+  const addEvidence = () => {
+    if (!newEvidence.trim()) return;
+    onChange({ evidence: [...evidence, newEvidence.trim()] });
+    setNewEvidence('');
+  };
+
+  const removeEvidence = (index) => {
+    onChange({ evidence: evidence.filter((_, i) => i !== index) });
+  };
+
+  return (
+    <div className="fixed inset-y-0 right-0 w-96 max-w-full bg-white shadow-2xl border-l border-gray-200 z-20 flex flex-col text-sm">
+      <div className="flex-none flex items-start justify-between gap-2 px-4 py-3 border-b border-gray-200 bg-gray-50">
+        <div>
+          <div className="font-mono text-xs text-gray-500">{row.CID}</div>
+          <div className="font-semibold text-base">{row.Criterion || 'Untitled criterion'}</div>
+          <div className="text-xs text-gray-500">
+            Score {formatPercentage(row.Score) || '—'}{selectedLevel ? ` · ${selectedLevel}` : ''}
+          </div>
+        </div>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-700" title="Close">
+          <X size={18} />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-auto p-4 space-y-4">
+        <label className="block">
+          <span className="text-xs font-semibold text-gray-600">Rationale</span>
+          <textarea
+            value={row.rationale || ''}
+            onChange={(e) => onChange({ rationale: e.target.value })}
+            placeholder="Why was this level chosen?"
+            className="mt-1 w-full h-32 p-2 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
+          />
+        </label>
+
+        <div>
+          <span className="text-xs font-semibold text-gray-600">Evidence</span>
+          {isMissingEvidence(row) && (
+            <div className="mt-1 flex items-center gap-2 text-amber-700 text-xs">
+              <AlertTriangle size={12} /> This criterion is scored but has no evidence.
+            </div>
+          )}
+          <ul className="mt-1 space-y-1">
+            {evidence.map((item, i) => (
+              <li key={i} className="flex items-center gap-2">
+                {isLink(item) ? (
+                  <a href={item} target="_blank" rel="noopener noreferrer" className="flex-1 truncate text-blue-600 hover:underline flex items-center gap-1">
+                    <ExternalLink size={12} className="flex-none" /> {item}
+                  </a>
+                ) : (
+                  <span className="flex-1 truncate">{item}</span>
+                )}
+                <button onClick={() => removeEvidence(i)} className="text-gray-400 hover:text-red-600" title="Remove">
+                  <Trash2 size={14} />
+                </button>
+              </li>
+            ))}
+          </ul>
+          <div className="mt-2 flex gap-2">
+            <input
+              type="text"
+              value={newEvidence}
+              onChange={(e) => setNewEvidence(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && addEvidence()}
+              placeholder="https://… or document reference"
+              className="flex-1 px-2 py-1 border border-gray-300 rounded"
+            />
+            <button onClick={addEvidence} className="flex items-center gap-1 px-2 py-1 bg-blue-600 text-white rounded hover:bg-blue-700">
+              <Plus size={14} /> Add
+            </button>
+          </div>
+        </div>
+
+        <label className="block">
+          <span className="text-xs font-semibold text-gray-600">Owner</span>
+          <input
+            type="text"
+            value={row.owner || ''}
+            onChange={(e) => onChange({ owner: e.target.value })}
+            className="mt-1 w-full px-2 py-1 border border-gray-300 rounded"
+          />
+        </label>
+
+        <label className="block">
+          <span className="text-xs font-semibold text-gray-600">Last reviewed</span>
+          <input
+            type="date"
+            value={row.lastReviewed || ''}
+            onChange={(e) => onChange({ lastReviewed: e.target.value })}
+            className="mt-1 w-full px-2 py-1 border border-gray-300 rounded"
+          />
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default RowDetailDrawer;
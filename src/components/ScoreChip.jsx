@@ -0,0 +1,18 @@
+import React from 'react';
+import { formatPercentage } from '../lib/scoring.js';
+import { textColorOn } from '../lib/colors.js';
+
+// --- Score Chip ---
+// A score on its chart colour, named by its band (if any) on hover or, with
+// `showBand`, beside the value.
+
+const ScoreChip = ({ score, color, band, showBand = false, precision = 0 }) => (
+  <span className="inline-flex items-center gap-1" title={band ? `${band.label || 'Band'} (${formatPercentage(band.from)}–${formatPercentage(band.to)})` : undefined}>
+    <span className="inline-block px-1.5 rounded" style={{ background: color, color: textColorOn(color) }}>
+      {formatPercentage(score, precision)}
+    </span>
+    {showBand && band && band.label && <span className="text-gray-500 font-normal">{band.label}</span>}
+  </span>
+);
+
+export default ScoreChip;
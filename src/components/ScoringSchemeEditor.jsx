@@ -0,0 +1,66 @@
+import React from 'react';
+import { SCHEME_TYPES, createScheme } from '../lib/schemes.js';
+import { parsePercentage, formatPercentage } from '../lib/scoring.js';
+
+// --- Scoring Scheme Editor ---
+// Edits one scheme against the assessment's maturity headers. Used for the
+// assessment default and for per-row overrides.
+
+const ScoringSchemeEditor = ({ scheme, maturityHeaders, onChange }) => {
+  const headerCount = maturityHeaders.length;
+
+  const setPoint = (index, value) => {
+    const points = [...scheme.points];
+    points[index] = Math.max(0, Math.min(1, parsePercentage(value)));
+    onChange({ ...scheme, points });
+  };
+
+  return (
+    <div className="flex flex-wrap items-end gap-4 text-sm">
+      <label className="flex flex-col gap-1">
+        <span className="text-xs text-gray-500">Scheme</span>
+        <select
+          value={scheme.type}
+          onChange={(e) => onChange(createScheme(e.target.value, headerCount, scheme))}
+          className="px-2 py-1 border border-gray-300 rounded bg-white"
+        >
+          {SCHEME_TYPES.map(s => <option key={s.type} value={s.type}>{s.label}</option>)}
+        </select>
+      </label>
+
+      {scheme.type === 'linear' && (
+        <span className="text-xs text-gray-500 pb-1.5">
+          Each answered level scores its rank among the row's options ("No" scores 0%).
+        </span>
+      )}
+
+      {scheme.type === 'points' && maturityHeaders.map((header, i) => (
+        <label key={i} className="flex flex-col gap-1 w-28">
+          <span className="text-xs text-gray-500 truncate" title={header}>{header}</span>
+          <input
+            type="text"
+            key={scheme.points[i]}
+            defaultValue={formatPercentage(scheme.points[i], 0)}
+            onBlur={(e) => setPoint(i, e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded text-right"
+          />
+        </label>
+      ))}
+
+      {scheme.type === 'threshold' && (
+        <label className="flex flex-col gap-1">
+          <span className="text-xs text-gray-500">Scores 100% from</span>
+          <select
+            value={scheme.threshold}
+            onChange={(e) => onChange({ ...scheme, threshold: Number(e.target.value) })}
+            className="px-2 py-1 border border-gray-300 rounded bg-white"
+          >
+            {maturityHeaders.map((header, i) => <option key={i} value={i}>{header}</option>)}
+          </select>
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default ScoringSchemeEditor;
@@ -0,0 +1,166 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Copy, Maximize2, X } from 'lucide-react';
+import { createShareLink, findSourceTemplate } from '../lib/shareLink.js';
+import { encodeQr, maxQrBytes } from '../lib/qrCode.js';
+
+// --- Share Panel ---
+// Builds a link holding the assessment (or just its selections against the
+// template it came from) plus the chart zoom, and shows it as a QR code.
+// Everything is in the link itself; nothing is uploaded.
+
+const QrCode = ({ qr, size, className = '' }) => {
+  const border = 4;
+  const path = qr.modules.flatMap((row, y) => row.flatMap((dark, x) => dark ? [`M${x + border},${y + border}h1v1h-1z`] : [])).join('');
+  return (
+    <svg
+      viewBox={`0 0 ${qr.size + border * 2} ${qr.size + border * 2}`}
+      width={size}
+      height={size}
+      shapeRendering="crispEdges"
+      className={className}
+    >
+      <rect width="100%" height="100%" fill="#fff" />
+      <path d={path} fill="#000" />
+    </svg>
+  );
+};
+
+const SharePanel = ({ meta, maturityHeaders, data, settings, snapshots, respondents, templates, focusCid, focusLabel, onClose }) => {
+  const [kind, setKind] = useState('selections');
+  const [includeFocus, setIncludeFocus] = useState(true);
+  const [link, setLink] = useState('');
+  const [error, setError] = useState('');
+  const [copied, setCopied] = useState(false);
+  const [enlarged, setEnlarged] = useState(false);
+
+  const sourceTemplate = useMemo(() => findSourceTemplate({ maturityHeaders, data }, templates), [maturityHeaders, data, templates]);
+  const canShareSelections = sourceTemplate !== null && respondents.length === 0;
+  const effectiveKind = canShareSelections ? kind : 'assessment';
+  const focus = includeFocus ? focusCid : null;
+
+  useEffect(() => {
+    let cancelled = false;
+    const survey = { meta, maturityHeaders, data, settings, snapshots, respondents };
+    const baseUrl = window.location.href.split('#')[0];
+    createShareLink(survey, { template: effectiveKind === 'selections' ? sourceTemplate : null, focus, baseUrl })
+      .then(url => {
+        if (cancelled) return;
+        setLink(url);
+        setError('');
+        setCopied(false);
+      })
+      .catch(err => {
+        if (cancelled) return;
+        setLink('');
+        setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [meta, maturityHeaders, data, settings, snapshots, respondents, sourceTemplate, effectiveKind, focus]);
+
+  const qr = useMemo(() => {
+    try {
+      return link ? encodeQr(link) : null;
+    } catch {
+      return null;
+    }
+  }, [link]);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopied(true);
+    } catch (err) {
+      setError(`Could not copy: ${err.message}`);
+    }
+  };
+
+  let selectionsNote = null;
+  if (!sourceTemplate) selectionsNote = 'Only for assessments whose structure still matches a template.';
+  else if (respondents.length > 0) selectionsNote = 'Not available with respondents; their answers need the whole assessment.';
+
+  return (
+    <div className="flex-none max-h-80 flex flex-col bg-white border-b border-gray-200 text-sm">
+      <div className="flex-none flex items-center gap-3 px-4 py-2 bg-gray-100 border-b border-gray-200">
+        <span className="flex-1 text-gray-600">The link holds the assessment itself and works offline; nothing is uploaded.</span>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-700" title="Close">
+          <X size={16} />
+        </button>
+      </div>
+      <div className="overflow-auto p-4 flex gap-4">
+        <div className="flex-1 min-w-0 space-y-2">
+          <label className={`flex items-start gap-2 ${canShareSelections ? '' : 'text-gray-400'}`}>
+            <input
+              type="radio"
+              checked={effectiveKind === 'selections'}
+              disabled={!canShareSelections}
+              onChange={() => setKind('selections')}
+              className="mt-1"
+            />
+            <span>
+              Selections against the template{sourceTemplate && <> “{sourceTemplate.name}”</>}
+              <span className="block text-xs text-gray-500">
+                {selectionsNote || 'A short link. The recipient needs the same template: built-in ones are in every copy of the app, saved ones only in this browser.'}
+              </span>
+            </span>
+          </label>
+          <label className="flex items-start gap-2">
+            <input type="radio" checked={effectiveKind === 'assessment'} onChange={() => setKind('assessment')} className="mt-1" />
+            <span>
+              The whole assessment
+              <span className="block text-xs text-gray-500">Structure, answers, notes, snapshots and respondents, as in Save JSON.</span>
+            </span>
+          </label>
+          <label className={`flex items-center gap-2 ${focusCid ? '' : 'text-gray-400'}`}>
+            <input type="checkbox" checked={includeFocus && !!focusCid} disabled={!focusCid} onChange={(e) => setIncludeFocus(e.target.checked)} />
+            {focusCid ? <span>Open zoomed into {focusLabel}</span> : <span>Open zoomed in (zoom the chart first)</span>}
+          </label>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              readOnly
+              value={link}
+              onFocus={(e) => e.target.select()}
+              className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded font-mono text-xs text-gray-600"
+            />
+            <button
+              onClick={copy}
+              disabled={!link}
+              className="flex items-center gap-1 px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50 disabled:cursor-default"
+            >
+              <Copy size={14} /> {copied ? 'Copied' : 'Copy'}
+            </button>
+          </div>
+          <div className="text-xs text-gray-500">{link.length.toLocaleString()} characters</div>
+          {error && <div className="text-red-700">{error}</div>}
+        </div>
+        <div className="flex-none w-40 flex flex-col items-center justify-center gap-1 text-center">
+          {qr ? (
+            <>
+              <button onClick={() => setEnlarged(true)} title="Show large for the room" className="relative group">
+                <QrCode qr={qr} size={144} className="border border-gray-200" />
+                <Maximize2 size={14} className="absolute right-1 bottom-1 text-gray-500 opacity-0 group-hover:opacity-100" />
+              </button>
+              <span className="text-xs text-gray-500">Scan to open</span>
+            </>
+          ) : link ? (
+            <span className="text-xs text-gray-500">
+              Too long for a QR code (at most {maxQrBytes().toLocaleString()} characters). Share selections against a template, or use Save JSON.
+            </span>
+          ) : null}
+        </div>
+      </div>
+
+      {enlarged && qr && (
+        <div className="fixed inset-0 z-50 bg-white flex flex-col items-center justify-center gap-4" onClick={() => setEnlarged(false)}>
+          <QrCode qr={qr} className="w-[80vmin] h-[80vmin]" />
+          <div className="text-lg text-gray-700">{meta.title || 'Untitled assessment'}</div>
+          <div className="text-sm text-gray-400">Click anywhere to close</div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SharePanel;
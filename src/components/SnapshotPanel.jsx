@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { Camera, RotateCcw, Trash2, X } from 'lucide-react';
+
+// --- Snapshot Panel ---
+// Takes, restores and deletes named, dated snapshots of the assessment.
+
+const SnapshotPanel = ({ snapshots, onCreate, onRestore, onDelete, onClose }) => {
+  const [name, setName] = useState('');
+  const [date, setDate] = useState(() => new Date().toISOString().slice(0, 10));
+
+  const create = () => {
+    onCreate(name.trim(), date);
+    setName('');
+  };
+
+  return (
+    <div className="flex-none max-h-56 flex flex-col bg-white border-b border-gray-200 text-sm">
+      <div className="flex-none flex items-center gap-2 px-4 py-2 bg-gray-100 border-b border-gray-200">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && create()}
+          placeholder={`Snapshot ${date}`}
+          className="flex-1 px-2 py-1 border border-gray-300 rounded"
+        />
+        <input
+          type="date"
+          value={date}
+          onChange={(e) => setDate(e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded"
+        />
+        <button onClick={create} className="flex items-center gap-2 px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700">
+          <Camera size={14} /> Take Snapshot
+        </button>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-700" title="Close">
+          <X size={16} />
+        </button>
+      </div>
+      {snapshots.length === 0 ? (
+        <div className="px-4 py-3 text-gray-500">No snapshots yet. Take one at the end of each assessment round to track progress.</div>
+      ) : (
+        <ul className="overflow-auto divide-y divide-gray-100">
+          {snapshots.map(snapshot => (
+            <li key={snapshot.id} className="px-4 py-1.5 flex items-center gap-3">
+              <span className="font-mono text-xs text-gray-500 w-24 flex-none">{snapshot.date}</span>
+              <span className="flex-1">{snapshot.name}</span>
+              <span className="text-xs text-gray-400">{snapshot.data.length} rows</span>
+              <button
+                onClick={() => onRestore(snapshot)}
+                className="text-gray-400 hover:text-blue-600"
+                title="Replace the working answers with this snapshot"
+              >
+                <RotateCcw size={14} />
+              </button>
+              <button onClick={() => onDelete(snapshot)} className="text-gray-400 hover:text-red-600" title="Delete snapshot">
+                <Trash2 size={14} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SnapshotPanel;
@@ -0,0 +1,270 @@
+import React, { useEffect, useRef } from 'react';
+import * as d3 from 'd3';
+import { defaultSettings } from '../lib/surveyFormat.js';
+import { PROGRESS_COLOR, WEIGHT_ISSUE_COLOR } from '../lib/colors.js';
+import { buildChartHierarchy, createNodeColoring, completionLabel, appendHatchPattern, resolveZoom, parentFocus, createTooltip, getAcronym } from '../lib/chartHierarchy.js';
+import useChartZoom from './useChartZoom.js';
+
+// --- Sunburst Chart ---
+// The zoom follows `focusCid` (null for the whole assessment): a branch zooms
+// to itself, a leaf to its parent, and the focused arc is outlined. Clicking
+// an arc or the centre reports the CID to focus next through onPathClick.
+//
+// The SVG is built once per mount. New data is joined to the existing arcs by
+// CID and each arc animates from the layout it was last drawn with to its new
+// one, so an edit moves only what it changed.
+
+const DURATION = 750;
+
+// What an arc is drawn from: its partition extent and completion share.
+const layoutOf = d => ({ x0: d.x0, x1: d.x1, y0: d.y0, y1: d.y1, completion: d.data.completion || 0 });
+
+// Entering arcs grow out of their start angle; exiting ones shrink back into it.
+const collapsed = layout => ({ ...layout, x1: layout.x0, completion: 0 });
+
+// Builds the chart skeleton in `svgElement`. Returns { update(data, settings,
+// colorBy, focusCid), zoomTo(cid, animate), resize(width, height), remove() }.
+const createSunburst = (svgElement, { width, height, hatchId, onPathClick }) => {
+  let radius = Math.min(width, height) / 2.2;
+
+  const x = d3.scaleLinear().range([0, 2 * Math.PI]);
+  const y = d3.scaleSqrt().range([0, radius]);
+  const partition = d3.partition();
+
+  const arc = d3.arc()
+    .startAngle(l => Math.max(0, Math.min(2 * Math.PI, x(l.x0))))
+    .endAngle(l => Math.max(0, Math.min(2 * Math.PI, x(l.x1))))
+    .innerRadius(l => Math.max(0, y(l.y0)))
+    .outerRadius(l => Math.max(0, y(l.y1)));
+  // Thin band along each arc's outer edge, as long as its completion share
+  const progressArc = d3.arc()
+    .startAngle(l => Math.max(0, Math.min(2 * Math.PI, x(l.x0))))
+    .endAngle(l => Math.max(0, Math.min(2 * Math.PI, x(l.x0 + (l.x1 - l.x0) * l.completion))))
+    .innerRadius(l => Math.max(0, y(l.y1) - 3.5))
+    .outerRadius(l => Math.max(0, y(l.y1) - 1));
+
+  const labelTransform = (l) => {
+    const x0 = x(l.x0);
+    const x1 = x(l.x1);
+    const y0 = y(l.y0);
+    const y1 = y(l.y1);
+    if (!y0) return "";
+    const rot = (x0 + x1) / 2 * 180 / Math.PI;
+    const transY = (y0 + y1) / 2;
+    return `rotate(${rot - 90}) translate(${transY},0) rotate(${rot < 180 ? 0 : 180})`;
+  };
+  const labelDisplay = (l) => {
+    const x0 = x(l.x0);
+    const x1 = x(l.x1);
+    const y0 = y(l.y0);
+    const y1 = y(l.y1);
+    if (x1 <= x0 || y0 >= y1) return "none";
+    const arcWidth = (x1 - x0) * (y0 + y1) / 2;
+    return arcWidth > 12 ? "inline" : "none";
+  };
+
+  // Tween from the element's last drawn layout (kept in __layout) to `to`,
+  // redrawing with the zoom scales as they move.
+  const tweenTo = (draw, to) => function tween(d) {
+    const interpolate = d3.interpolate(this.__layout || collapsed(layoutOf(d)), to(d));
+    return t => draw(this.__layout = interpolate(t));
+  };
+  const exitArcs = (draw, transition) => exit => exit.transition(transition)
+    .attrTween("d", tweenTo(draw, d => collapsed(layoutOf(d))))
+    .remove();
+
+  const svg = d3.select(svgElement);
+  svg.selectAll("*").remove();
+
+  const setViewBox = () => svg.attr("viewBox", `-${width / 2} -${height / 2} ${width} ${height}`);
+  setViewBox().style("font", "12px sans-serif");
+
+  const excludedFill = appendHatchPattern(svg, hatchId);
+  const g = svg.append("g");
+  const arcs = g.append("g");
+  const progress = g.append("g").attr("pointer-events", "none");
+  const labels = g.append("g")
+    .attr("pointer-events", "none")
+    .attr("text-anchor", "middle")
+    .style("user-select", "none");
+
+  let root = null;
+  let current = null;
+  let zoomCid = null;
+  let coloring = null;
+  let weightIssueByCid = {};
+
+  const centerText = g.append("text")
+    .attr("text-anchor", "middle")
+    .attr("dy", "0.35em")
+    .style("font-size", "24px")
+    .style("font-weight", "bold")
+    .style("fill", "#374151")
+    .style("filter", "drop-shadow(0px 1px 1px rgba(0,0,0,0.2))")
+    .style("cursor", "pointer")
+    .on("click", () => {
+      // Up one level from the current zoom.
+      if (current && current !== root) onPathClick(parentFocus(current));
+    });
+
+  const completionText = g.append("text")
+    .attr("text-anchor", "middle")
+    .attr("dy", "2.4em")
+    .attr("pointer-events", "none")
+    .style("font-size", "11px")
+    .style("fill", "#6b7280");
+
+  const tooltip = createTooltip();
+
+  const focusOutline = g.append("path")
+    .attr("class", "focus")
+    .attr("fill", "none")
+    .attr("stroke", "#1f2937")
+    .attr("stroke-width", 3)
+    .attr("pointer-events", "none");
+
+  // Joins the current hierarchy and zooms to `cid` in a single transition.
+  function render(cid, animate) {
+    const { focused, target } = resolveZoom(root, cid);
+    current = target;
+    zoomCid = cid;
+    const nodes = root.descendants().filter(d => d.depth);
+    const key = d => d.data.CID;
+
+    const transition = svg.transition().duration(animate ? DURATION : 0).tween("scale", () => {
+      const xd = d3.interpolate(x.domain(), [target.x0, target.x1]);
+      const yd = d3.interpolate(y.domain(), [target.y0, 1]);
+      const yr = d3.interpolate(y.range(), [target.y0 ? 20 : 0, radius]);
+
+      return t => {
+        x.domain(xd(t));
+        y.domain(yd(t)).range(yr(t));
+      };
+    });
+
+    arcs.selectAll("path.arc")
+      .data(nodes, key)
+      .join(
+        enter => enter.append("path")
+          .attr("class", "arc")
+          .style("cursor", "pointer")
+          .on("mouseover", tooltip.show)
+          .on("mouseout", tooltip.hide)
+          .on("click", (event, d) => onPathClick(d.data.CID)),
+        update => update,
+        exitArcs(arc, transition)
+      )
+      .attr("fill", d => coloring.fill(d.data))
+      .attr("stroke", d => weightIssueByCid[d.data.CID] ? WEIGHT_ISSUE_COLOR : "#fff")
+      .attr("stroke-width", d => weightIssueByCid[d.data.CID] ? "2px" : "1px")
+      .attr("stroke-dasharray", d => weightIssueByCid[d.data.CID] ? "4 2" : null)
+      .transition(transition)
+      .attrTween("d", tweenTo(arc, layoutOf));
+
+    progress.selectAll("path.progress")
+      .data(nodes, key)
+      .join(
+        enter => enter.append("path")
+          .attr("class", "progress")
+          .attr("fill", PROGRESS_COLOR)
+          .attr("fill-opacity", 0.6),
+        update => update,
+        exitArcs(progressArc, transition)
+      )
+      .transition(transition)
+      .attrTween("d", tweenTo(progressArc, layoutOf));
+
+    labels.selectAll("text")
+      .data(nodes, key)
+      .join(enter => enter.append("text")
+        .attr("dy", "0.35em")
+        .attr("fill", "white")
+        .style("text-shadow", "0 0 3px black")
+        .style("font-weight", "bold"))
+      .text(d => getAcronym(d.data.name))
+      .transition(transition)
+      .attrTween("transform", tweenTo(labelTransform, layoutOf))
+      .styleTween("display", function tween() {
+        return () => labelDisplay(this.__layout);
+      });
+
+    focusOutline.datum(focused).attr("display", focused ? null : "none");
+    if (focused) focusOutline.transition(transition).attrTween("d", tweenTo(arc, layoutOf));
+
+    completionText.text(completionLabel(target.data));
+    centerText.text(coloring.label(target.data))
+              .style("fill", coloring.centerFill(target.data));
+  }
+
+  return {
+    update(data, settings, colorBy, focusCid) {
+      const isFirst = root === null;
+      const built = buildChartHierarchy(data, settings);
+      root = partition(built.hierarchy);
+      weightIssueByCid = built.weightIssueByCid;
+      tooltip.setWeightIssues(weightIssueByCid);
+      coloring = createNodeColoring(data, colorBy, excludedFill, settings.colors);
+      render(focusCid, !isFirst);
+    },
+    zoomTo(cid, animate) {
+      if (root) render(cid, animate);
+    },
+    // Redraws at the new size and the current zoom, without animating.
+    resize(newWidth, newHeight) {
+      if (newWidth === width && newHeight === height) return;
+      width = newWidth;
+      height = newHeight;
+      radius = Math.min(width, height) / 2.2;
+      setViewBox();
+      if (root) render(zoomCid, false);
+    },
+    remove() {
+      svg.selectAll("*").interrupt();
+      svg.interrupt();
+      tooltip.remove();
+    }
+  };
+};
+
+const SunburstChart = ({ data, settings = defaultSettings, colorBy = 'score', focusCid = null, onPathClick }) => {
+  const { svgRef, containerRef, hatchId, focusRef, zoomRef, handlePathClick } = useChartZoom({ focusCid, onPathClick });
+  const sunburstRef = useRef(null);
+
+  useEffect(() => {
+    if (!svgRef.current || !containerRef.current) return;
+    const sunburst = createSunburst(svgRef.current, {
+      width: containerRef.current.clientWidth,
+      height: containerRef.current.clientHeight,
+      hatchId,
+      onPathClick: handlePathClick
+    });
+    sunburstRef.current = sunburst;
+    zoomRef.current = sunburst.zoomTo;
+
+    // Follow the pane and the window; the observer also fires once on start.
+    const container = containerRef.current;
+    const observer = typeof ResizeObserver === 'undefined'
+      ? null
+      : new ResizeObserver(() => sunburst.resize(container.clientWidth, container.clientHeight));
+    if (observer) observer.observe(container);
+    return () => {
+      if (observer) observer.disconnect();
+      sunburstRef.current = null;
+      zoomRef.current = null;
+      sunburst.remove();
+    };
+  }, [svgRef, containerRef, hatchId, zoomRef, handlePathClick]);
+
+  useEffect(() => {
+    if (!data || data.length === 0 || !sunburstRef.current) return;
+    sunburstRef.current.update(data, settings, colorBy, focusRef.current);
+  }, [data, settings, colorBy, focusRef]);
+
+  return (
+    <div ref={containerRef} className="w-full h-full flex items-center justify-center">
+      <svg ref={svgRef} className="maturity-chart" width="100%" height="100%"></svg>
+    </div>
+  );
+};
+
+export default SunburstChart;
@@ -0,0 +1,262 @@
+import React, { memo } from 'react';
+import { AlertTriangle, ChevronDown, ChevronRight, GripVertical, NotebookPen, SlidersHorizontal, Trash2 } from 'lucide-react';
+import { formatPercentage, readPercentage } from '../lib/scoring.js';
+import { describeWeightIssue } from '../lib/weights.js';
+import { describeScheme } from '../lib/schemes.js';
+import { countResponses, isDisagreement } from '../lib/respondents.js';
+import { hasDetails, hasEvidence, isMissingEvidence } from '../lib/evidence.js';
+import { formatDelta } from '../lib/snapshots.js';
+import { scoreBand } from '../lib/colors.js';
+import { depthOf } from '../lib/tree.js';
+import ScoreChip from './ScoreChip.jsx';
+import ScoringSchemeEditor from './ScoringSchemeEditor.jsx';
+
+// --- Survey Table Row ---
+// One criterion of the survey table, plus its scheme override editor when
+// open. Memoised: every prop is either part of the row's own state or stable
+// between renders (`actions` never changes), so editing one row re-renders
+// only that row and its ancestors.
+//
+// actions: { inputChange(rowIndex, field, value), maturityClick(rowIndex,
+// maturityIndex), toggleCollapsed(cid), focusRow(cid), dragStart(cid),
+// dragEnd(), dragOver(event, cid), drop(event, cid), toggleScheme(rowIndex),
+// schemeChange(rowIndex, scheme), toggleNotApplicable(rowIndex),
+// toggleDetail(rowIndex), deleteRow(rowIndex) }. Weights go to inputChange
+// as fractions, once the field loses focus or Enter is pressed.
+
+const SurveyTableRow = ({
+  row, rowIndex, maturityHeaders, settings, scoreColor, actions,
+  isGapView, isCompareView, isMultiRespondent, hasRespondents, activeRespondentId,
+  isCollapsed, weightIssue, severity, isHighlighted, isInFocus, isDropTarget, isDragging, delta, isSchemeOpen
+}) => {
+  const isParent = row.children && row.children.length > 0;
+  const responseCounts = hasRespondents && !isParent ? countResponses(row, maturityHeaders.length) : null;
+  const disagreement = isMultiRespondent && !isParent && isDisagreement(row, settings.disagreementThreshold);
+
+  return (
+    <>
+      <tr
+        id={`survey-row-${rowIndex}`}
+        data-survey-row
+        onDragOver={(e) => actions.dragOver(e, row.CID)}
+        onDrop={(e) => actions.drop(e, row.CID)}
+        onClick={() => actions.focusRow(row.CID)}
+        className={`hover:bg-gray-50 ${
+          isHighlighted ? 'bg-yellow-50' : isInFocus ? 'bg-sky-50' : ''
+        } ${
+          isDropTarget ? 'outline-2 -outline-offset-2 outline-blue-500 bg-blue-50' : ''
+        } ${isDragging ? 'opacity-50' : ''} ${
+          severity === 'error' ? 'border-l-4 border-l-red-500'
+          : severity === 'warning' ? 'border-l-4 border-l-amber-400' : ''
+        }`}
+      >
+        <td className="p-1 align-middle">
+          <div className="flex items-center">
+            <span
+              draggable={row.CID !== ''}
+              onDragStart={(e) => {
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', row.CID);
+                actions.dragStart(row.CID);
+              }}
+              onDragEnd={actions.dragEnd}
+              className="flex-none text-gray-300 hover:text-gray-600 cursor-grab"
+              title="Drag onto another row to move this branch under it"
+            >
+              <GripVertical size={14} />
+            </span>
+            <input
+              type="text"
+              value={row.CID}
+              onChange={(e) => actions.inputChange(rowIndex, 'CID', e.target.value)}
+              className="w-full px-2 py-1 border-transparent hover:border-gray-300 focus:border-blue-500 bg-transparent rounded"
+            />
+          </div>
+        </td>
+        <td className="p-1 align-middle">
+          <div className="flex items-center" style={{ paddingLeft: `${depthOf(row.CID) * 1.25}rem` }}>
+            {isParent ? (
+              <button
+                onClick={() => actions.toggleCollapsed(row.CID)}
+                className="flex-none text-gray-500 hover:text-blue-700"
+                title={isCollapsed ? `Expand (${row.children.length} below)` : 'Collapse'}
+              >
+                {isCollapsed ? <ChevronRight size={14} /> : <ChevronDown size={14} />}
+              </button>
+            ) : (
+              <span className="flex-none w-3.5" />
+            )}
+            <input
+              type="text"
+              value={row.Criterion}
+              onChange={(e) => actions.inputChange(rowIndex, 'Criterion', e.target.value)}
+              className="w-full px-2 py-1 border-transparent hover:border-gray-300 focus:border-blue-500 bg-transparent rounded"
+            />
+          </div>
+        </td>
+        <td className={`p-1 align-middle ${weightIssue ? 'bg-amber-50' : ''}`} title={weightIssue ? describeWeightIssue(weightIssue) : undefined}>
+          <div className="flex items-center gap-1">
+            {weightIssue && <AlertTriangle size={12} className="flex-none text-amber-600" />}
+            <input
+              type="text"
+              key={row['Calculated Weights']}
+              defaultValue={formatPercentage(row['Calculated Weights'], 1)}
+              onBlur={(e) => {
+                // A blank weight is 0; anything unreadable is put back.
+                const weight = readPercentage(e.target.value) ?? 0;
+                if (isNaN(weight)) e.target.value = formatPercentage(row['Calculated Weights'], 1);
+                else if (weight !== row['Calculated Weights']) actions.inputChange(rowIndex, 'Calculated Weights', weight);
+              }}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') e.target.blur();
+              }}
+              className="w-full px-2 py-1 border-transparent hover:border-gray-300 focus:border-blue-500 bg-transparent rounded text-right"
+            />
+          </div>
+        </td>
+        <td className={`p-2 align-middle text-right font-mono ${isParent ? 'bg-gray-100 text-gray-500' : 'text-gray-800'}`}>
+          {row.Excluded
+            ? <span className="text-gray-400" title="Not applicable: excluded from scoring">N/A</span>
+            : row.Score === undefined
+              ? <span className="text-gray-300" title="Unanswered">—</span>
+              : <ScoreChip score={row.Score} color={scoreColor(row.Score)} band={scoreBand(row.Score, settings.colors)} />}
+        </td>
+        <td className={`p-2 align-middle ${isParent ? 'bg-gray-100' : ''}`}>
+          {isParent && row.Completion !== undefined && (
+            <div className="flex items-center gap-1" title={`${row.AnsweredLeaves}/${row.ApplicableLeaves} answered`}>
+              <div className="flex-1 h-1.5 bg-gray-200 rounded overflow-hidden">
+                <div className="h-full bg-blue-700" style={{ width: `${row.Completion * 100}%` }} />
+              </div>
+              <span className="text-xs text-gray-500 font-mono w-9 text-right">{formatPercentage(row.Completion)}</span>
+            </div>
+          )}
+          {!isParent && !row.Excluded && row.Completion === 1 && (
+            <span className="block text-center text-green-600" title="Answered">✓</span>
+          )}
+        </td>
+        {isGapView && (
+          <td className={`p-2 align-middle text-right font-mono ${isParent ? 'bg-gray-100 text-gray-500' : 'text-gray-800'}`}>
+            {formatPercentage(row.TargetScore, 0)}
+          </td>
+        )}
+        {isGapView && (
+          <td className={`p-2 align-middle text-right font-mono ${row.Gap > 0 ? 'text-red-700' : 'text-gray-400'} ${isParent ? 'bg-gray-100' : ''}`}>
+            {formatPercentage(row.Gap, 0)}
+          </td>
+        )}
+        {isCompareView && (
+          <td className={`p-2 align-middle text-right font-mono ${
+            delta > 0 ? 'text-green-700' : delta < 0 ? 'text-red-700' : 'text-gray-400'
+          } ${isParent ? 'bg-gray-100' : ''}`}>
+            {formatDelta(delta)}
+          </td>
+        )}
+        {isMultiRespondent && (
+          <td
+            className={`p-2 align-middle text-right font-mono ${disagreement ? 'bg-orange-100 text-orange-800 font-semibold' : 'text-gray-500'} ${isParent ? 'bg-gray-100' : ''}`}
+            title={disagreement ? 'Respondents disagree on this criterion' : undefined}
+          >
+            {!isParent && formatPercentage(row.Spread, 0)}
+          </td>
+        )}
+
+        {maturityHeaders.map((_, mIndex) => {
+          const matText = row.maturities && row.maturities[mIndex];
+          if (isParent || !matText) return <td key={mIndex} className="bg-gray-50"></td>;
+          if (row.notApplicable) {
+            return <td key={mIndex} className="p-1 align-middle text-center text-xs text-gray-300 line-through">{matText}</td>;
+          }
+
+          const isActive = hasRespondents
+            ? activeRespondentId !== null && row.responses?.[activeRespondentId] === mIndex
+            : row.selectedMaturityIndex === mIndex;
+          const isTarget = row.targetMaturityIndex === mIndex;
+          const responseCount = responseCounts ? responseCounts[mIndex] : 0;
+
+          return (
+            <td key={mIndex} className="p-1 align-middle">
+              <button
+                onClick={() => actions.maturityClick(rowIndex, mIndex)}
+                title={isTarget ? 'Target level' : undefined}
+                className={`relative w-full py-2 px-2 rounded text-xs transition-colors border whitespace-normal h-full min-h-[32px] ${
+                  isActive
+                  ? 'bg-blue-600 text-white border-blue-700 shadow-inner font-semibold'
+                  : 'bg-white text-gray-700 border-gray-200 hover:bg-gray-50'
+                } ${isTarget ? 'ring-2 ring-emerald-500 ring-offset-1' : ''}`}
+              >
+                {matText}
+                {responseCount > 0 && (
+                  <span
+                    className="absolute -top-1.5 -right-1.5 min-w-[16px] px-1 rounded-full bg-indigo-500 text-white text-[10px] leading-4"
+                    title={`${responseCount} respondent${responseCount === 1 ? '' : 's'}`}
+                  >
+                    {responseCount}
+                  </span>
+                )}
+              </button>
+            </td>
+          );
+        })}
+
+        <td className="p-1 align-middle text-center whitespace-nowrap">
+          {!isParent && (
+            <button
+              onClick={() => actions.toggleScheme(rowIndex)}
+              title={row.scoring ? `Scoring: ${describeScheme(row.scoring)} (row override)` : 'Scoring: assessment default'}
+              className={`mr-2 transition ${row.scoring ? 'text-blue-600' : 'text-gray-400'} hover:text-blue-700`}
+            >
+              <SlidersHorizontal size={16} />
+            </button>
+          )}
+          {!isParent && (
+            <button
+              onClick={() => actions.toggleNotApplicable(rowIndex)}
+              title={row.notApplicable ? 'Not applicable: click to include in scoring again' : 'Mark as not applicable'}
+              className={`mr-2 px-1 rounded text-[10px] font-semibold border transition ${
+                row.notApplicable ? 'bg-gray-600 text-white border-gray-700' : 'text-gray-400 border-gray-300 hover:text-gray-700'
+              }`}
+            >
+              N/A
+            </button>
+          )}
+          <button
+            onClick={() => actions.toggleDetail(rowIndex)}
+            title={isMissingEvidence(row) ? 'Notes & evidence (evidence missing)' : 'Notes & evidence'}
+            className={`mr-2 transition hover:text-blue-700 ${
+              isMissingEvidence(row) ? 'text-amber-500'
+              : hasEvidence(row) || hasDetails(row) ? 'text-blue-600' : 'text-gray-400'
+            }`}
+          >
+            <NotebookPen size={16} />
+          </button>
+          <button onClick={() => actions.deleteRow(rowIndex)} className="text-gray-400 hover:text-red-600 transition">
+            <Trash2 size={16} />
+          </button>
+        </td>
+      </tr>
+      {isSchemeOpen && !isParent && (
+        <tr className="bg-blue-50">
+          <td colSpan={maturityHeaders.length + 6 + (isGapView ? 2 : 0) + (isCompareView ? 1 : 0) + (isMultiRespondent ? 1 : 0)} className="px-4 py-3">
+            <label className="flex items-center gap-2 mb-2 text-sm">
+              <input
+                type="checkbox"
+                checked={!!row.scoring}
+                onChange={(e) => actions.schemeChange(rowIndex, e.target.checked ? settings.scoring : undefined)}
+              />
+              Override the assessment scoring scheme for {row.CID || 'this row'}
+            </label>
+            {row.scoring && (
+              <ScoringSchemeEditor
+                scheme={row.scoring}
+                maturityHeaders={maturityHeaders}
+                onChange={(scoring) => actions.schemeChange(rowIndex, scoring)}
+              />
+            )}
+          </td>
+        </tr>
+      )}
+    </>
+  );
+};
+
+export default memo(SurveyTableRow);
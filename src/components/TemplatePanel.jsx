@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { BookmarkPlus, Download, FilePlus, Trash2, Upload, X } from 'lucide-react';
+
+// --- Template Panel ---
+// Starts a new assessment from a built-in or saved template, saves the
+// current structure (without answers) as a template, and moves templates
+// between browsers as JSON files.
+
+const TemplatePanel = ({ builtIn, saved, onUse, onSave, onImport, onDownload, onDelete, onClose }) => {
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+
+  const save = () => {
+    if (!name.trim()) return;
+    onSave(name.trim(), description.trim());
+    setName('');
+    setDescription('');
+  };
+
+  const renderTemplate = (template, isBuiltIn) => (
+    <li key={template.id} className="px-4 py-1.5 flex items-center gap-3">
+      <div className="flex-1 min-w-0">
+        <div className="flex items-center gap-2">
+          <span>{template.name}</span>
+          {isBuiltIn && <span className="px-1.5 rounded-full text-xs bg-gray-100 text-gray-600">built-in</span>}
+        </div>
+        {template.description && <div className="text-xs text-gray-500 truncate" title={template.description}>{template.description}</div>}
+      </div>
+      <button
+        onClick={() => onUse(template)}
+        className="flex items-center gap-1 px-2 py-0.5 text-blue-700 border border-blue-200 rounded hover:bg-blue-50"
+        title="Start a new assessment from this template"
+      >
+        <FilePlus size={14} /> Use
+      </button>
+      <button onClick={() => onDownload(template)} className="text-gray-400 hover:text-blue-600" title="Download as JSON to share">
+        <Download size={14} />
+      </button>
+      {!isBuiltIn && (
+        <button onClick={() => onDelete(template)} className="text-gray-400 hover:text-red-600" title="Delete template">
+          <Trash2 size={14} />
+        </button>
+      )}
+    </li>
+  );
+
+  return (
+    <div className="flex-none max-h-72 flex flex-col bg-white border-b border-gray-200 text-sm">
+      <div className="flex-none flex items-center gap-2 px-4 py-2 bg-gray-100 border-b border-gray-200">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && save()}
+          placeholder="Template name"
+          className="w-48 px-2 py-1 border border-gray-300 rounded"
+        />
+        <input
+          type="text"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && save()}
+          placeholder="Description (optional)"
+          className="flex-1 px-2 py-1 border border-gray-300 rounded"
+        />
+        <button
+          onClick={save}
+          disabled={!name.trim()}
+          className="flex items-center gap-2 px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50 disabled:cursor-default"
+          title="Save the criteria, weights, level descriptions, targets and settings, without answers"
+        >
+          <BookmarkPlus size={14} /> Save current as template
+        </button>
+        <label className="flex items-center gap-1 px-2 py-1 text-blue-700 hover:text-blue-900 cursor-pointer" title="Add a template or assessment JSON file; any answers in it are dropped">
+          <Upload size={14} /> Import…
+          <input type="file" className="hidden" accept=".json" onChange={onImport} />
+        </label>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-700" title="Close">
+          <X size={16} />
+        </button>
+      </div>
+      <ul className="overflow-auto divide-y divide-gray-100">
+        {saved.map(template => renderTemplate(template, false))}
+        {builtIn.map(template => renderTemplate(template, true))}
+      </ul>
+    </div>
+  );
+};
+
+export default TemplatePanel;
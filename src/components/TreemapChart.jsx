@@ -0,0 +1,141 @@
+import React, { useEffect } from 'react';
+import * as d3 from 'd3';
+import { defaultSettings } from '../lib/surveyFormat.js';
+import { WEIGHT_ISSUE_COLOR } from '../lib/colors.js';
+import { buildChartHierarchy, createNodeColoring, appendHatchPattern, resolveZoom, parentFocus, createTooltip, truncate } from '../lib/chartHierarchy.js';
+import useChartZoom from './useChartZoom.js';
+
+// --- Treemap Chart ---
+// Nested rectangles sized by absolute weight. Zooming lays the zoomed node's
+// subtree out again over the whole area; its header strip zooms back out.
+
+const HEADER_HEIGHT = 18;
+
+const TreemapChart = ({ data, settings = defaultSettings, colorBy = 'score', focusCid = null, onPathClick }) => {
+  const { svgRef, containerRef, hatchId, focusRef, zoomRef, handlePathClick } = useChartZoom({ focusCid, onPathClick });
+
+  useEffect(() => {
+    if (!data || data.length === 0 || !svgRef.current || !containerRef.current) return;
+
+    const width = containerRef.current.clientWidth;
+    const height = containerRef.current.clientHeight;
+
+    const { hierarchy: root, weightIssueByCid } = buildChartHierarchy(data, settings);
+    const treemap = d3.treemap()
+      .size([width, height])
+      .paddingTop(d => d.children ? HEADER_HEIGHT : 0)
+      .paddingInner(1)
+      .paddingOuter(2)
+      .round(true);
+
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+    svg.attr("viewBox", `0 0 ${width} ${height}`)
+       .style("font", "11px sans-serif");
+
+    const coloring = createNodeColoring(data, colorBy, appendHatchPattern(svg, hatchId), settings.colors);
+    const tooltip = createTooltip(weightIssueByCid);
+    const cells = svg.append("g");
+    const focusOutline = svg.append("rect")
+      .attr("fill", "none")
+      .attr("stroke", "#1f2937")
+      .attr("stroke-width", 3)
+      .attr("pointer-events", "none");
+    let current = root;
+
+    const nodeKey = d => d.depth ? d.data.CID : 'root';
+    const nodeWidth = d => Math.max(0, d.x1 - d.x0);
+    const nodeHeight = d => Math.max(0, d.y1 - d.y0);
+    const nodeLabel = (d) => {
+      const name = d.depth ? d.data.name : 'All criteria';
+      return `${truncate(name, Math.max(1, Math.floor((nodeWidth(d) - 8) / 6.5)))} ${coloring.label(d.data)}`;
+    };
+
+    function zoomTo(cid, animate) {
+      const { focused, target } = resolveZoom(root, cid);
+      current = target;
+      // d3.treemap only lays out whole hierarchies, so lay out a copy of the
+      // zoomed subtree and carry the positions back.
+      const laidOut = treemap(target.copy().sum(d => d.children && d.children.length ? 0 : d.absoluteWeight)).descendants();
+      target.descendants().forEach((node, i) => Object.assign(node, {
+        x0: laidOut[i].x0, y0: laidOut[i].y0, x1: laidOut[i].x1, y1: laidOut[i].y1
+      }));
+      const duration = animate ? 750 : 0;
+
+      const cell = cells.selectAll("g.cell")
+        .data(target.descendants(), nodeKey)
+        .join(
+          enter => {
+            const g = enter.append("g")
+              .attr("class", "cell")
+              .attr("opacity", 0)
+              .attr("transform", d => `translate(${d.x0},${d.y0})`)
+              .style("cursor", "pointer")
+              .on("mouseover", (event, d) => { if (d.depth) tooltip.show(event, d); })
+              .on("mouseout", tooltip.hide)
+              .on("click", (event, d) => {
+                if (d === current) {
+                  if (current !== root) handlePathClick(parentFocus(current));
+                } else {
+                  handlePathClick(d.data.CID);
+                }
+              });
+            g.append("rect")
+              .attr("width", nodeWidth)
+              .attr("height", nodeHeight);
+            g.append("text")
+              .attr("pointer-events", "none")
+              .attr("x", 4)
+              .attr("y", 13)
+              .style("user-select", "none");
+            return g;
+          },
+          update => update,
+          exit => exit.transition().duration(duration / 2).attr("opacity", 0).remove()
+        );
+
+      cell.order();
+      cell.transition().duration(duration)
+        .attr("opacity", 1)
+        .attr("transform", d => `translate(${d.x0},${d.y0})`);
+      cell.select("rect")
+        .attr("fill", d => d.children ? '#e5e7eb' : coloring.fill(d.data))
+        .attr("stroke", d => weightIssueByCid[d.data.CID] ? WEIGHT_ISSUE_COLOR : d.children ? '#9ca3af' : '#fff')
+        .attr("stroke-dasharray", d => weightIssueByCid[d.data.CID] ? "4 2" : null)
+        .transition().duration(duration)
+        .attr("width", nodeWidth)
+        .attr("height", nodeHeight);
+      // Branches show their value in the header; leaves inside the cell.
+      cell.select("text")
+        .text(nodeLabel)
+        .attr("fill", d => d.children ? coloring.centerFill(d.data) : 'white')
+        .style("font-weight", d => d.children ? 'bold' : null)
+        .style("text-shadow", d => d.children ? null : '0 0 3px black')
+        .attr("display", d => nodeWidth(d) > 30 && nodeHeight(d) > 16 ? null : "none");
+
+      focusOutline
+        .attr("display", focused ? null : "none")
+        .transition().duration(duration)
+        .attr("x", focused ? focused.x0 : 0)
+        .attr("y", focused ? focused.y0 : 0)
+        .attr("width", focused ? nodeWidth(focused) : 0)
+        .attr("height", focused ? nodeHeight(focused) : 0);
+    }
+
+    zoomRef.current = zoomTo;
+    zoomTo(focusRef.current, false);
+
+    return () => {
+      zoomRef.current = null;
+      tooltip.remove();
+    };
+  }, [data, settings, colorBy, svgRef, containerRef, hatchId, focusRef, zoomRef, handlePathClick]);
+
+  return (
+    <div ref={containerRef} className="w-full h-full flex items-center justify-center">
+      <svg ref={svgRef} className="maturity-chart" width="100%" height="100%"></svg>
+    </div>
+  );
+};
+
+export default TreemapChart;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { AlertCircle, AlertTriangle, CheckCircle, X } from 'lucide-react';
+
+// --- Validation Panel ---
+// Lists structural issues; clicking one jumps to the offending table row.
+
+const ValidationPanel = ({ issues, onJump, onClose }) => {
+  const errorCount = issues.filter(i => i.severity === 'error').length;
+  const warningCount = issues.length - errorCount;
+
+  return (
+    <div className="flex-none max-h-48 flex flex-col bg-white border-b border-gray-200 text-sm">
+      <div className="flex-none flex justify-between items-center px-4 py-2 bg-gray-100 border-b border-gray-200">
+        <span className="font-semibold">
+          Validation: {errorCount} error{errorCount === 1 ? '' : 's'}, {warningCount} warning{warningCount === 1 ? '' : 's'}
+        </span>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-700" title="Close">
+          <X size={16} />
+        </button>
+      </div>
+      {issues.length === 0 ? (
+        <div className="px-4 py-3 flex items-center gap-2 text-green-700">
+          <CheckCircle size={14} /> No structural problems found.
+        </div>
+      ) : (
+        <ul className="overflow-auto divide-y divide-gray-100">
+          {issues.map((issue, i) => (
+            <li key={i}>
+              <button
+                onClick={() => onJump(issue.rowIndex)}
+                className="w-full px-4 py-1.5 flex items-center gap-2 text-left hover:bg-gray-50"
+              >
+                {issue.severity === 'error'
+                  ? <AlertCircle size={14} className="flex-none text-red-600" />
+                  : <AlertTriangle size={14} className="flex-none text-amber-600" />}
+                <span className="font-mono text-xs text-gray-500 w-16 flex-none">{issue.cid || '—'}</span>
+                <span>{issue.message}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ValidationPanel;
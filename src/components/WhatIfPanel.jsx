@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { Plus, RotateCcw, X } from 'lucide-react';
+import { formatPercentage } from '../lib/scoring.js';
+import { formatDelta } from '../lib/snapshots.js';
+import { currentLevel } from '../lib/whatIf.js';
+
+// --- What-if Panel ---
+// The sandbox of hypothetical levels with the overall and branch scores they
+// would give, and the criteria whose next level would add most to the
+// overall score. Nothing here changes the real answers.
+
+const RANKING_PREVIEW = 15;
+
+const levelText = (row, index) => index >= 0 ? String(row.maturities?.[index] ?? '').trim() || `Level ${index + 1}` : 'Unanswered';
+
+const ScoreChange = ({ from, to }) => (
+  <span className="font-mono whitespace-nowrap">
+    {formatPercentage(from, 1) || '—'} → {formatPercentage(to, 1) || '—'}
+    {to !== from && (
+      <span className={`ml-1 ${to - (from || 0) > 0 ? 'text-green-700' : 'text-red-700'}`}>
+        ({formatDelta(to - (from || 0), 1)})
+      </span>
+    )}
+  </span>
+);
+
+const WhatIfPanel = ({ data, projected, settings, rootScore, projectedRootScore, levels, improvements, onSetLevel, onClear, onSelect }) => {
+  const [showAll, setShowAll] = useState(false);
+  const changed = projected.map((row, index) => ({ row, before: data[index] })).filter(({ row, before }) => row !== before);
+  const sandboxRows = changed.filter(({ row }) => levels[row.CID] !== undefined);
+  const branches = changed.filter(({ row }) => row.children && row.children.length > 0);
+  const ranking = showAll ? improvements : improvements.slice(0, RANKING_PREVIEW);
+
+  return (
+    <div className="text-xs">
+      <div className="flex items-center gap-2 px-2 py-1.5 bg-gray-100 border-b border-gray-200 sticky top-0">
+        <span className="font-semibold">Overall</span>
+        <ScoreChange from={rootScore} to={projectedRootScore} />
+        {sandboxRows.length > 0 && (
+          <button onClick={onClear} className="ml-auto flex items-center gap-1 text-gray-500 hover:text-red-600" title="Drop every hypothetical level">
+            <RotateCcw size={12} /> Clear sandbox
+          </button>
+        )}
+      </div>
+
+      {sandboxRows.length === 0 ? (
+        <div className="px-2 py-2 text-gray-500">
+          Try a level below to see what it would do to the overall and branch scores. Your real answers are not changed.
+        </div>
+      ) : (
+        <table className="min-w-full text-left border-collapse">
+          <tbody className="divide-y divide-gray-100">
+            {sandboxRows.map(({ row, before }) => (
+              <tr key={row.CID}>
+                <td className="px-2 py-1 cursor-pointer" onClick={() => onSelect(row.CID)}>
+                  <span className="font-mono text-gray-500 mr-1">{row.CID}</span> {row.Criterion}
+                </td>
+                <td className="px-2 py-1">
+                  <select
+                    value={levels[row.CID]}
+                    onChange={(e) => onSetLevel(row.CID, Number(e.target.value))}
+                    className="max-w-[9rem] px-1 border border-gray-300 rounded bg-white"
+                    title={`Currently ${levelText(before, currentLevel(before, settings))}`}
+                  >
+                    {(row.maturities || []).map((text, index) => String(text ?? '').trim() ? (
+                      <option key={index} value={index}>{levelText(row, index)}</option>
+                    ) : null)}
+                  </select>
+                </td>
+                <td className="px-2 py-1 text-right"><ScoreChange from={before.Score} to={row.Score} /></td>
+                <td className="px-2 py-1 text-right">
+                  <button onClick={() => onSetLevel(row.CID, undefined)} className="text-gray-400 hover:text-red-600" title="Remove from the sandbox">
+                    <X size={12} />
+                  </button>
+                </td>
+              </tr>
+            ))}
+            {branches.map(({ row, before }) => (
+              <tr key={row.CID} className="bg-gray-50 text-gray-600">
+                <td className="px-2 py-1 cursor-pointer" colSpan={2} onClick={() => onSelect(row.CID)}>
+                  <span className="font-mono text-gray-500 mr-1">{row.CID}</span> {row.Criterion}
+                </td>
+                <td className="px-2 py-1 text-right"><ScoreChange from={before.Score} to={row.Score} /></td>
+                <td />
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="px-2 py-1 bg-gray-100 border-y border-gray-200 font-semibold text-gray-600">
+        Raise one level: largest gain to the overall score first
+      </div>
+      {improvements.length === 0 ? (
+        <div className="px-2 py-2 text-gray-500">Every applicable criterion is at its top level.</div>
+      ) : (
+        <table className="min-w-full text-left border-collapse">
+          <thead className="text-gray-600">
+            <tr>
+              <th className="px-2 py-1">#</th>
+              <th className="px-2 py-1">Criterion</th>
+              <th className="px-2 py-1">Next level</th>
+              <th className="px-2 py-1 text-right" title="Share of the overall score this criterion carries">Weight</th>
+              <th className="px-2 py-1 text-right" title="Points added to the overall score">Gain</th>
+              <th className="px-2 py-1" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {ranking.map(({ row, level, weight, impact }, i) => (
+              <tr key={row.CID} className="hover:bg-gray-50">
+                <td className="px-2 py-1 text-gray-400">{i + 1}</td>
+                <td className="px-2 py-1 cursor-pointer" onClick={() => onSelect(row.CID)}>
+                  <span className="font-mono text-gray-500 mr-1">{row.CID}</span> {row.Criterion}
+                </td>
+                <td className="px-2 py-1 max-w-[8rem] truncate" title={`${levelText(row, currentLevel(row, settings))} → ${levelText(row, level)}`}>
+                  {levelText(row, level)}
+                </td>
+                <td className="px-2 py-1 text-right font-mono">{formatPercentage(weight, 1)}</td>
+                <td className="px-2 py-1 text-right font-mono text-green-700">{formatDelta(impact, 1)}</td>
+                <td className="px-2 py-1 text-right">
+                  <button onClick={() => onSetLevel(row.CID, level)} className="text-blue-600 hover:text-blue-800" title="Try this level in the sandbox">
+                    <Plus size={12} />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {improvements.length > RANKING_PREVIEW && (
+        <button onClick={() => setShowAll(!showAll)} className="w-full px-2 py-1 text-blue-700 hover:underline">
+          {showAll ? 'Show fewer' : `Show all ${improvements.length}`}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default WhatIfPanel;
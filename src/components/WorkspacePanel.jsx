@@ -0,0 +1,55 @@
+import React from 'react';
+import { FolderOpen, FilePlus, Trash2, X } from 'lucide-react';
+
+// --- Workspace Panel ---
+// Lists the assessments kept in this browser and switches between them.
+
+const formatTime = (iso) => iso ? new Date(iso).toLocaleString() : '';
+
+const WorkspacePanel = ({ workspaces, activeId, storageError, onOpen, onNew, onDelete, onClose }) => {
+  return (
+    <div className="flex-none max-h-56 flex flex-col bg-white border-b border-gray-200 text-sm">
+      <div className="flex-none flex items-center gap-2 px-4 py-2 bg-gray-100 border-b border-gray-200">
+        <span className="flex-1 text-gray-600">
+          Saved automatically in this browser; works offline. Use Save JSON to keep a copy elsewhere.
+        </span>
+        <button onClick={onNew} className="flex items-center gap-2 px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700">
+          <FilePlus size={14} /> New
+        </button>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-700" title="Close">
+          <X size={16} />
+        </button>
+      </div>
+      {storageError && (
+        <div className="px-4 py-2 bg-red-50 text-red-700">Autosave failed: {storageError}</div>
+      )}
+      {workspaces.length === 0 ? (
+        <div className="px-4 py-3 text-gray-500">No saved workspaces yet.</div>
+      ) : (
+        <ul className="overflow-auto divide-y divide-gray-100">
+          {workspaces.map(workspace => (
+            <li key={workspace.id} className={`px-4 py-1.5 flex items-center gap-3 ${workspace.id === activeId ? 'bg-blue-50' : ''}`}>
+              <span className="flex-1">{workspace.title || 'Untitled assessment'}</span>
+              {workspace.unsaved && (
+                <span className="px-1.5 rounded-full text-xs bg-amber-100 text-amber-800" title="Edited since the last Save JSON">unsaved</span>
+              )}
+              <span className="text-xs text-gray-400">{formatTime(workspace.updatedAt)}</span>
+              {workspace.id === activeId ? (
+                <span className="text-xs text-blue-700 w-12 text-right">Open</span>
+              ) : (
+                <button onClick={() => onOpen(workspace)} className="text-gray-400 hover:text-blue-600 w-12 flex justify-end" title="Switch to this workspace">
+                  <FolderOpen size={14} />
+                </button>
+              )}
+              <button onClick={() => onDelete(workspace)} className="text-gray-400 hover:text-red-600" title="Delete workspace">
+                <Trash2 size={14} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default WorkspacePanel;
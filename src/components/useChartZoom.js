@@ -0,0 +1,35 @@
+import { useCallback, useEffect, useRef, useId } from 'react';
+
+// --- Chart zoom ---
+// The plumbing every chart shares: refs for the container and svg, an id for
+// the N/A hatch pattern, and the zoom kept in step with `focusCid`. A chart
+// draws into svgRef, sets zoomRef.current to its zoomTo(cid, animate) (and
+// back to null on cleanup), and starts at focusRef.current. All of these stay
+// the same for the chart's lifetime; handlePathClick always reports to the
+// latest onPathClick, so d3 handlers can hold on to it.
+
+const useChartZoom = ({ focusCid, onPathClick }) => {
+  const svgRef = useRef(null);
+  const containerRef = useRef(null);
+  const hatchId = `na-hatch-${useId().replace(/[^a-zA-Z0-9_-]/g, '')}`;
+  const focusRef = useRef(focusCid);
+  const zoomRef = useRef(null);
+  const onPathClickRef = useRef(onPathClick);
+
+  useEffect(() => {
+    onPathClickRef.current = onPathClick;
+  }, [onPathClick]);
+
+  useEffect(() => {
+    focusRef.current = focusCid;
+    if (zoomRef.current) zoomRef.current(focusCid, true);
+  }, [focusCid]);
+
+  const handlePathClick = useCallback((cid) => {
+    if (onPathClickRef.current) onPathClickRef.current(cid);
+  }, []);
+
+  return { svgRef, containerRef, hatchId, focusRef, zoomRef, handlePathClick };
+};
+
+export default useChartZoom;
@@ -0,0 +1,101 @@
+// --- Built-in Templates ---
+// Frameworks bundled with the app, as CSV in the import layout: CID,
+// Criterion, Weight, Score, then one column per maturity level holding each
+// criterion's level descriptions. Sibling weights total 100%.
+
+const SAMPLE_CSV = `CID,Criterion,Weight,Score,Maturity L1 (Non-Existent),Maturity L2 (Reactive/Manual),Maturity L3 (Defined/Policy)
+1,Overall Quality,70%,,,,,
+2,Support,30%,,,,,
+1.1,Functionality,40%,,,,,
+1.2,Usability,30%,,,,,
+1.3,Reliability,30%,,,,,
+1.1.1,Feature Set,50%,,Level 1,Level 2,
+1.1.2,Performance,50%,,Basic,
+1.2.1,Ease of Use,50%,,Simple,Usable,Expert
+1.2.2,Documentation,50%,70%,Exists,
+2.1,Response Time,50%,,SLA Met,
+2.2,Problem Resolution,50%,,Resolved,`;
+
+const CAPABILITY_CSV = `CID,Criterion,Weight,Score,Initial,Managed,Defined,Quantitatively Managed,Optimizing
+1,Project Management,35%,,,,,,
+1.1,Project Planning,35%,,Plans are informal or missing,Plans exist per project with estimates,Planning follows an organisational standard,Estimates are calibrated against historical data,Planning practice is refined from measured outcomes
+1.2,Monitoring and Control,35%,,Progress is tracked ad hoc,Progress is reviewed against the plan,Reviews and escalation follow a defined process,Deviations are detected with statistical thresholds,Control practices are improved from trend analysis
+1.3,Risk Management,30%,,Risks are handled as they arise,Risks are listed and owned per project,Risk identification and mitigation follow a standard,Risk exposure is quantified and tracked,Risk practice is tuned from lessons across projects
+2,Engineering,35%,,,,,,
+2.1,Requirements Development,35%,,Requirements are verbal or scattered,Requirements are documented and agreed,Requirements are elicited and traced by a standard method,Requirements volatility is measured,Requirements practice is improved from defect and change data
+2.2,Technical Solution,35%,,Designs are not recorded,Key design decisions are documented,Design follows organisational guidelines and reviews,Design quality is measured,Design practice is refined from measured results
+2.3,Verification and Validation,30%,,Testing is informal,Work products are reviewed and tested,Verification and validation follow a defined strategy,Defect data is analysed against quality targets,Verification is improved from root-cause analysis
+3,Process Management,15%,,,,,,
+3.1,Process Definition,50%,,No organisational processes,Processes are written per team,Organisation-wide process assets are maintained,Process performance baselines exist,Processes are piloted and improved continuously
+3.2,Organizational Training,50%,,Training is left to individuals,Teams plan the training they need,An organisational training programme exists,Training effectiveness is measured,Training is adapted from capability data
+4,Support,15%,,,,,,
+4.1,Configuration Management,40%,,Versions are kept by hand,Baselines are controlled per project,Configuration management follows a standard,Configuration audits are measured,Configuration practice is improved from audit findings
+4.2,Measurement and Analysis,30%,,Nothing is measured,Projects collect basic measures,Measures are defined organisation-wide,Measures drive quantitative decisions,Measurement is refined to support improvement goals
+4.3,Quality Assurance,30%,,Quality is not checked independently,Work is audited against plans,Objective quality evaluation follows a standard,Quality trends are quantified,Quality assurance is improved from trend analysis`;
+
+const SECURITY_CSV = `CID,Criterion,Weight,Score,Partial,Risk Informed,Repeatable,Adaptive
+1,Govern,15%,,,,,
+1.1,Policy and Roles,50%,,Security responsibilities are unclear,Policies exist but are not enforced,Policies and roles are approved and reviewed yearly,Policies adapt to changes in threats and the business
+1.2,Risk Management Strategy,50%,,No stated risk appetite,Risk appetite is discussed informally,Risk appetite and tolerances are documented,Risk strategy is reviewed against live risk data
+2,Identify,20%,,,,,
+2.1,Asset Inventory,50%,,Assets are not inventoried,Key systems are listed by hand,Hardware software and data are inventoried and owned,The inventory is discovered and updated automatically
+2.2,Risk Assessment,50%,,Risks are not assessed,Assessments happen after incidents,Assessments run on a schedule with a standard method,Threat intelligence feeds continuous assessment
+3,Protect,25%,,,,,
+3.1,Identity and Access,40%,,Shared accounts and broad access,Individual accounts with manual reviews,Least privilege with MFA and periodic recertification,Access adapts to risk signals in real time
+3.2,Data Security,30%,,Sensitive data is not identified,Sensitive data is known but unevenly protected,Data is classified and encrypted at rest and in transit,Data protection is monitored and tuned continuously
+3.3,Awareness and Training,30%,,No security training,Onboarding training only,Role-based training with yearly refreshers,Training targets behaviour seen in phishing tests and incidents
+4,Detect,15%,,,,,
+4.1,Continuous Monitoring,60%,,Logs are not collected,Some logs are reviewed after problems,Central logging with alerting on known threats,Monitoring coverage and rules evolve with threats
+4.2,Detection Processes,40%,,No detection process,Detection depends on individuals,Detection roles and escalation are defined and tested,Detection is measured and improved from exercises
+5,Respond,15%,,,,,
+5.1,Incident Response Plan,50%,,No plan,A plan exists but is untested,The plan is exercised at least yearly,The plan is updated from exercises and real incidents
+5.2,Incident Analysis,50%,,Incidents are not analysed,Major incidents get an informal review,Incidents are triaged and analysed by a standard process,Analysis feeds detection and protection improvements
+6,Recover,10%,,,,,
+6.1,Recovery Planning,60%,,Backups are ad hoc,Backups exist but restores are untested,Recovery objectives are set and restores tested,Recovery is rehearsed and objectives tightened over time
+6.2,Improvements and Communication,40%,,Recovery is not reviewed,Lessons are noted informally,Lessons learned and stakeholder communication follow a process,Recovery improvements are tracked to completion`;
+
+const DEVOPS_CSV = `CID,Criterion,Weight,Score,Ad hoc,Repeatable,Defined,Measured,Optimized
+1,Culture and Collaboration,20%,,,,,,
+1.1,Shared Ownership,50%,,Development and operations work in silos,Teams hand over with checklists,Teams own services from build to run,Service ownership is tracked with shared goals,Teams organise around flow and improve it together
+1.2,Blameless Postmortems,50%,,Failures are not reviewed,Major outages get a review,Postmortems follow a blameless template,Follow-up actions are tracked to completion,Learning from incidents is shared across teams
+2,Build and Integration,20%,,,,,,
+2.1,Version Control,30%,,Code is shared by copying files,Application code is in version control,All code and configuration are versioned,Branch lifetimes and merge rates are measured,Trunk-based development with short-lived branches
+2.2,Automated Build,30%,,Builds are run by hand,Builds are scripted,Every change is built by a CI server,Build times and failure rates are measured,Builds are fast and reproducible and kept that way
+2.3,Automated Testing,40%,,Testing is manual,Some unit tests exist,Unit and integration tests run on every change,Coverage and flaky tests are tracked,Test suites are tuned for fast reliable feedback
+3,Deployment and Release,25%,,,,,,
+3.1,Deployment Automation,40%,,Deployments are manual,Deployments follow a runbook,Deployments are automated to every environment,Deployment success and lead time are measured,Deployments are continuous with automated rollback
+3.2,Release Frequency,30%,,Releases are rare and risky,Releases follow a fixed schedule,Releases happen on demand,Change failure rate is tracked,Small changes ship many times a day
+3.3,Infrastructure as Code,30%,,Servers are configured by hand,Some setup is scripted,Infrastructure is defined in code and reviewed,Configuration drift is detected,Environments are rebuilt from code routinely
+4,Observability,20%,,,,,,
+4.1,Monitoring and Alerting,50%,,Users report outages,Basic uptime checks,Service-level indicators with alerting,Service-level objectives drive priorities,Alerting is tuned to reduce noise and time to detect
+4.2,Logging and Tracing,50%,,Logs stay on servers,Logs are collected centrally,Structured logs and traces across services,Telemetry is used to find bottlenecks,Telemetry guides design decisions
+5,Security,15%,,,,,,
+5.1,Code and Dependency Scanning,50%,,No scanning,Occasional manual scans,Scanning runs in the pipeline,Findings are tracked against fix-time targets,Scanning policies evolve with the threat landscape
+5.2,Secrets Management,50%,,Secrets are kept in code,Secrets are kept in config files,Secrets are kept in a vault,Secret use and rotation are audited,Secrets are short-lived and rotated automatically`;
+
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: 'builtin:sample',
+    name: 'Sample survey',
+    description: 'The small example the app starts with.',
+    csv: SAMPLE_CSV
+  },
+  {
+    id: 'builtin:capability',
+    name: 'Capability maturity model',
+    description: 'CMMI-style process areas across project management, engineering, process management and support, on five levels from Initial to Optimizing.',
+    csv: CAPABILITY_CSV
+  },
+  {
+    id: 'builtin:security',
+    name: 'Security program maturity',
+    description: 'The six functions of a cybersecurity framework (govern, identify, protect, detect, respond, recover) on four implementation tiers.',
+    csv: SECURITY_CSV
+  },
+  {
+    id: 'builtin:devops',
+    name: 'DevOps maturity',
+    description: 'Culture, build, release, observability and pipeline security practices on five levels from Ad hoc to Optimized.',
+    csv: DEVOPS_CSV
+  }
+];
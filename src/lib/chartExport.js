@@ -0,0 +1,74 @@
+// --- Chart Export ---
+// Turns the live chart <svg> into a standalone document. The chart is
+// serialised as currently displayed, so a zoomed-in branch stays zoomed in.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Computed styles copied onto every element so the file renders the same
+// outside the page (no stylesheet, no inherited body font).
+const INLINED_STYLES = ['font-family', 'font-size', 'font-weight', 'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-dasharray', 'opacity', 'display'];
+
+const inlineStyles = (source, clone) => {
+  const computed = window.getComputedStyle(source);
+  INLINED_STYLES.forEach(prop => {
+    const value = computed.getPropertyValue(prop);
+    if (value) clone.style.setProperty(prop, value);
+  });
+  Array.from(source.children).forEach((child, i) => inlineStyles(child, clone.children[i]));
+};
+
+// Returns { svg, width, height } with the markup as a string.
+export const serializeChart = (svgEl, { background = '#fff' } = {}) => {
+  const { width, height } = svgEl.getBoundingClientRect();
+  const clone = svgEl.cloneNode(true);
+  inlineStyles(svgEl, clone);
+
+  clone.setAttribute('xmlns', SVG_NS);
+  clone.setAttribute('width', Math.round(width));
+  clone.setAttribute('height', Math.round(height));
+  clone.removeAttribute('class');
+  clone.querySelectorAll('[style*="cursor"]').forEach(el => el.style.removeProperty('cursor'));
+
+  if (background) {
+    const [minX, minY, vbWidth, vbHeight] = (clone.getAttribute('viewBox') || `0 0 ${width} ${height}`).split(/[\s,]+/);
+    const rect = document.createElementNS(SVG_NS, 'rect');
+    rect.setAttribute('x', minX);
+    rect.setAttribute('y', minY);
+    rect.setAttribute('width', vbWidth);
+    rect.setAttribute('height', vbHeight);
+    rect.setAttribute('fill', background);
+    const defs = clone.querySelector('defs');
+    clone.insertBefore(rect, defs ? defs.nextSibling : clone.firstChild);
+  }
+
+  const svg = `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(clone)}`;
+  return { svg, width, height };
+};
+
+export const svgDataUrl = (svg) => `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+
+// Rasterises serialised SVG markup at `scale` times its size.
+export const svgToPngBlob = ({ svg, width, height }, scale = 3) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not render PNG')), 'image/png');
+  };
+  image.onerror = () => reject(new Error('Could not render chart image'));
+  image.src = svgDataUrl(svg);
+});
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const anchor = document.createElement('a');
+  anchor.href = url;
+  anchor.download = filename;
+  document.body.appendChild(anchor);
+  anchor.click();
+  anchor.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,190 @@
+import * as d3 from 'd3';
+import { formatPercentage, calculateRootScore, calculateRootCompletion, calculateAbsoluteWeights, getParentCid } from './scoring.js';
+import { validateSiblingWeights, indexWeightIssues, describeWeightIssue } from './weights.js';
+import { formatDelta } from './snapshots.js';
+import { isMissingEvidence } from './evidence.js';
+import { createColorScale, maxGap, maxAbsDelta, UNANSWERED_COLOR } from './colors.js';
+
+// --- Chart Hierarchy ---
+// What every chart view shares: the d3 hierarchy built from the scored rows,
+// sized by absolute weight; the colouring for score, gap and delta views;
+// zoom targets; and the tooltip.
+
+export const CHART_TYPES = [
+  { id: 'sunburst', label: 'Sunburst' },
+  { id: 'icicle', label: 'Icicle' },
+  { id: 'treemap', label: 'Treemap' },
+  { id: 'radar', label: 'Radar' },
+  { id: 'heatmap', label: 'Heatmap' }
+];
+
+export const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => (
+  { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]
+));
+
+export const truncate = (text, max) => text.length > max ? `${text.slice(0, max - 1)}…` : text;
+
+export const getAcronym = (name) => {
+  if (!name) return '';
+  const words = name.split(' ');
+  if (words.length > 1) {
+    return words.slice(0, 3).map(word => word[0]).join('').toUpperCase();
+  } else {
+    return name.substring(0, 3).toUpperCase();
+  }
+};
+
+// d3 hierarchy under a synthetic root holding the overall scores. Each node's
+// data keeps the row plus chart fields (name, weight, score, ...) and
+// absoluteWeight, its share of the whole assessment as scoring counts it
+// (calculateAbsoluteWeights); leaves are sized by it. Not Applicable rows
+// carry no share, so they are sized by the share they would carry if
+// answered, which keeps them visible.
+export const buildChartHierarchy = (data, settings) => {
+  const absoluteWeights = calculateAbsoluteWeights(data, settings);
+  const applicableWeights = data.some(d => d.Excluded)
+    ? calculateAbsoluteWeights(data.map(d => d.Excluded ? { ...d, Excluded: false } : d), settings)
+    : absoluteWeights;
+  const rootData = {
+    name: "root",
+    score: calculateRootScore(data, settings),
+    targetScore: calculateRootScore(data, settings, 'TargetScore'),
+    gap: calculateRootScore(data, settings, 'Gap'),
+    delta: calculateRootScore(data, settings, 'Delta'),
+    completion: calculateRootCompletion(data).completion,
+    absoluteWeight: 1.0,
+    children: []
+  };
+  const nodeMap = { 'root': rootData };
+
+  // First pass: create nodes
+  data.forEach(d => {
+    nodeMap[d.CID] = {
+      ...d,
+      name: d.Criterion || d.CID,
+      weight: d['Calculated Weights'],
+      score: d.Score,
+      targetScore: d.TargetScore,
+      gap: d.Gap,
+      delta: d.Delta,
+      completion: d.Completion,
+      absoluteWeight: (d.Excluded ? applicableWeights : absoluteWeights)[d.CID] || 0,
+      children: []
+    };
+  });
+
+  // Second pass: link parents
+  data.forEach(d => {
+    const parent = nodeMap[getParentCid(d.CID)];
+    (parent || rootData).children.push(nodeMap[d.CID]);
+  });
+
+  const hierarchy = d3.hierarchy(rootData);
+  const weightIssueByCid = indexWeightIssues(validateSiblingWeights(data));
+
+  hierarchy.sum(d => (d.children && d.children.length) ? 0 : d.absoluteWeight);
+  hierarchy.sort((a, b) => b.value - a.value);
+  return { hierarchy, weightIssueByCid };
+};
+
+// Colouring shared by every view: fill(nodeData), centerFill(nodeData) for
+// text on white, and label(nodeData) for the value shown as text.
+// Not Applicable nodes use `excludedFill` (a hatch pattern url); `colors` is
+// the assessment's palette and bands (settings.colors).
+export const createNodeColoring = (data, colorBy, excludedFill, colors) => {
+  const isGapView = colorBy === 'gap';
+  const isDeltaView = colorBy === 'delta';
+  const { scale: color } = createColorScale(colorBy, isGapView ? maxGap(data) : isDeltaView ? maxAbsDelta(data) : 0, colors);
+  return {
+    color,
+    fill: (nodeData) => {
+      if (nodeData.Excluded) return excludedFill;
+      if (isGapView) return color(nodeData.gap || 0);
+      if (isDeltaView) return nodeData.delta === undefined ? UNANSWERED_COLOR : color(nodeData.delta);
+      return nodeData.score === undefined ? UNANSWERED_COLOR : color(nodeData.score);
+    },
+    centerFill: (nodeData) => {
+      if (isGapView) return color(nodeData.gap || 0);
+      if (isDeltaView) return nodeData.delta === undefined ? '#374151' : color(nodeData.delta);
+      return nodeData.score === undefined ? '#374151' : color(nodeData.score);
+    },
+    label: (nodeData) => {
+      if (isGapView) return formatPercentage(nodeData.gap, 1);
+      if (isDeltaView) return formatDelta(nodeData.delta, 1);
+      return formatPercentage(nodeData.score, 1);
+    }
+  };
+};
+
+export const completionLabel = (nodeData) => {
+  return nodeData.completion === undefined ? '' : `${formatPercentage(nodeData.completion)} complete`;
+};
+
+// Diagonal hatching for Not Applicable nodes; returns the fill url.
+export const appendHatchPattern = (svg, id) => {
+  const hatch = svg.append("defs").append("pattern")
+    .attr("id", id)
+    .attr("patternUnits", "userSpaceOnUse")
+    .attr("width", 6)
+    .attr("height", 6)
+    .attr("patternTransform", "rotate(45)");
+  hatch.append("rect").attr("width", 6).attr("height", 6).attr("fill", "#e5e7eb");
+  hatch.append("line").attr("x1", 0).attr("y1", 0).attr("x2", 0).attr("y2", 6).attr("stroke", "#9ca3af").attr("stroke-width", 2);
+  return `url(#${id})`;
+};
+
+// The focused node (null for none or a CID no longer present) and the node
+// to zoom to: a branch shows itself, a leaf its parent.
+export const resolveZoom = (root, focusCid) => {
+  const focused = focusCid === null ? null : root.descendants().find(d => d.depth && d.data.CID === focusCid) || null;
+  const target = !focused ? root : focused.children ? focused : focused.parent;
+  return { focused, target };
+};
+
+// CID to focus when zooming out of `target` (null for the whole assessment).
+export const parentFocus = (target) => target.parent && target.parent.depth ? target.parent.data.CID : null;
+
+export const tooltipHtml = (d, weightIssueByCid) => {
+  const parentName = d.parent ? (d.parent.data.name === 'root' ? 'Total' : d.parent.data.name) : 'Total';
+  const weightIssue = weightIssueByCid[d.data.CID];
+  const evidenceCount = (d.data.evidence || []).filter(e => String(e).trim()).length;
+  return `
+    <strong>${escapeHtml(d.data.name)}</strong><br/>
+    CID: ${escapeHtml(d.data.CID)}<br/>
+    Score: ${d.data.Excluded ? 'Not applicable' : d.data.score === undefined ? 'Unanswered' : formatPercentage(d.data.score)}<br/>
+    ${d.children && d.data.ApplicableLeaves ? `Completion: ${d.data.AnsweredLeaves}/${d.data.ApplicableLeaves} answered<br/>` : ''}
+    Weight: ${formatPercentage(d.data.weight)} (of ${parentName})
+    ${d.data.targetScore !== d.data.score ? `<br/>Target: ${formatPercentage(d.data.targetScore)} (gap ${formatPercentage(d.data.gap)})` : ''}
+    ${d.data.delta !== undefined ? `<br/>Baseline: ${formatPercentage(d.data.BaselineScore)} (change ${formatDelta(d.data.delta)})` : ''}
+    ${weightIssue ? `<br/><span style="color:#b45309">&#9888; ${describeWeightIssue(weightIssue)}</span>` : ''}
+    ${d.data.rationale ? `<br/><em>${escapeHtml(truncate(d.data.rationale, 160))}</em>` : ''}
+    ${evidenceCount ? `<br/>Evidence: ${evidenceCount} item${evidenceCount === 1 ? '' : 's'}` : ''}
+    ${isMissingEvidence(d.data) ? `<br/><span style="color:#b45309">&#9888; Scored without evidence</span>` : ''}
+    ${d.data.owner ? `<br/>Owner: ${escapeHtml(d.data.owner)}` : ''}
+    ${d.data.lastReviewed ? `<br/>Last reviewed: ${escapeHtml(d.data.lastReviewed)}` : ''}
+  `;
+};
+
+// Floating tooltip div; call remove() when the chart is torn down. Charts
+// that update in place pass new weight issues with setWeightIssues.
+export const createTooltip = (weightIssueByCid = {}) => {
+  let issues = weightIssueByCid;
+  const tooltip = d3.select("body").append("div")
+    .attr("class", "tooltip")
+    .style("opacity", 0);
+  return {
+    show: (event, d, extraHtml = '') => {
+      tooltip.transition().duration(200).style("opacity", .9);
+      tooltip.html(tooltipHtml(d, issues) + extraHtml)
+        .style("left", (event.pageX + 10) + "px")
+        .style("top", (event.pageY - 28) + "px");
+    },
+    hide: () => {
+      tooltip.transition().duration(500).style("opacity", 0);
+    },
+    setWeightIssues: (next) => {
+      issues = next;
+    },
+    remove: () => tooltip.remove()
+  };
+};
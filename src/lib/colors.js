@@ -0,0 +1,87 @@
+import * as d3 from 'd3';
+
+// --- Chart Colours ---
+// One place for the colour scales so the chart, its legend and exported
+// reports always agree.
+
+export const UNANSWERED_COLOR = '#ccc';
+export const PROGRESS_COLOR = '#1e3a8a';
+export const WEIGHT_ISSUE_COLOR = '#d97706';
+
+// Smallest domain used for gap/delta scales so a flat assessment still renders.
+const MIN_EXTENT = 0.01;
+
+export const maxGap = (data) => d3.max(data, d => d.Gap) || 0;
+
+export const maxAbsDelta = (data) => d3.max(data, d => Math.abs(d.Delta || 0)) || 0;
+
+// Interpolators per view. Every palette but the first stays readable with the
+// common forms of colour blindness; gap palettes run from no gap to the
+// largest, delta palettes from worse to better.
+export const PALETTES = [
+  { id: 'rdylgn', label: 'Red–yellow–green', score: d3.interpolateRdYlGn, gap: d3.interpolateOrRd, delta: d3.interpolateRdYlGn },
+  { id: 'viridis', label: 'Viridis (colour-blind safe)', score: d3.interpolateViridis, gap: t => d3.interpolateViridis(1 - t), delta: d3.interpolateBrBG },
+  { id: 'cividis', label: 'Cividis (colour-blind safe)', score: d3.interpolateCividis, gap: t => d3.interpolateCividis(1 - t), delta: d3.interpolateRdBu },
+  { id: 'rdbu', label: 'Red–blue (colour-blind safe)', score: d3.interpolateRdBu, gap: d3.interpolateOrRd, delta: d3.interpolateRdBu }
+];
+
+// Five-level preset for banded colouring; `from` is each band's lowest score.
+export const MATURITY_BANDS = [
+  { from: 0, label: 'Initial' },
+  { from: 0.2, label: 'Developing' },
+  { from: 0.4, label: 'Defined' },
+  { from: 0.6, label: 'Managed' },
+  { from: 0.8, label: 'Optimized' }
+];
+
+// Saved per assessment as settings.colors. No bands means a continuous scale.
+export const defaultColorSettings = { palette: 'rdylgn', bands: [] };
+
+export const paletteOf = (colors = defaultColorSettings) => PALETTES.find(p => p.id === colors.palette) || PALETTES[0];
+
+// Bands in score order with their upper bound and the colour each is drawn
+// in, sampled from the middle of its share of the palette.
+export const resolveBands = (colors = defaultColorSettings) => {
+  const bands = [...(colors.bands || [])].sort((a, b) => a.from - b.from);
+  const interpolator = paletteOf(colors).score;
+  return bands.map((band, i) => ({
+    ...band,
+    to: i + 1 < bands.length ? bands[i + 1].from : 1,
+    color: interpolator((i + 0.5) / bands.length)
+  }));
+};
+
+// The band a score falls in, or null for unscored rows and continuous scales.
+export const scoreBand = (score, colors = defaultColorSettings) => {
+  if (score === undefined || score === null || isNaN(score)) return null;
+  return resolveBands(colors).findLast(band => score >= band.from) || null;
+};
+
+// Returns { scale, domain, interpolator, bands } for the given chart colouring.
+// `extent` is the largest gap (gap view) or absolute delta (delta view).
+// `bands` is only set when the score view is banded.
+export const createColorScale = (colorBy, extent = 0, colors = defaultColorSettings) => {
+  const palette = paletteOf(colors);
+  const limit = Math.max(extent, MIN_EXTENT);
+  if (colorBy === 'gap') {
+    return { scale: d3.scaleSequential([0, limit], palette.gap), domain: [0, limit], interpolator: palette.gap, bands: null };
+  }
+  if (colorBy === 'delta') {
+    return { scale: d3.scaleDiverging([-limit, 0, limit], palette.delta), domain: [-limit, limit], interpolator: palette.delta, bands: null };
+  }
+  const bands = resolveBands(colors);
+  if (bands.length > 0) {
+    const scale = d3.scaleThreshold(bands.slice(1).map(band => band.from), bands.map(band => band.color));
+    return { scale, domain: [0, 1], interpolator: palette.score, bands };
+  }
+  return { scale: d3.scaleSequential([0, 1], palette.score), domain: [0, 1], interpolator: palette.score, bands: null };
+};
+
+// Dark or white text, whichever reads better on `background`.
+export const textColorOn = (background) => d3.lab(background).l > 60 ? '#111827' : '#ffffff';
+
+// CSS linear-gradient sampling an interpolator, for legends.
+export const cssGradient = (interpolator, steps = 10) => {
+  const stops = d3.range(steps + 1).map(i => interpolator(i / steps));
+  return `linear-gradient(to right, ${stops.join(', ')})`;
+};
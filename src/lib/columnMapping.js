@@ -0,0 +1,174 @@
+import { readPercentage } from './scoring.js';
+
+// --- Column Mapping ---
+// Assigns each source column of an imported table a role and turns the
+// records into survey rows, collecting per-row parse problems instead of
+// silently coercing bad cells. `line` in issues is the 1-based line in the
+// source file (the header is line 1).
+
+// Written to the Selected Maturity column for criteria marked Not Applicable.
+export const NOT_APPLICABLE = 'N/A';
+
+// Evidence items are stored one per line in a single cell.
+export const EVIDENCE_SEPARATOR = '\n';
+
+// A row's scoring override as one cell: "linear", "points: 0.2; 0.4; 1"
+// (one value per maturity column) or "threshold: <level name>". Blank for
+// rows using the assessment default.
+export const formatSchemeCell = (scheme, maturityHeaders) => {
+  if (!scheme) return '';
+  if (scheme.type === 'points') return `points: ${(scheme.points || []).join('; ')}`;
+  if (scheme.type === 'threshold') return `threshold: ${maturityHeaders[scheme.threshold] ?? ''}`;
+  return scheme.type;
+};
+
+// `terms` are header names recognised when guessing; roles with `single` may
+// be given to one column only.
+export const COLUMN_ROLES = [
+  { id: 'cid', label: 'CID', single: true, terms: ['cid', 'id'] },
+  { id: 'criterion', label: 'Criterion', single: true, terms: ['criterion', 'criteria', 'name'] },
+  { id: 'weight', label: 'Weight', single: true, terms: ['calculated weights', 'weights', 'weight'] },
+  { id: 'score', label: 'Score', single: true, terms: ['score', 'current score'] },
+  { id: 'maturity', label: 'Maturity level', single: false, terms: [] },
+  { id: 'selected', label: 'Selected level', single: true, terms: ['selected maturity'] },
+  { id: 'target', label: 'Target level', single: true, terms: ['target maturity'] },
+  { id: 'rationale', label: 'Notes / rationale', single: true, terms: ['rationale', 'notes', 'comments'] },
+  { id: 'evidence', label: 'Evidence', single: true, terms: ['evidence'] },
+  { id: 'owner', label: 'Owner', single: true, terms: ['owner'] },
+  { id: 'reviewed', label: 'Last reviewed', single: true, terms: ['last reviewed'] },
+  { id: 'scoring', label: 'Scoring override', single: true, terms: ['scoring'] },
+  // Band is derived from the score on export, so it is never read back.
+  { id: 'ignore', label: 'Ignore', single: false, terms: ['band'] }
+];
+
+// Roles filled from the first four columns when no header matches by name.
+const POSITIONAL_ROLES = ['cid', 'criterion', 'weight', 'score'];
+
+// Returns { [column]: roleId }. Columns are matched by header name; CID,
+// Criterion, Weight and Score fall back to the first four columns and every
+// remaining column is a maturity level.
+export const guessMapping = (columns) => {
+  const mapping = {};
+  COLUMN_ROLES.filter(role => role.terms.length).forEach(role => {
+    const column = columns.find(c => mapping[c] === undefined && role.terms.includes(c.toLowerCase().trim()));
+    if (column !== undefined) mapping[column] = role.id;
+  });
+  POSITIONAL_ROLES.forEach((roleId, i) => {
+    const isMapped = Object.values(mapping).includes(roleId);
+    if (!isMapped && columns[i] !== undefined && mapping[columns[i]] === undefined) mapping[columns[i]] = roleId;
+  });
+  columns.forEach(column => {
+    if (mapping[column] === undefined) mapping[column] = 'maturity';
+  });
+  return mapping;
+};
+
+// Gives `column` the role, taking a single-use role away from whichever
+// column had it before.
+export const assignRole = (mapping, column, roleId) => {
+  const role = COLUMN_ROLES.find(r => r.id === roleId);
+  const next = { ...mapping };
+  if (role && role.single) {
+    Object.keys(next).forEach(c => {
+      if (next[c] === roleId) next[c] = 'ignore';
+    });
+  }
+  next[column] = roleId;
+  return next;
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Returns { maturityHeaders, rows, issues }. Rows are unscored survey rows;
+// options are the readPercentage options for weight and score cells.
+export const mapRows = (parsedData, mapping, options = {}) => {
+  const columns = parsedData.columns;
+  const columnFor = (roleId) => columns.find(c => mapping[c] === roleId);
+  const maturityHeaders = columns.filter(c => mapping[c] === 'maturity');
+  const cols = Object.fromEntries(COLUMN_ROLES.map(role => [role.id, columnFor(role.id)]));
+  const issues = [];
+  const report = (severity, code, line, column, message) => issues.push({ severity, code, line, column, message });
+
+  if (!cols.cid) report('error', 'no-cid-column', null, null, 'No column is mapped to CID');
+
+  const text = (d, column) => column ? String(d[column] ?? '').trim() : '';
+
+  const levelIndex = (d, column, line) => {
+    const name = text(d, column);
+    if (!name || name.toUpperCase() === NOT_APPLICABLE) return -1;
+    const index = maturityHeaders.findIndex(header => header.trim().toLowerCase() === name.toLowerCase());
+    if (index < 0) report('warning', 'unknown-level', line, column, `"${name}" is not one of the maturity columns`);
+    return index;
+  };
+
+  // Reads a formatSchemeCell cell; undefined when blank or unreadable.
+  const readScheme = (d, column, line) => {
+    const cell = text(d, column);
+    if (!cell) return undefined;
+    const [, type = '', value = ''] = cell.match(/^(\w+)\s*(?::\s*(.*))?$/s) || [];
+    if (type.toLowerCase() === 'linear' && !value) return { type: 'linear' };
+    if (type.toLowerCase() === 'points') {
+      const points = value.split(';').map(point => readPercentage(point, options));
+      if (points.every(point => point !== undefined && !isNaN(point))) return { type: 'points', points };
+    }
+    if (type.toLowerCase() === 'threshold') {
+      const threshold = maturityHeaders.findIndex(header => header.trim().toLowerCase() === value.trim().toLowerCase());
+      if (threshold >= 0) return { type: 'threshold', threshold };
+    }
+    report('warning', 'invalid-scoring', line, column, `Scoring "${cell}" is not linear, points or a threshold level; uses the default`);
+    return undefined;
+  };
+
+  const readFraction = (d, column, line, label) => {
+    const value = readPercentage(column ? d[column] : undefined, options);
+    if (value !== undefined && isNaN(value)) {
+      report('error', `invalid-${label.toLowerCase()}`, line, column, `${label} "${text(d, column)}" is not a number`);
+      return NaN;
+    }
+    if (value !== undefined && (value < 0 || value > 1)) {
+      report('warning', `${label.toLowerCase()}-range`, line, column, `${label} ${text(d, column)} is outside 0–100%`);
+    }
+    return value;
+  };
+
+  const rows = [];
+  parsedData.forEach((d, i) => {
+    const line = i + 2;
+    if (columns.every(c => mapping[c] === 'ignore' || text(d, c) === '')) return;
+
+    const cid = text(d, cols.cid);
+    if (cols.cid && !cid) report('warning', 'empty-cid', line, cols.cid, 'Row has no CID');
+
+    const weight = readFraction(d, cols.weight, line, 'Weight');
+    const score = readFraction(d, cols.score, line, 'Score');
+    const selected = text(d, cols.selected);
+    const row = {
+      CID: cid,
+      Criterion: text(d, cols.criterion),
+      'Calculated Weights': weight === undefined || isNaN(weight) ? 0 : weight,
+      // A blank score means unanswered, which is not the same as 0%.
+      Score: score === undefined || isNaN(score) ? undefined : score,
+      maturities: maturityHeaders.map(header => d[header]),
+      selectedMaturityIndex: levelIndex(d, cols.selected, line),
+      targetMaturityIndex: levelIndex(d, cols.target, line)
+    };
+    if (selected.toUpperCase() === NOT_APPLICABLE) row.notApplicable = true;
+
+    const rationale = text(d, cols.rationale);
+    const evidence = text(d, cols.evidence);
+    const owner = text(d, cols.owner);
+    const reviewed = text(d, cols.reviewed);
+    const scoring = readScheme(d, cols.scoring, line);
+    if (rationale) row.rationale = d[cols.rationale];
+    if (evidence) row.evidence = evidence.split(EVIDENCE_SEPARATOR).map(e => e.trim()).filter(Boolean);
+    if (owner) row.owner = owner;
+    if (reviewed) {
+      if (ISO_DATE.test(reviewed)) row.lastReviewed = reviewed;
+      else report('warning', 'invalid-date', line, cols.reviewed, `Review date "${reviewed}" is not YYYY-MM-DD`);
+    }
+    if (scoring) row.scoring = scoring;
+    rows.push(row);
+  });
+
+  return { maturityHeaders, rows, issues };
+};
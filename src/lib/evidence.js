@@ -0,0 +1,36 @@
+// --- Evidence & Rationale ---
+// Each row may carry a free-text rationale, evidence links, an owner and a
+// last-reviewed date (YYYY-MM-DD). Auditors expect every answered leaf to have
+// at least one piece of evidence.
+
+export const isAnswered = (row) => {
+  if (row.notApplicable) return false;
+  if (row.responses) return Object.values(row.responses).some(index => index >= 0);
+  return row.selectedMaturityIndex >= 0;
+};
+
+export const hasEvidence = (row) => Array.isArray(row.evidence) && row.evidence.some(e => String(e).trim() !== '');
+
+export const hasDetails = (row) => Boolean(
+  (row.rationale && row.rationale.trim()) || hasEvidence(row) || row.owner || row.lastReviewed
+);
+
+export const isMissingEvidence = (row) => {
+  const isLeaf = !row.children || row.children.length === 0;
+  return isLeaf && isAnswered(row) && !hasEvidence(row);
+};
+
+export const validateEvidence = (data) => {
+  return data
+    .map((row, rowIndex) => ({ row, rowIndex }))
+    .filter(({ row }) => isMissingEvidence(row))
+    .map(({ row, rowIndex }) => ({
+      severity: 'warning',
+      code: 'missing-evidence',
+      rowIndex,
+      cid: row.CID,
+      message: `${row.CID || 'Row'} is scored but has no evidence attached`
+    }));
+};
+
+export const isLink = (value) => /^https?:\/\//i.test(String(value).trim());
@@ -0,0 +1,17 @@
+import { calculateAbsoluteWeights } from './scoring.js';
+
+// --- Gap Analysis ---
+// Ranks leaf criteria by how far they sit below their target, weighted by
+// how much of the root score each one carries.
+
+export const rankGaps = (scoredData, options) => {
+  const absoluteWeights = calculateAbsoluteWeights(scoredData, options);
+  return scoredData
+    .filter(row => (!row.children || row.children.length === 0) && row.Gap > 0)
+    .map(row => ({
+      row,
+      gap: row.Gap,
+      impact: row.Gap * (absoluteWeights[row.CID] || 0)
+    }))
+    .sort((a, b) => b.impact - a.impact || b.gap - a.gap);
+};
@@ -0,0 +1,55 @@
+// --- Edit History ---
+// Undo/redo as a list of commands. A command records, for each part of the
+// assessment it touched (`data`, `settings`, `respondents`, ...), the value
+// before and after the edit; undoing or redoing puts one side back. The
+// values are the immutable state objects themselves, so nothing is copied.
+//
+// Commands sharing a `mergeKey` that follow each other within MERGE_WINDOW
+// (typing into one cell) fold into a single entry.
+
+export const HISTORY_LIMIT = 100;
+
+// Milliseconds between two edits of the same field that still count as one.
+const MERGE_WINDOW = 1500;
+
+export const emptyHistory = () => ({ past: [], future: [] });
+
+let commandCounter = 0;
+
+// `after` holds the new value of every changed part; `state` is the current
+// assessment, from which the matching `before` values are taken.
+export const createCommand = (label, state, after, { mergeKey = null, now = Date.now() } = {}) => {
+  commandCounter += 1;
+  const before = Object.fromEntries(Object.keys(after).map(key => [key, state[key]]));
+  return { id: `cmd-${commandCounter}`, label, before, after, mergeKey, at: now };
+};
+
+// Adds a command and drops the redo branch.
+export const recordCommand = (history, command, limit = HISTORY_LIMIT) => {
+  const last = history.past.at(-1);
+  if (last && command.mergeKey && last.mergeKey === command.mergeKey && command.at - last.at < MERGE_WINDOW) {
+    const merged = { ...command, id: last.id, before: { ...command.before, ...last.before } };
+    return { past: [...history.past.slice(0, -1), merged], future: [] };
+  }
+  return { past: [...history.past, command].slice(-limit), future: [] };
+};
+
+// Moves to the point where `pastLength` commands are applied. Returns the new
+// history and the changes to apply to the assessment, or null when already there.
+export const travel = (history, pastLength) => {
+  const target = Math.max(0, Math.min(pastLength, history.past.length + history.future.length));
+  if (target === history.past.length) return null;
+  if (target < history.past.length) {
+    const undone = history.past.slice(target);
+    // Undo newest first, so the oldest command's `before` wins.
+    const changes = undone.reduceRight((acc, command) => ({ ...acc, ...command.before }), {});
+    return { history: { past: history.past.slice(0, target), future: [...undone, ...history.future] }, changes };
+  }
+  const redone = history.future.slice(0, target - history.past.length);
+  const changes = redone.reduce((acc, command) => ({ ...acc, ...command.after }), {});
+  return { history: { past: [...history.past, ...redone], future: history.future.slice(redone.length) }, changes };
+};
+
+export const undo = (history) => travel(history, history.past.length - 1);
+
+export const redo = (history) => travel(history, history.past.length + 1);
@@ -0,0 +1,339 @@
+// --- QR Code Encoder ---
+// Minimal QR code (ISO/IEC 18004) encoder for share links: byte mode only,
+// versions 1-40, with the smallest version that fits and the strongest error
+// correction that still fits in it. Written here so share links need no
+// library and no server.
+
+export const ECC_LEVELS = ['L', 'M', 'Q', 'H'];
+
+// Format-information bits of each level, in ECC_LEVELS order.
+const ECC_FORMAT_BITS = [1, 0, 3, 2];
+
+// Per level and version (index 0 unused).
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+const ERROR_CORRECTION_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => x * y % 2 + x * y % 3 === 0,
+  (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+];
+
+const bitAt = (value, index) => ((value >>> index) & 1) !== 0;
+
+// Modules available for data and error correction, in bits.
+const rawDataModules = (version) => {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignCount = Math.floor(version / 7) + 2;
+    result -= (25 * alignCount - 10) * alignCount - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+};
+
+const dataCodewords = (version, ecc) => (
+  Math.floor(rawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[ecc][version] * ERROR_CORRECTION_BLOCKS[ecc][version]
+);
+
+const countBits = (version) => version < 10 ? 8 : 16;
+
+const alignmentPositions = (version, size) => {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+  const positions = [6];
+  for (let i = 0; i < count - 1; i++) positions.splice(1, 0, size - 7 - i * step);
+  return positions;
+};
+
+// --- Reed-Solomon over GF(2^8) with polynomial 0x11D ---
+
+const gfMultiply = (x, y) => {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+};
+
+const reedSolomonDivisor = (degree) => {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+};
+
+const reedSolomonRemainder = (data, divisor) => {
+  const result = new Array(divisor.length).fill(0);
+  data.forEach(byte => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  });
+  return result;
+};
+
+// Splits the data codewords into blocks, appends each block's error
+// correction and interleaves the blocks.
+const addErrorCorrection = (data, version, ecc) => {
+  const blockCount = ERROR_CORRECTION_BLOCKS[ecc][version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[ecc][version];
+  const rawCodewords = Math.floor(rawDataModules(version) / 8);
+  const shortBlocks = blockCount - rawCodewords % blockCount;
+  const shortLength = Math.floor(rawCodewords / blockCount);
+  const divisor = reedSolomonDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const block = data.slice(offset, offset + shortLength - eccLength + (i < shortBlocks ? 0 : 1));
+    offset += block.length;
+    const eccBytes = reedSolomonRemainder(block, divisor);
+    if (i < shortBlocks) block.push(0);
+    blocks.push(block.concat(eccBytes));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Skips the padding byte of the short blocks.
+      if (i !== shortLength - eccLength || j >= shortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+};
+
+// --- Matrix ---
+
+const createMatrix = (version) => {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+  return { version, size, modules, reserved, set };
+};
+
+const drawFormatBits = ({ size, set }, ecc, mask) => {
+  const data = (ECC_FORMAT_BITS[ecc] << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((data << 10) | rem) ^ 0x5412;
+
+  for (let i = 0; i <= 5; i++) set(8, i, bitAt(bits, i));
+  set(8, 7, bitAt(bits, 6));
+  set(8, 8, bitAt(bits, 7));
+  set(7, 8, bitAt(bits, 8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bitAt(bits, i));
+
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bitAt(bits, i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bitAt(bits, i));
+  set(8, size - 8, true);
+};
+
+const drawVersionBits = ({ version, size, set }) => {
+  if (version < 7) return;
+  let rem = version;
+  for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+  const bits = (version << 12) | rem;
+  for (let i = 0; i < 18; i++) {
+    const a = size - 11 + i % 3;
+    const b = Math.floor(i / 3);
+    set(a, b, bitAt(bits, i));
+    set(b, a, bitAt(bits, i));
+  }
+};
+
+const drawFunctionPatterns = (matrix, ecc) => {
+  const { version, size, set } = matrix;
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  });
+
+  const positions = alignmentPositions(version, size);
+  const last = positions.length - 1;
+  positions.forEach((cx, i) => positions.forEach((cy, j) => {
+    // The three corners hold finder patterns.
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }));
+
+  // Reserves the format areas; the real bits go in once the mask is chosen.
+  drawFormatBits(matrix, ecc, 0);
+  drawVersionBits(matrix);
+};
+
+// Fills the data area in the standard zigzag of two-module columns, from
+// the bottom right.
+const drawCodewords = ({ size, modules, reserved }, codewords) => {
+  let bit = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!reserved[y][x] && bit < codewords.length * 8) {
+          modules[y][x] = bitAt(codewords[bit >>> 3], 7 - (bit & 7));
+          bit++;
+        }
+      }
+    }
+  }
+};
+
+// Masking twice undoes it.
+const applyMask = ({ size, modules, reserved }, mask) => {
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!reserved[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+    }
+  }
+};
+
+const FINDER_LIKE = [
+  [true, false, true, true, true, false, true, false, false, false, false],
+  [false, false, false, false, true, false, true, true, true, false, true]
+];
+
+// The standard's penalty score: long runs, 2x2 blocks, finder-like
+// patterns and an unbalanced share of dark modules all cost.
+const penaltyScore = ({ size, modules }) => {
+  let penalty = 0;
+  const at = (x, y, transposed) => transposed ? modules[x][y] : modules[y][x];
+
+  [false, true].forEach(transposed => {
+    for (let y = 0; y < size; y++) {
+      let run = 1;
+      for (let x = 1; x <= size; x++) {
+        if (x < size && at(x, y, transposed) === at(x - 1, y, transposed)) {
+          run++;
+          continue;
+        }
+        if (run >= 5) penalty += run - 2;
+        run = 1;
+      }
+      for (let x = 0; x + 11 <= size; x++) {
+        if (FINDER_LIKE.some(pattern => pattern.every((dark, k) => at(x + k, y, transposed) === dark))) penalty += 40;
+      }
+    }
+  });
+
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (x + 1 < size && y + 1 < size) {
+        const colour = modules[y][x];
+        if (modules[y][x + 1] === colour && modules[y + 1][x] === colour && modules[y + 1][x + 1] === colour) penalty += 3;
+      }
+    }
+  }
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return penalty;
+};
+
+// Byte-mode segment plus terminator and padding, as data codewords.
+const encodeData = (bytes, version, ecc) => {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  append(0x4, 4);
+  append(bytes.length, countBits(version));
+  bytes.forEach(byte => append(byte, 8));
+
+  const capacity = dataCodewords(version, ecc) * 8;
+  append(0, Math.min(4, capacity - bits.length));
+  append(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) append(pad, 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  return codewords;
+};
+
+const fits = (length, version, ecc) => 4 + countBits(version) + length * 8 <= dataCodewords(version, ecc) * 8;
+
+// Longest text (in UTF-8 bytes) a QR code can hold at `minEcc`.
+export const maxQrBytes = (minEcc = 'L') => {
+  const ecc = ECC_LEVELS.indexOf(minEcc);
+  return Math.floor((dataCodewords(40, ecc) * 8 - 4 - countBits(40)) / 8);
+};
+
+// Encodes `text` as { version, size, ecc, modules }, where modules[y][x] is
+// true for a dark module. The caller adds the 4-module quiet zone. Throws
+// when the text is too long for any QR code at `minEcc`.
+export const encodeQr = (text, { minEcc = 'L' } = {}) => {
+  const bytes = Array.from(new TextEncoder().encode(text));
+  let ecc = ECC_LEVELS.indexOf(minEcc);
+  let version = 1;
+  while (version <= 40 && !fits(bytes.length, version, ecc)) version++;
+  if (version > 40) throw new Error(`Too long for a QR code (${bytes.length} bytes; at most ${maxQrBytes(minEcc)})`);
+  while (ecc < ECC_LEVELS.length - 1 && fits(bytes.length, version, ecc + 1)) ecc++;
+
+  const matrix = createMatrix(version);
+  drawFunctionPatterns(matrix, ecc);
+  drawCodewords(matrix, addErrorCorrection(encodeData(bytes, version, ecc), version, ecc));
+
+  let best = 0;
+  let bestPenalty = Infinity;
+  MASKS.forEach((_, mask) => {
+    applyMask(matrix, mask);
+    drawFormatBits(matrix, ecc, mask);
+    const penalty = penaltyScore(matrix);
+    if (penalty < bestPenalty) {
+      best = mask;
+      bestPenalty = penalty;
+    }
+    applyMask(matrix, mask);
+  });
+  applyMask(matrix, best);
+  drawFormatBits(matrix, ecc, best);
+
+  return { version, size: matrix.size, ecc: ECC_LEVELS[ecc], modules: matrix.modules };
+};
@@ -0,0 +1,28 @@
+import { isScoredScore } from './scoring.js';
+
+// --- Questionnaire ---
+// Respondent mode walks through the leaf criteria one at a time. The
+// questions are the applicable leaves with at least one level to choose, in
+// table order.
+
+const hasOptions = (row) => (row.maturities || []).some(text => String(text ?? '').trim() !== '');
+
+// Row indices of the questions in `data`.
+export const questionIndices = (data) => data.flatMap((row, index) => (
+  (!row.children || row.children.length === 0) && !row.Excluded && hasOptions(row) ? [index] : []
+));
+
+// Level picked for a row: by `respondentId` when the assessment has
+// respondents, otherwise the row's own selection. -1 when none.
+export const selectedLevel = (row, respondentId = null) => {
+  const level = respondentId !== null ? row.responses?.[respondentId] : row.selectedMaturityIndex;
+  return level >= 0 ? level : -1;
+};
+
+// Whether a question counts as answered for the person answering: by
+// `respondentId` alone when there are respondents, otherwise the row's own
+// level, or an imported score with no level. Unlike isAnswered in
+// evidence.js, another respondent's answer does not count.
+export const isQuestionAnswered = (row, respondentId = null) => (
+  respondentId !== null ? selectedLevel(row, respondentId) >= 0 : selectedLevel(row) >= 0 || isScoredScore(row.Score)
+);
@@ -0,0 +1,59 @@
+import { calculateHierarchyScores, updateScoredRows } from './scoring.js';
+
+// --- Respondents ---
+// Several people can answer the same assessment. The document keeps a list of
+// respondents and every row a `responses` map (respondent id -> maturity
+// index); the row Score is then the aggregate of those answers.
+
+let respondentCounter = 0;
+
+export const createRespondent = (name) => {
+  respondentCounter += 1;
+  return { id: `resp-${Date.now().toString(36)}-${respondentCounter}`, name };
+};
+
+// Adds a respondent. The first respondent inherits the existing single-assessor
+// selections so no answers are lost when switching to multi-assessor mode.
+export const addRespondent = (data, respondents, respondent, options) => {
+  const isFirst = respondents.length === 0;
+  const newData = data.map(row => {
+    const responses = { ...(row.responses || {}) };
+    if (isFirst && row.selectedMaturityIndex >= 0) responses[respondent.id] = row.selectedMaturityIndex;
+    return { ...row, responses };
+  });
+  return { respondents: [...respondents, respondent], data: calculateHierarchyScores(newData, options) };
+};
+
+// Removes a respondent and their answers. Removing the last one returns the
+// assessment to single-assessor mode.
+export const removeRespondent = (data, respondents, respondentId, options) => {
+  const remaining = respondents.filter(r => r.id !== respondentId);
+  const newData = data.map(row => {
+    if (remaining.length === 0) {
+      const { responses: _responses, Spread: _spread, ...rest } = row;
+      return { ...rest, Score: undefined };
+    }
+    const { [respondentId]: _removed, ...responses } = row.responses || {};
+    return { ...row, responses };
+  });
+  return { respondents: remaining, data: calculateHierarchyScores(newData, options) };
+};
+
+// Toggles one respondent's answer on one row and returns re-scored data.
+export const selectResponse = (data, rowIndex, respondentId, maturityIndex, options) => {
+  const responses = { ...(data[rowIndex].responses || {}) };
+  if (responses[respondentId] === maturityIndex) delete responses[respondentId];
+  else responses[respondentId] = maturityIndex;
+  return updateScoredRows(data, { [rowIndex]: { responses } }, options);
+};
+
+// Number of respondents who picked each maturity column of a row.
+export const countResponses = (row, columnCount) => {
+  const counts = new Array(columnCount).fill(0);
+  Object.values(row.responses || {}).forEach(index => {
+    if (index >= 0 && index < columnCount) counts[index] += 1;
+  });
+  return counts;
+};
+
+export const isDisagreement = (row, threshold) => row.Spread !== undefined && row.Spread >= threshold;
@@ -0,0 +1,62 @@
+// --- Scoring Schemes ---
+// A scheme turns a selected maturity column into a leaf score. The assessment
+// has one default scheme (settings.scoring); a row may override it (row.scoring).
+//   linear    - rank among the row's non-"No", non-empty options / option count
+//   points    - an explicit value per maturity column, e.g. L2 = 40%
+//   threshold - 100% once the selection reaches the threshold column, else 0%
+
+export const SCHEME_TYPES = [
+  { type: 'linear', label: 'Linear' },
+  { type: 'points', label: 'Explicit points' },
+  { type: 'threshold', label: 'Threshold' }
+];
+
+export const defaultScheme = { type: 'linear' };
+
+const isValueOption = (text) => {
+  const txt = String(text ?? '').trim().toLowerCase();
+  return txt !== 'no' && txt !== '';
+};
+
+// Builds a scheme of the given type for `headerCount` maturity columns,
+// carrying over values from `previous` where they apply.
+export const createScheme = (type, headerCount, previous = {}) => {
+  if (type === 'points') {
+    const points = Array.from({ length: headerCount }, (_, i) => {
+      const prev = previous.points && previous.points[i];
+      return typeof prev === 'number' ? prev : (i + 1) / headerCount;
+    });
+    return { type, points };
+  }
+  if (type === 'threshold') {
+    const threshold = Number.isInteger(previous.threshold) ? previous.threshold : headerCount - 1;
+    return { type, threshold: Math.max(0, Math.min(threshold, headerCount - 1)) };
+  }
+  return { type: 'linear' };
+};
+
+// Score of picking maturities[maturityIndex] under `scheme`. A "No" cell
+// scores 0 unless an explicit points value says otherwise.
+export const scoreMaturity = (maturities, maturityIndex, scheme = defaultScheme) => {
+  const options = maturities || [];
+
+  if (scheme.type === 'points') {
+    const value = scheme.points && scheme.points[maturityIndex];
+    return typeof value === 'number' && !isNaN(value) ? value : 0;
+  }
+
+  if (!isValueOption(options[maturityIndex])) return 0;
+
+  if (scheme.type === 'threshold') {
+    return maturityIndex >= (scheme.threshold ?? 0) ? 1 : 0;
+  }
+
+  const valueOptionCount = options.filter(isValueOption).length;
+  const rank = options.slice(0, maturityIndex + 1).filter(isValueOption).length;
+  return valueOptionCount > 0 ? rank / valueOptionCount : 0;
+};
+
+export const describeScheme = (scheme = defaultScheme) => {
+  const match = SCHEME_TYPES.find(s => s.type === scheme.type);
+  return match ? match.label : 'Linear';
+};
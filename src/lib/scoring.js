@@ -0,0 +1,333 @@
+import { scoreMaturity } from './schemes.js';
+
+// --- Scoring Engine ---
+// UI-free helpers shared by the React app and the command-line scorer.
+
+// How bare numbers in weight and score columns are read: 'percent' (70 means
+// 70%), 'fraction' (0.7 means 70%) or 'auto', which treats values above 1 as
+// percent. An explicit % sign always means percent.
+export const PERCENT_UNITS = ['auto', 'percent', 'fraction'];
+
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+// "1.234,5": dots grouping thousands in decimal-comma locales.
+const THOUSANDS_DOTS = /^[+-]?\d{1,3}(\.\d{3})+(,\d*)?$/;
+
+// Reads "70%", "0.7" or, with decimalComma, "12,5 %" as a fraction. Returns
+// undefined for blank input and NaN for anything that is not a number.
+export const readPercentage = (value, { unit = 'auto', decimalComma = false } = {}) => {
+  if (typeof value === 'number') return unit === 'percent' ? value / 100 : unit === 'auto' && value > 1 ? value / 100 : value;
+  if (typeof value !== 'string') return undefined;
+  let text = value.trim();
+  if (text === '') return undefined;
+  const hasPercentSign = text.endsWith('%');
+  text = text.replace(/%$/, '').replace(/\s/g, '');
+  if (decimalComma) {
+    if (THOUSANDS_DOTS.test(text)) text = text.replace(/\./g, '');
+    text = text.replace(',', '.');
+  }
+  if (!NUMBER_PATTERN.test(text)) return NaN;
+  const num = Number(text);
+  if (hasPercentSign || unit === 'percent') return num / 100;
+  if (unit === 'fraction') return num;
+  return num > 1 ? num / 100 : num;
+};
+
+// Lenient form for inputs: blank or unreadable values count as 0.
+export const parsePercentage = (value, options) => {
+  const result = readPercentage(value, options);
+  return result === undefined || isNaN(result) ? 0 : result;
+};
+
+export const formatPercentage = (decimal, precision = 0) => {
+  if (decimal === undefined || decimal === null || isNaN(decimal)) return '';
+  return `${(decimal * 100).toFixed(precision)}%`;
+};
+
+export const naturalSort = (a, b) => {
+  return String(a.CID).localeCompare(String(b.CID), undefined, { numeric: true, sensitivity: 'base' });
+};
+
+// "1.2.3" -> "1.2", "1" -> null
+export const getParentCid = (cid) => {
+  const sCid = String(cid);
+  const lastDot = sCid.lastIndexOf('.');
+  return lastDot > -1 ? sCid.substring(0, lastDot) : null;
+};
+
+export const isScoredScore = (score) => score !== undefined && score !== null && !isNaN(score);
+
+// How several respondents' scores for one leaf combine into its Score.
+export const AGGREGATIONS = ['mean', 'median', 'min', 'max'];
+
+export const aggregateScores = (scores, method = 'mean') => {
+  if (scores.length === 0) return undefined;
+  const sorted = [...scores].sort((a, b) => a - b);
+  switch (method) {
+    case 'median': {
+      const mid = Math.floor(sorted.length / 2);
+      return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+    case 'min': return sorted[0];
+    case 'max': return sorted[sorted.length - 1];
+    default: return sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+  }
+};
+
+// Links flat rows into a tree by CID. Returns copies of the rows with fresh
+// `children` arrays plus the top-level rows (including orphans).
+export const linkHierarchy = (flatData) => {
+  const nodeMap = {};
+  const rootChildren = [];
+  const rows = flatData.map(d => ({ ...d, children: [] }));
+  rows.forEach(d => nodeMap[d.CID] = d);
+
+  rows.forEach(d => {
+    const parentCid = getParentCid(d.CID);
+    if (parentCid !== null && nodeMap[parentCid]) {
+      nodeMap[parentCid].children.push(d);
+    } else {
+      rootChildren.push(d);
+    }
+  });
+
+  return { rows, rootChildren, nodeMap };
+};
+
+// How sibling weights combine into the parent score:
+//   'raw'       - weighted sum of the weights as entered (a group totalling
+//                 80% caps its parent at 80%)
+//   'normalize' - weighted sum divided by the group's actual weight total
+// Excluded (Not Applicable) siblings drop out and their weight is shared
+// among the remaining siblings in proportion to their own weights.
+export const WEIGHT_MODES = ['raw', 'normalize'];
+
+// Factor applied to each non-excluded child's weight within its group.
+const siblingWeightScale = (children, options = {}) => {
+  let weightTotal = 0;
+  let applicableTotal = 0;
+  children.forEach(child => {
+    const childWeight = child['Calculated Weights'] || 0;
+    weightTotal += childWeight;
+    if (!child.Excluded) applicableTotal += childWeight;
+  });
+  if (applicableTotal <= 0) return 0;
+  return options.weightMode === 'normalize' ? 1 / applicableTotal : weightTotal / applicableTotal;
+};
+
+const rollUp = (children, options = {}, field = 'Score') => {
+  const scale = siblingWeightScale(children, options);
+  let weightedSum = 0;
+  children.forEach(child => {
+    if (!child.Excluded && isScoredScore(child[field])) {
+      weightedSum += child[field] * (child['Calculated Weights'] || 0) * scale;
+    }
+  });
+  return weightedSum;
+};
+
+// Rows get a `rowId` when first scored so the table can key them by identity
+// rather than position; it survives edits and moves but is not saved.
+let lastRowId = 0;
+const nextRowId = () => `row-${++lastRowId}`;
+
+const setCompletion = (node, answered, applicable) => {
+  node.AnsweredLeaves = answered;
+  node.ApplicableLeaves = applicable;
+  node.Completion = applicable > 0 ? answered / applicable : undefined;
+};
+
+const exclude = (node) => {
+  node.Excluded = true;
+  node.Score = undefined;
+  node.TargetScore = undefined;
+  node.Gap = undefined;
+  setCompletion(node, 0, 0);
+};
+
+// Scores one node in place from its own answers (leaves) or from its
+// already-scored children (parents). Parents are marked RolledUp, so a row
+// that has lost its children (deleted, moved or renamed away) drops the
+// rolled-up Score rather than reading it as an answer of its own.
+const scoreNode = (node, options) => {
+  if (!node.children || node.children.length === 0) {
+    if (node.RolledUp) {
+      node.Score = undefined;
+      node.RolledUp = false;
+    }
+    if (node.notApplicable) {
+      exclude(node);
+      return;
+    }
+    node.Excluded = false;
+    const scheme = node.scoring || options.scoring;
+    if (node.responses) {
+      const scores = Object.values(node.responses)
+        .filter(index => index >= 0)
+        .map(index => scoreMaturity(node.maturities, index, scheme));
+      node.Score = aggregateScores(scores, options.aggregation);
+      node.Spread = scores.length > 1 ? Math.max(...scores) - Math.min(...scores) : 0;
+    } else if (node.selectedMaturityIndex >= 0) {
+      node.Score = scoreMaturity(node.maturities, node.selectedMaturityIndex, scheme);
+    }
+    if (node.targetMaturityIndex >= 0) {
+      node.TargetScore = scoreMaturity(node.maturities, node.targetMaturityIndex, scheme);
+      node.Gap = Math.max(0, node.TargetScore - (isScoredScore(node.Score) ? node.Score : 0));
+    } else {
+      node.TargetScore = node.Score;
+      node.Gap = 0;
+    }
+    setCompletion(node, isScoredScore(node.Score) ? 1 : 0, 1);
+    return;
+  }
+  node.RolledUp = true;
+  if (node.children.every(child => child.Excluded)) {
+    exclude(node);
+    return;
+  }
+  node.Excluded = false;
+  node.Score = rollUp(node.children, options);
+  node.TargetScore = rollUp(node.children, options, 'TargetScore');
+  node.Gap = rollUp(node.children, options, 'Gap');
+  setCompletion(
+    node,
+    node.children.reduce((sum, child) => sum + child.AnsweredLeaves, 0),
+    node.children.reduce((sum, child) => sum + child.ApplicableLeaves, 0)
+  );
+};
+
+// Leaves with a selected maturity are scored with their row scheme (or the
+// assessment default in options.scoring); other leaves keep their Score.
+// Rows carrying `responses` (respondent id -> maturity index) are instead
+// scored by aggregating every respondent's score with options.aggregation,
+// and get a Spread (max - min) showing how much respondents disagree.
+// TargetScore rolls up the same way, with untargeted leaves counting at their
+// current score, and Gap rolls up each leaf's shortfall below its target.
+// Leaves marked notApplicable (and parents whose children all are) get
+// Excluded = true and no scores. Unanswered leaves keep an undefined Score,
+// distinct from a genuine 0, and add nothing to their parent.
+// Completion is the share of applicable leaves below a row that are answered
+// (AnsweredLeaves / ApplicableLeaves).
+export const calculateHierarchyScores = (flatData, options = {}) => {
+  const { rows, rootChildren } = linkHierarchy(flatData);
+  const calculateScore = (node) => {
+    node.children.forEach(calculateScore);
+    scoreNode(node, options);
+  };
+  rootChildren.forEach(calculateScore);
+  rows.forEach(row => {
+    if (row.rowId === undefined) row.rowId = nextRowId();
+  });
+  return rows.sort(naturalSort);
+};
+
+// Applies `patches` (row index -> fields) to scored data and rescores only the
+// patched rows and their ancestors. Every other row object is reused, so
+// unchanged rows keep their identity and the order is kept. A patch may
+// change a CID, in which case the ancestors under both the old and the new
+// CID are rescored. Rescored rows are re-linked to their children by CID, so
+// rows added or renamed since the last full rescore are counted. Data with
+// duplicate CIDs is rescored in full, as its tree is ambiguous.
+export const updateScoredRows = (scoredData, patches, options = {}) => {
+  const result = scoredData.map((row, i) => patches[i] ? { ...row, ...patches[i] } : row);
+  const indexByCid = new Map();
+  for (let i = 0; i < result.length; i++) {
+    if (indexByCid.has(result[i].CID)) return calculateHierarchyScores(result, options);
+    indexByCid.set(result[i].CID, i);
+  }
+  const childIndices = new Map();
+  result.forEach((row, i) => {
+    const parentCid = getParentCid(row.CID);
+    if (parentCid !== null && indexByCid.has(parentCid)) {
+      if (!childIndices.has(parentCid)) childIndices.set(parentCid, []);
+      childIndices.get(parentCid).push(i);
+    }
+  });
+
+  const dirty = new Set();
+  const markAncestors = (cid) => {
+    for (let index = indexByCid.get(getParentCid(cid)); index !== undefined && !dirty.has(index); index = indexByCid.get(getParentCid(result[index].CID))) {
+      dirty.add(index);
+    }
+  };
+  Object.keys(patches).forEach(key => {
+    const index = Number(key);
+    dirty.add(index);
+    markAncestors(result[index].CID);
+    if (scoredData[index].CID !== result[index].CID) markAncestors(scoredData[index].CID);
+  });
+
+  // Deepest first, so each parent rolls up its children's new scores.
+  const depth = (index) => String(result[index].CID).split('.').length;
+  [...dirty].sort((a, b) => depth(b) - depth(a)).forEach(index => {
+    const node = { ...result[index] };
+    node.children = (childIndices.get(node.CID) || []).map(child => result[child]);
+    scoreNode(node, options);
+    result[index] = node;
+  });
+  return result;
+};
+
+// Overall score: the top-level rows rolled up like any other sibling group.
+// Pass field 'TargetScore' or 'Gap' for the overall target or shortfall.
+export const calculateRootScore = (scoredData, options, field = 'Score') => {
+  const { rootChildren } = linkHierarchy(scoredData);
+  return rollUp(rootChildren, options, field);
+};
+
+// Overall completion across all top-level rows of scored data.
+export const calculateRootCompletion = (scoredData) => {
+  const { rootChildren } = linkHierarchy(scoredData);
+  const answered = rootChildren.reduce((sum, row) => sum + (row.AnsweredLeaves || 0), 0);
+  const applicable = rootChildren.reduce((sum, row) => sum + (row.ApplicableLeaves || 0), 0);
+  return { answered, applicable, completion: applicable > 0 ? answered / applicable : undefined };
+};
+
+// Index of the next applicable, unanswered leaf after `fromIndex`, wrapping
+// around to the top; -1 when everything is answered.
+export const findNextUnanswered = (scoredData, fromIndex = -1) => {
+  const count = scoredData.length;
+  for (let step = 1; step <= count; step++) {
+    const index = (fromIndex + step + count) % count;
+    const row = scoredData[index];
+    const isLeaf = !row.children || row.children.length === 0;
+    if (isLeaf && !row.Excluded && !isScoredScore(row.Score)) return index;
+  }
+  return -1;
+};
+
+// CID -> share of the root score carried by that row (product of the weights
+// along its path, scaled the same way rollUp scales them). Excluded rows
+// carry nothing.
+export const calculateAbsoluteWeights = (data, options = {}) => {
+  const { rootChildren } = linkHierarchy(data);
+  const absolute = {};
+  const visit = (siblings, parentWeight) => {
+    const scale = siblingWeightScale(siblings, options);
+    siblings.forEach(row => {
+      absolute[row.CID] = row.Excluded ? 0 : parentWeight * (row['Calculated Weights'] || 0) * scale;
+      visit(row.children, absolute[row.CID]);
+    });
+  };
+  visit(rootChildren, 1);
+  return absolute;
+};
+
+// Toggles the target level of one row and returns re-scored data.
+export const selectTarget = (data, rowIndex, maturityIndex, options) => {
+  const targetMaturityIndex = data[rowIndex].targetMaturityIndex === maturityIndex ? -1 : maturityIndex;
+  return updateScoredRows(data, { [rowIndex]: { targetMaturityIndex } }, options);
+};
+
+// Toggles the Not Applicable flag of one leaf and returns re-scored data.
+export const toggleNotApplicable = (data, rowIndex, options) => {
+  return updateScoredRows(data, { [rowIndex]: { notApplicable: !data[rowIndex].notApplicable } }, options);
+};
+
+// Toggles the maturity selection of one row and returns re-scored data.
+// Clicking the already selected level clears it.
+export const selectMaturity = (data, rowIndex, maturityIndex, options) => {
+  const patch = data[rowIndex].selectedMaturityIndex === maturityIndex
+    ? { selectedMaturityIndex: -1, Score: undefined }
+    : { selectedMaturityIndex: maturityIndex };
+  return updateScoredRows(data, { [rowIndex]: patch }, options);
+};
@@ -0,0 +1,147 @@
+import { parseSurveyJson } from './survey.js';
+import { isScoredScore } from './scoring.js';
+import { createSurveyDocument } from './surveyFormat.js';
+import { stripAnswers, surveyFromTemplate } from './templates.js';
+
+// --- Share links ---
+// An assessment packed into the URL hash, so a link or its QR code reopens it
+// without a server: #share=<payload>, where the payload is the deflated JSON
+// below in base64url. Two kinds:
+//
+//   { kind: 'assessment', document, focus }
+//     the whole saved-format document (see surveyFormat.js);
+//   { kind: 'selections', template: { id, name }, meta, settings?, levels,
+//     scores?, targets?, notApplicable?, focus }
+//     only the answers, against a built-in or saved template whose structure
+//     the assessment still has. levels and targets map CID -> level index,
+//     scores CID -> the score of a leaf answered without a level (e.g. one
+//     imported from CSV); settings and targets are left out when they match
+//     the template.
+//
+// focus is the CID the chart zooms into, or null.
+
+export const SHARE_PREFIX = '#share=';
+
+export const isShareHash = (hash) => typeof hash === 'string' && hash.startsWith(SHARE_PREFIX);
+
+const deflate = async (text) => {
+  const stream = new Blob([new TextEncoder().encode(text)]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+const inflate = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new TextDecoder().decode(await new Response(stream).arrayBuffer());
+};
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+};
+
+const isLeaf = (row) => !row.children || row.children.length === 0;
+
+// What a template fixes: the headers and every row without its answers or
+// target, in CID order.
+const structureKey = ({ maturityHeaders, data }) => JSON.stringify([
+  maturityHeaders,
+  stripAnswers(data)
+    .map(row => ({ ...row, targetMaturityIndex: undefined }))
+    .sort((a, b) => String(a.CID).localeCompare(String(b.CID)))
+]);
+
+// The first of `templates` the survey still has the structure of, or null.
+export const findSourceTemplate = (survey, templates) => {
+  const key = structureKey(survey);
+  return templates.find(template => {
+    try {
+      return structureKey(surveyFromTemplate(template)) === key;
+    } catch {
+      return false;
+    }
+  }) || null;
+};
+
+const selectionsPayload = ({ meta, data, settings }, template, focus) => {
+  const base = surveyFromTemplate(template);
+  const baseTargets = Object.fromEntries(base.data.map(row => [row.CID, row.targetMaturityIndex ?? -1]));
+  const levels = {};
+  const scores = {};
+  const targets = {};
+  const notApplicable = [];
+  data.forEach(row => {
+    if (row.selectedMaturityIndex >= 0) levels[row.CID] = row.selectedMaturityIndex;
+    else if (isLeaf(row) && !row.notApplicable && isScoredScore(row.Score)) scores[row.CID] = row.Score;
+    const target = row.targetMaturityIndex ?? -1;
+    if (target !== baseTargets[row.CID]) targets[row.CID] = target;
+    if (isLeaf(row) && row.notApplicable) notApplicable.push(row.CID);
+  });
+  return {
+    kind: 'selections',
+    template: { id: template.id, name: template.name },
+    meta: { title: meta.title, author: meta.author, mode: meta.mode },
+    ...(JSON.stringify(settings) !== JSON.stringify(base.settings) && { settings }),
+    levels,
+    ...(Object.keys(scores).length > 0 && { scores }),
+    ...(Object.keys(targets).length > 0 && { targets }),
+    ...(notApplicable.length > 0 && { notApplicable }),
+    focus
+  };
+};
+
+// Link to `survey` on `baseUrl`. With a `template`, only the selections go
+// in the link; the respondents' answers, notes and evidence need a full
+// link.
+export const createShareLink = async (survey, { template = null, focus = null, baseUrl }) => {
+  const payload = template
+    ? selectionsPayload(survey, template, focus)
+    : { kind: 'assessment', document: createSurveyDocument(survey), focus };
+  return `${baseUrl}${SHARE_PREFIX}${toBase64Url(await deflate(JSON.stringify(payload)))}`;
+};
+
+const surveyFromSelections = (payload, templates) => {
+  const templateId = payload.template?.id;
+  const template = templates.find(t => t.id === templateId);
+  if (!template) {
+    throw new Error(`This link needs the template "${payload.template?.name || templateId}", which is not in this browser`);
+  }
+  const base = surveyFromTemplate(template);
+  const levels = payload.levels || {};
+  const scores = payload.scores || {};
+  const targets = payload.targets || {};
+  const notApplicable = new Set(payload.notApplicable || []);
+  const data = stripAnswers(base.data).map(row => ({
+    ...row,
+    ...(levels[row.CID] !== undefined && { selectedMaturityIndex: levels[row.CID] }),
+    ...(scores[row.CID] !== undefined && { Score: scores[row.CID] }),
+    ...(targets[row.CID] !== undefined && { targetMaturityIndex: targets[row.CID] }),
+    ...(notApplicable.has(row.CID) && { notApplicable: true })
+  }));
+  const meta = { ...base.meta, ...payload.meta };
+  // Through the document reader, so out-of-range levels are repaired and
+  // reported like those in a loaded file.
+  return parseSurveyJson(createSurveyDocument({ meta, maturityHeaders: base.maturityHeaders, data, settings: payload.settings || base.settings }));
+};
+
+// Reads a #share= hash into { survey, focus }, with survey as returned by
+// parseSurveyJson. `templates` are those a selections link may refer to.
+// Throws with a readable message when the link is damaged or its template is
+// missing.
+export const readShareLink = async (hash, templates) => {
+  let payload;
+  try {
+    payload = JSON.parse(await inflate(fromBase64Url(hash.slice(SHARE_PREFIX.length))));
+  } catch {
+    throw new Error('The shared link is incomplete or damaged');
+  }
+  const focus = typeof payload?.focus === 'string' ? payload.focus : null;
+  if (payload?.kind === 'assessment') return { survey: parseSurveyJson(payload.document), focus };
+  if (payload?.kind === 'selections') return { survey: surveyFromSelections(payload, templates), focus };
+  throw new Error('The shared link is not an assessment');
+};
@@ -0,0 +1,53 @@
+import { calculateHierarchyScores, isScoredScore } from './scoring.js';
+import { stripDerived } from './survey.js';
+
+// --- Snapshots ---
+// A snapshot freezes the rows of an assessment under a name and date so later
+// runs of the same framework can be compared against it.
+
+let snapshotCounter = 0;
+
+const newSnapshotId = () => {
+  snapshotCounter += 1;
+  return `snap-${Date.now().toString(36)}-${snapshotCounter}`;
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+export const createSnapshot = (data, name, date = today()) => ({
+  id: newSnapshotId(),
+  name: name || `Snapshot ${date}`,
+  date,
+  createdAt: new Date().toISOString(),
+  data: stripDerived(data)
+});
+
+// Oldest first, so "previous" and "next" read naturally in pickers.
+export const sortSnapshots = (snapshots) => {
+  return [...snapshots].sort((a, b) => String(a.date).localeCompare(String(b.date)) || String(a.createdAt).localeCompare(String(b.createdAt)));
+};
+
+// Scores `afterData` against `beforeData` (both rescored with `options` so a
+// scheme change does not masquerade as progress). Each returned row carries
+// BaselineScore and Delta; rows missing from either side get no Delta.
+export const compareScores = (beforeData, afterData, options) => {
+  const before = calculateHierarchyScores(beforeData, options);
+  const after = calculateHierarchyScores(afterData, options);
+  const beforeByCid = {};
+  before.forEach(row => beforeByCid[row.CID] = row);
+
+  const compared = after.map(row => {
+    const baseline = beforeByCid[row.CID];
+    const baselineScore = baseline ? baseline.Score : undefined;
+    const delta = isScoredScore(row.Score) && isScoredScore(baselineScore) ? row.Score - baselineScore : undefined;
+    return { ...row, BaselineScore: baselineScore, Delta: delta };
+  });
+
+  return { before, after: calculateHierarchyScores(compared, options) };
+};
+
+export const formatDelta = (delta, precision = 0) => {
+  if (!isScoredScore(delta)) return '';
+  const pct = (delta * 100).toFixed(precision);
+  return `${delta > 0 ? '+' : ''}${pct}%`;
+};
@@ -0,0 +1,97 @@
+import * as d3 from 'd3';
+import { calculateHierarchyScores } from './scoring.js';
+import { defaultSettings, readSurveyDocument, createSurveyDocument } from './surveyFormat.js';
+import { buildXlsx } from './xlsx.js';
+import { createColorScale, scoreBand } from './colors.js';
+import { guessMapping, mapRows, formatSchemeCell, NOT_APPLICABLE, EVIDENCE_SEPARATOR } from './columnMapping.js';
+
+// --- Survey Import / Export ---
+// Converts between CSV/TSV text, saved JSON documents and scored survey rows.
+
+export { defaultSettings, stripDerived } from './surveyFormat.js';
+
+// The delimiter is taken from the header line, so tabs inside quoted CSV
+// fields (e.g. multi-line rationale) do not switch the file to TSV.
+export const parseDelimited = (text) => {
+  const headerLine = text.split(/\r?\n/, 1)[0];
+  const parsed = headerLine.includes('\t') ? d3.tsvParse(text) : d3.csvParse(text);
+  if (!parsed.columns || parsed.columns.length < 2) throw new Error('Invalid CSV/TSV');
+  return parsed;
+};
+
+// Maps d3-parsed records to scored survey rows. Without an explicit mapping
+// the columns are guessed from their headers (see guessMapping); `issues`
+// lists cells that could not be read.
+export const processRawData = (parsedData, settings = defaultSettings, { mapping, ...parseOptions } = {}) => {
+  const { maturityHeaders, rows, issues } = mapRows(parsedData, mapping || guessMapping(parsedData.columns), parseOptions);
+  return { maturityHeaders, data: calculateHierarchyScores(rows, settings), issues };
+};
+
+// Reads any saved document version (see surveyFormat.js) and scores it.
+// `issues` lists the repairs made while loading.
+export const parseSurveyJson = (jsonImport) => {
+  const { document, issues } = readSurveyDocument(jsonImport);
+  const { meta, maturityHeaders, settings, data, snapshots, respondents } = document;
+  return { meta, maturityHeaders, data: calculateHierarchyScores(data, settings), settings, snapshots, respondents, issues };
+};
+
+export const toSurveyJson = (survey) => JSON.stringify(createSurveyDocument(survey));
+
+// Weight and Score, the columns a spreadsheet should display as percentages.
+export const SCORED_PERCENT_COLUMNS = [2, 3];
+
+// Header plus one array per row in the column layout processRawData reads
+// back: weights and scores as decimals, parents with their rolled-up score,
+// the selected and target levels by name, the row's scoring override and the
+// row details. With score bands configured, each score's band follows it
+// (ignored on import). Settings and respondents' answers are left out; only
+// the saved JSON keeps those.
+export const toScoredTable = (maturityHeaders, data, settings = defaultSettings) => {
+  const isBanded = Boolean(settings.colors && settings.colors.bands.length);
+  const header = ['CID', 'Criterion', 'Weight', 'Score', ...(isBanded ? ['Band'] : []), ...maturityHeaders, 'Selected Maturity', 'Target Maturity', 'Scoring', 'Rationale', 'Evidence', 'Owner', 'Last Reviewed'];
+  const levelName = (index) => index >= 0 ? maturityHeaders[index] ?? '' : '';
+  const selectedName = (row) => row.notApplicable ? NOT_APPLICABLE : levelName(row.selectedMaturityIndex);
+  const bandName = (row) => scoreBand(row.Score, settings.colors)?.label ?? '';
+  const rows = data.map(row => [
+    row.CID,
+    row.Criterion,
+    row['Calculated Weights'],
+    row.Score ?? '',
+    ...(isBanded ? [bandName(row)] : []),
+    ...maturityHeaders.map((_, i) => (row.maturities && row.maturities[i]) || ''),
+    selectedName(row),
+    levelName(row.targetMaturityIndex),
+    formatSchemeCell(row.scoring, maturityHeaders),
+    row.rationale || '',
+    (row.evidence || []).join(EVIDENCE_SEPARATOR),
+    row.owner || '',
+    row.lastReviewed || ''
+  ]);
+  return [header, ...rows];
+};
+
+export const toScoredCsv = (maturityHeaders, data, settings) => d3.csvFormatRows(toScoredTable(maturityHeaders, data, settings));
+
+export const toScoredTsv = (maturityHeaders, data, settings) => d3.tsvFormatRows(toScoredTable(maturityHeaders, data, settings));
+
+// One sheet for the current answers plus one per snapshot, oldest first.
+// Snapshots are rescored with the current settings so every sheet is comparable.
+// Score (and band) cells are filled in the chart's score colours.
+export const toScoredXlsx = ({ maturityHeaders, data, settings = defaultSettings, snapshots = [] }) => {
+  const { scale } = createColorScale('score', 0, settings.colors);
+  const scoreFill = (row) => row.Score === undefined || row.Excluded ? null : d3.color(scale(row.Score)).formatHex();
+  const isBanded = Boolean(settings.colors && settings.colors.bands.length);
+  const sheet = (name, rows) => {
+    const fills = rows.map(scoreFill);
+    return {
+      name,
+      rows: toScoredTable(maturityHeaders, rows, settings),
+      percentColumns: SCORED_PERCENT_COLUMNS,
+      fillColumns: isBanded ? { 3: fills, 4: fills } : { 3: fills }
+    };
+  };
+  const snapshotSheets = [...snapshots]
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)))
+    .map(snap => sheet(`${snap.date} ${snap.name}`, calculateHierarchyScores(snap.data, settings)));
+  return buildXlsx([sheet('Current', data), ...snapshotSheets]);
+};
@@ -0,0 +1,375 @@
+import { AGGREGATIONS, WEIGHT_MODES, readPercentage, getParentCid } from './scoring.js';
+import { SCHEME_TYPES, defaultScheme } from './schemes.js';
+import { PALETTES, defaultColorSettings } from './colors.js';
+
+// --- Saved Document Format ---
+// The JSON written by Save JSON and read by Load JSON and the CLI:
+//
+//   {
+//     format: 'sunburst-maturity', version: 4,
+//     meta: { title, author, createdAt, updatedAt, mode },
+//     maturityHeaders: [string], settings: {...},
+//     data: [row], snapshots: [{ id, name, date, createdAt, data: [row] }],
+//     respondents: [{ id, name }]
+//   }
+//
+// Older files are upgraded step by step through MIGRATIONS; version 0 is a
+// bare row array, version 1 the unversioned { maturityHeaders, data }
+// object, version 2 the first versioned document, without settings.colors,
+// and version 3 has no meta.mode. validateDocument then checks every field,
+// repairing what it safely can (reported as warnings) and rejecting the rest
+// (errors).
+
+export const FORMAT_NAME = 'sunburst-maturity';
+export const FORMAT_VERSION = 4;
+
+// How the document opens: 'author' edits the framework and answers in the
+// table; 'respondent' only answers, through the step-by-step questionnaire.
+export const DOCUMENT_MODES = ['author', 'respondent'];
+
+// Per-assessment settings, saved alongside the rows.
+export const defaultSettings = {
+  weightMode: 'raw',
+  scoring: defaultScheme,
+  aggregation: 'mean',
+  disagreementThreshold: 0.4,
+  colors: defaultColorSettings
+};
+
+// Fields calculateHierarchyScores and compareScores recompute on every load.
+const DERIVED_FIELDS = ['rowId', 'children', 'TargetScore', 'Gap', 'Spread', 'Delta', 'BaselineScore', 'Excluded', 'AnsweredLeaves', 'ApplicableLeaves', 'Completion', 'RolledUp'];
+
+export const stripDerived = (data) => data.map(row => Object.fromEntries(
+  Object.entries(row).filter(([key]) => !DERIVED_FIELDS.includes(key))
+));
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const versionOf = (doc) => {
+  if (Array.isArray(doc)) return 0;
+  if (isObject(doc) && doc.version === undefined) return 1;
+  return isObject(doc) ? doc.version : undefined;
+};
+
+// Unversioned saves wrote Score 0 on every unanswered leaf, so a leaf with 0
+// and no level picked (by anyone) is read as unanswered.
+const clearUnansweredZeros = (rows, path, report) => {
+  if (!Array.isArray(rows)) return rows;
+  const parents = new Set(rows.map(row => isObject(row) ? getParentCid(row.CID) : null));
+  const cleared = [];
+  const result = rows.map(row => {
+    if (!isObject(row) || parents.has(String(row.CID)) || row.Score !== 0 || row.selectedMaturityIndex >= 0) return row;
+    if (isObject(row.responses) && Object.values(row.responses).some(index => index >= 0)) return row;
+    cleared.push(row.CID);
+    return { ...row, Score: undefined };
+  });
+  if (cleared.length > 0) {
+    report('warning', path, `${cleared.join(', ')} saved as 0% with no level selected; read as unanswered`);
+  }
+  return result;
+};
+
+// Each step takes the document and a `report` for what it had to change.
+const MIGRATIONS = {
+  // Bare row array -> { maturityHeaders, data }
+  0: (rows) => {
+    const maxLen = rows.reduce((max, d) => Math.max(max, d && Array.isArray(d.maturities) ? d.maturities.length : 0), 0);
+    return { maturityHeaders: Array.from({ length: maxLen }, (_, i) => `Maturity ${i + 1}`), data: rows };
+  },
+  // Unversioned object -> versioned document with empty metadata. The stale
+  // `children` arrays these files serialised are dropped by validateRow.
+  1: (doc, report) => ({
+    format: FORMAT_NAME,
+    version: 2,
+    meta: { title: '', author: '', createdAt: null, updatedAt: null },
+    maturityHeaders: doc.maturityHeaders,
+    settings: doc.settings,
+    data: clearUnansweredZeros(doc.data, 'data', report),
+    snapshots: Array.isArray(doc.snapshots)
+      ? doc.snapshots.map((snap, i) => isObject(snap) ? { ...snap, data: clearUnansweredZeros(snap.data, `snapshots[${i}].data`, report) } : snap)
+      : doc.snapshots,
+    respondents: doc.respondents
+  }),
+  // Adds the palette and score bands, which version 2 files drew with the
+  // default red-yellow-green scale.
+  2: (doc) => ({
+    ...doc,
+    version: 3,
+    settings: isObject(doc.settings) ? { colors: defaultColorSettings, ...doc.settings } : doc.settings
+  }),
+  // Records the mode; every earlier file was edited in author mode. Version 4
+  // also keeps builds without respondent mode from opening a locked document
+  // unlocked, as they refuse newer versions.
+  3: (doc) => ({
+    ...doc,
+    version: 4,
+    meta: isObject(doc.meta) ? { mode: 'author', ...doc.meta } : doc.meta
+  })
+};
+
+// Upgrades `doc` to FORMAT_VERSION, passing what the steps change to
+// `report(severity, path, message)`. Throws for files from a newer version or
+// anything that is not a survey document at all.
+export const migrateDocument = (doc, report = () => {}) => {
+  let version = versionOf(doc);
+  if (!Number.isInteger(version)) throw new Error('Not a survey document: missing or invalid format version');
+  if (isObject(doc) && doc.format !== undefined && doc.format !== FORMAT_NAME) {
+    throw new Error(`Not a survey document: format is "${doc.format}"`);
+  }
+  if (version > FORMAT_VERSION) {
+    throw new Error(`This file was saved in format version ${version}; this app reads up to version ${FORMAT_VERSION}`);
+  }
+  // Versions 0 and 1 were never written down; only their shapes imply them.
+  if (isObject(doc) && doc.version !== undefined && version < 2) {
+    throw new Error(`Not a survey document: format version ${version} does not exist`);
+  }
+  let migrated = doc;
+  while (version < FORMAT_VERSION) {
+    migrated = MIGRATIONS[version](migrated, report);
+    version = versionOf(migrated);
+  }
+  return migrated;
+};
+
+const isIsoDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+const isLevelIndex = (value, headerCount) => Number.isInteger(value) && value >= -1 && value < headerCount;
+
+const isValidScheme = (scheme) => isObject(scheme) && SCHEME_TYPES.some(s => s.type === scheme.type);
+
+// Returns a repaired copy of one row without derived fields; `report`
+// collects what had to change.
+const validateRow = (row, path, headerCount, report) => {
+  const [repaired] = stripDerived([row]);
+
+  if (typeof repaired.CID === 'number') repaired.CID = String(repaired.CID);
+  if (typeof repaired.CID !== 'string') {
+    report('warning', path, 'CID is missing; set to blank');
+    repaired.CID = '';
+  }
+  if (typeof repaired.Criterion !== 'string') {
+    if (repaired.Criterion !== undefined) report('warning', path, 'Criterion is not text; cleared');
+    repaired.Criterion = '';
+  }
+  const weight = typeof repaired['Calculated Weights'] === 'string' ? readPercentage(repaired['Calculated Weights']) : repaired['Calculated Weights'];
+  if (typeof weight === 'number' && Number.isFinite(weight)) {
+    repaired['Calculated Weights'] = weight;
+  } else {
+    report('warning', path, `${repaired.CID || 'Row'} has no numeric weight; set to 0%`);
+    repaired['Calculated Weights'] = 0;
+  }
+  if (repaired.Score === null) repaired.Score = undefined;
+  if (repaired.Score !== undefined && (typeof repaired.Score !== 'number' || !Number.isFinite(repaired.Score))) {
+    report('warning', path, `${repaired.CID || 'Row'} has an invalid score; cleared`);
+    repaired.Score = undefined;
+  }
+
+  const maturities = Array.isArray(repaired.maturities) ? repaired.maturities.map(m => m === null || m === undefined ? '' : String(m)) : [];
+  if (!Array.isArray(repaired.maturities)) report('warning', path, `${repaired.CID || 'Row'} has no maturity list; added empty levels`);
+  else if (maturities.length > headerCount) report('warning', path, `${repaired.CID || 'Row'} has more maturity cells than columns; extra cells dropped`);
+  repaired.maturities = Array.from({ length: headerCount }, (_, i) => maturities[i] ?? '');
+
+  ['selectedMaturityIndex', 'targetMaturityIndex'].forEach(field => {
+    if (repaired[field] === undefined) repaired[field] = -1;
+    else if (!isLevelIndex(repaired[field], headerCount)) {
+      report('warning', path, `${repaired.CID || 'Row'} ${field} ${JSON.stringify(repaired[field])} is out of range; cleared`);
+      repaired[field] = -1;
+    }
+  });
+
+  if (repaired.responses !== undefined) {
+    if (!isObject(repaired.responses)) {
+      report('warning', path, `${repaired.CID || 'Row'} responses are malformed; dropped`);
+      delete repaired.responses;
+    } else {
+      repaired.responses = Object.fromEntries(Object.entries(repaired.responses).filter(([, index]) => isLevelIndex(index, headerCount)));
+    }
+  }
+  if (repaired.evidence !== undefined) {
+    repaired.evidence = Array.isArray(repaired.evidence) ? repaired.evidence.filter(e => typeof e === 'string') : [];
+  }
+  ['rationale', 'owner'].forEach(field => {
+    if (repaired[field] !== undefined && typeof repaired[field] !== 'string') {
+      report('warning', path, `${repaired.CID || 'Row'} ${field} is not text; cleared`);
+      delete repaired[field];
+    }
+  });
+  if (repaired.lastReviewed !== undefined && !isIsoDate(repaired.lastReviewed)) {
+    report('warning', path, `${repaired.CID || 'Row'} review date ${JSON.stringify(repaired.lastReviewed)} is not YYYY-MM-DD; cleared`);
+    delete repaired.lastReviewed;
+  }
+  if (repaired.scoring !== undefined && !isValidScheme(repaired.scoring)) {
+    report('warning', path, `${repaired.CID || 'Row'} has an unknown scoring scheme; uses the default`);
+    delete repaired.scoring;
+  }
+  if (repaired.notApplicable !== undefined) repaired.notApplicable = Boolean(repaired.notApplicable);
+
+  return repaired;
+};
+
+const validateRows = (rows, path, headerCount, report) => {
+  if (!Array.isArray(rows)) {
+    report('error', path, 'is not a list of rows');
+    return [];
+  }
+  return rows.flatMap((row, i) => {
+    if (!isObject(row)) {
+      report('warning', `${path}[${i}]`, 'is not a row object; dropped');
+      return [];
+    }
+    return [validateRow(row, `${path}[${i}]`, headerCount, report)];
+  });
+};
+
+// Palette and score bands; bad bands are dropped and the rest sorted, with
+// the lowest stretched down to 0% so every score falls in a band.
+const validateColors = (colors, report) => {
+  if (!isObject(colors)) {
+    report('warning', 'settings.colors', 'are malformed; defaults used');
+    return defaultColorSettings;
+  }
+  let palette = colors.palette;
+  if (!PALETTES.some(p => p.id === palette)) {
+    report('warning', 'settings.colors.palette', `"${palette}" is unknown; using "${defaultColorSettings.palette}"`);
+    palette = defaultColorSettings.palette;
+  }
+  const bands = (Array.isArray(colors.bands) ? colors.bands : []).flatMap((band, i) => {
+    if (!isObject(band) || typeof band.from !== 'number' || !(band.from >= 0 && band.from <= 1)) {
+      report('warning', `settings.colors.bands[${i}]`, 'has no cut-off between 0% and 100%; dropped');
+      return [];
+    }
+    return [{ from: band.from, label: typeof band.label === 'string' ? band.label : '' }];
+  }).sort((a, b) => a.from - b.from);
+  if (bands.length > 0) bands[0] = { ...bands[0], from: 0 };
+  return { palette, bands };
+};
+
+const validateSettings = (settings, report) => {
+  if (settings === undefined) return defaultSettings;
+  if (!isObject(settings)) {
+    report('warning', 'settings', 'are malformed; defaults used');
+    return defaultSettings;
+  }
+  const repaired = { ...defaultSettings, ...settings };
+  if (!WEIGHT_MODES.includes(repaired.weightMode)) {
+    report('warning', 'settings.weightMode', `"${repaired.weightMode}" is unknown; using "${defaultSettings.weightMode}"`);
+    repaired.weightMode = defaultSettings.weightMode;
+  }
+  if (!AGGREGATIONS.includes(repaired.aggregation)) {
+    report('warning', 'settings.aggregation', `"${repaired.aggregation}" is unknown; using "${defaultSettings.aggregation}"`);
+    repaired.aggregation = defaultSettings.aggregation;
+  }
+  if (!isValidScheme(repaired.scoring)) {
+    report('warning', 'settings.scoring', 'unknown scoring scheme; using linear');
+    repaired.scoring = defaultSettings.scoring;
+  }
+  if (typeof repaired.disagreementThreshold !== 'number' || !Number.isFinite(repaired.disagreementThreshold)) {
+    report('warning', 'settings.disagreementThreshold', 'is not a number; default used');
+    repaired.disagreementThreshold = defaultSettings.disagreementThreshold;
+  }
+  repaired.colors = validateColors(repaired.colors, report);
+  return repaired;
+};
+
+// Returns { document, issues } where document is the repaired current-version
+// document. Issues are { severity, path, message }; any error means the file
+// cannot be used.
+export const validateDocument = (doc) => {
+  const issues = [];
+  const report = (severity, path, message) => issues.push({ severity, path, message });
+
+  if (!Array.isArray(doc.maturityHeaders)) {
+    report('error', 'maturityHeaders', 'is missing or not a list');
+    return { document: doc, issues };
+  }
+  const maturityHeaders = doc.maturityHeaders.map((header, i) => {
+    if (typeof header === 'string') return header;
+    report('warning', `maturityHeaders[${i}]`, 'is not text; converted');
+    return String(header ?? `Maturity ${i + 1}`);
+  });
+  const headerCount = maturityHeaders.length;
+
+  const meta = isObject(doc.meta) ? doc.meta : {};
+  const text = (value) => typeof value === 'string' ? value : '';
+  const timestamp = (value) => typeof value === 'string' && !isNaN(Date.parse(value)) ? value : null;
+  if (meta.mode !== undefined && !DOCUMENT_MODES.includes(meta.mode)) {
+    report('warning', 'meta.mode', `"${meta.mode}" is unknown; opening in author mode`);
+  }
+
+  const snapshots = (Array.isArray(doc.snapshots) ? doc.snapshots : []).flatMap((snap, i) => {
+    if (!isObject(snap) || !Array.isArray(snap.data)) {
+      report('warning', `snapshots[${i}]`, 'is malformed; dropped');
+      return [];
+    }
+    return [{
+      ...snap,
+      id: typeof snap.id === 'string' && snap.id ? snap.id : `snap-imported-${i}`,
+      name: text(snap.name) || `Snapshot ${i + 1}`,
+      date: isIsoDate(snap.date) ? snap.date : '',
+      data: validateRows(snap.data, `snapshots[${i}].data`, headerCount, report)
+    }];
+  });
+
+  const respondents = (Array.isArray(doc.respondents) ? doc.respondents : []).flatMap((respondent, i) => {
+    if (!isObject(respondent) || typeof respondent.id !== 'string' || !respondent.id) {
+      report('warning', `respondents[${i}]`, 'has no id; dropped');
+      return [];
+    }
+    return [{ id: respondent.id, name: text(respondent.name) || respondent.id }];
+  });
+
+  const document = {
+    format: FORMAT_NAME,
+    version: FORMAT_VERSION,
+    meta: {
+      title: text(meta.title),
+      author: text(meta.author),
+      createdAt: timestamp(meta.createdAt),
+      updatedAt: timestamp(meta.updatedAt),
+      mode: DOCUMENT_MODES.includes(meta.mode) ? meta.mode : 'author'
+    },
+    maturityHeaders,
+    settings: validateSettings(doc.settings, report),
+    data: validateRows(doc.data, 'data', headerCount, report),
+    snapshots,
+    respondents
+  };
+  return { document, issues };
+};
+
+// Migrates and validates parsed JSON. Throws an Error carrying `issues` when
+// the document has errors; otherwise returns { document, issues } with the
+// repairs that were made.
+export const readSurveyDocument = (json) => {
+  const migrationIssues = [];
+  const migrated = migrateDocument(json, (severity, path, message) => migrationIssues.push({ severity, path, message }));
+  const validated = validateDocument(migrated);
+  const issues = [...migrationIssues, ...validated.issues];
+  const { document } = validated;
+  const errors = issues.filter(i => i.severity === 'error');
+  if (errors.length > 0) {
+    const error = new Error(`Invalid survey document: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`);
+    error.issues = issues;
+    throw error;
+  }
+  return { document, issues };
+};
+
+// Builds the current-version document; `createdAt` is kept from `meta` and
+// `updatedAt` stamped with `now`.
+export const createSurveyDocument = ({ meta = {}, maturityHeaders, data, settings = defaultSettings, snapshots = [], respondents = [] }, now = new Date()) => ({
+  format: FORMAT_NAME,
+  version: FORMAT_VERSION,
+  meta: {
+    title: meta.title || '',
+    author: meta.author || '',
+    createdAt: meta.createdAt || now.toISOString(),
+    updatedAt: now.toISOString(),
+    mode: DOCUMENT_MODES.includes(meta.mode) ? meta.mode : 'author'
+  },
+  maturityHeaders,
+  settings,
+  data: stripDerived(data),
+  snapshots: snapshots.map(snap => ({ ...snap, data: stripDerived(snap.data) })),
+  respondents
+});
@@ -0,0 +1,83 @@
+import * as d3 from 'd3';
+import { processRawData, parseSurveyJson, defaultSettings } from './survey.js';
+import { createSurveyDocument, stripDerived } from './surveyFormat.js';
+import { defaultStorage } from './workspaces.js';
+import { BUILT_IN_TEMPLATES } from './builtInTemplates.js';
+
+// --- Templates ---
+// Starting points for new assessments: the built-in frameworks plus
+// structures saved from this browser's assessments. A saved template is
+// { id, name, description, createdAt, document }, where document is a saved-
+// format survey document with the answers stripped, so it also opens with
+// Load JSON. Saved templates live in localStorage next to the workspaces.
+
+export { BUILT_IN_TEMPLATES };
+
+const TEMPLATES_KEY = 'sunburst:templates';
+
+// What an assessment answers rather than what it asks. Targets stay, so a
+// template can carry a standard target profile.
+const ANSWER_FIELDS = ['Score', 'selectedMaturityIndex', 'responses', 'notApplicable', 'rationale', 'evidence', 'owner', 'lastReviewed'];
+
+export const stripAnswers = (data) => stripDerived(data).map(row => Object.fromEntries(
+  Object.entries(row).filter(([key]) => !ANSWER_FIELDS.includes(key))
+));
+
+let templateCounter = 0;
+
+const newTemplateId = () => {
+  templateCounter += 1;
+  return `tpl-${Date.now().toString(36)}-${templateCounter}`;
+};
+
+// Template of the structure of `survey`: hierarchy, weights, level
+// descriptions, row scoring overrides, targets and settings.
+export const createTemplate = ({ maturityHeaders, data, settings = defaultSettings }, { name, description = '' }, now = new Date()) => ({
+  id: newTemplateId(),
+  name,
+  description,
+  createdAt: now.toISOString(),
+  document: createSurveyDocument({ meta: { title: name }, maturityHeaders, data: stripAnswers(data), settings }, now)
+});
+
+// A fresh, scored survey from a built-in or saved template, titled after it.
+export const surveyFromTemplate = (template) => {
+  const meta = { title: template.name, author: '', createdAt: new Date().toISOString() };
+  if (template.csv) {
+    const { maturityHeaders, data, issues } = processRawData(d3.csvParse(template.csv));
+    return { meta, maturityHeaders, data, settings: defaultSettings, snapshots: [], respondents: [], issues };
+  }
+  return { ...parseSurveyJson(template.document), meta, snapshots: [], respondents: [] };
+};
+
+// The saved-format document of any template, for downloading.
+export const templateDocument = (template) => {
+  if (template.document) return template.document;
+  const survey = surveyFromTemplate(template);
+  return createTemplate(survey, template).document;
+};
+
+// Newest first; entries without a usable document are skipped.
+export const listSavedTemplates = (storage = defaultStorage()) => {
+  if (!storage) return [];
+  try {
+    const templates = JSON.parse(storage.getItem(TEMPLATES_KEY) || '[]');
+    return (Array.isArray(templates) ? templates : [])
+      .filter(t => t && typeof t.id === 'string' && t.document)
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  } catch {
+    return [];
+  }
+};
+
+// Throws when the browser refuses to store it (e.g. quota exceeded).
+export const saveTemplate = (template, storage = defaultStorage()) => {
+  if (!storage) throw new Error('Browser storage is not available');
+  const others = listSavedTemplates(storage).filter(t => t.id !== template.id);
+  storage.setItem(TEMPLATES_KEY, JSON.stringify([template, ...others]));
+};
+
+export const deleteTemplate = (id, storage = defaultStorage()) => {
+  if (!storage) return;
+  storage.setItem(TEMPLATES_KEY, JSON.stringify(listSavedTemplates(storage).filter(t => t.id !== id)));
+};
@@ -0,0 +1,84 @@
+import { calculateHierarchyScores, getParentCid } from './scoring.js';
+
+// --- Criteria Tree ---
+// Helpers for showing the flat, CID-sorted rows as a tree: depth, collapsed
+// branches, and moving a branch under another parent. A move renumbers the
+// branch's CID and every descendant's so the CIDs stay the structure.
+
+export const depthOf = (cid) => String(cid).split('.').length - 1;
+
+// True when `cid` lies below `ancestorCid` (at any depth).
+export const isDescendantCid = (cid, ancestorCid) => String(cid).startsWith(`${ancestorCid}.`);
+
+// Parent, grandparent, ... up to the top level.
+export const ancestorCids = (cid) => {
+  const ancestors = [];
+  for (let parent = getParentCid(cid); parent !== null; parent = getParentCid(parent)) ancestors.push(parent);
+  return ancestors;
+};
+
+// True for the branch root, everything below it and everything above it:
+// the rows that give a branch its context.
+export const isOnBranchPath = (cid, branchCid) => (
+  cid === branchCid || isDescendantCid(cid, branchCid) || isDescendantCid(branchCid, cid)
+);
+
+// Indices of the rows not hidden inside a collapsed branch. `collapsed` maps
+// CID -> true.
+export const visibleRowIndices = (data, collapsed) => {
+  const indices = [];
+  data.forEach((row, i) => {
+    if (!ancestorCids(row.CID).some(cid => collapsed[cid])) indices.push(i);
+  });
+  return indices;
+};
+
+// Next unused numeric child CID under `parentCid` (null for top level).
+export const nextChildCid = (data, parentCid) => {
+  const numbers = data
+    .filter(row => getParentCid(row.CID) === parentCid)
+    .map(row => Number(String(row.CID).split('.').at(-1)))
+    .filter(Number.isInteger);
+  const next = numbers.length ? Math.max(...numbers) + 1 : 1;
+  return parentCid === null ? String(next) : `${parentCid}.${next}`;
+};
+
+// Whether the branch at `cid` may move under `parentCid`: not into itself or
+// its own descendants, and not to the parent it already has.
+export const canMoveBranch = (cid, parentCid) => {
+  if (cid === '' || parentCid === '') return false;
+  if (parentCid === null) return getParentCid(cid) !== null;
+  return parentCid !== cid && !isDescendantCid(parentCid, cid) && getParentCid(cid) !== parentCid;
+};
+
+// Moves the branch rooted at `cid` under `parentCid` (null for top level) as
+// its last child. Weights are kept as entered, so the old and new sibling
+// groups may need rebalancing. Returns the rescored rows and the CID renames
+// (old -> new), or null when the move is not allowed.
+export const moveBranch = (data, cid, parentCid, options) => {
+  if (!canMoveBranch(cid, parentCid)) return null;
+  const newCid = nextChildCid(data, parentCid);
+  const renamed = {};
+  const moved = data.map(row => {
+    if (row.CID !== cid && !isDescendantCid(row.CID, cid)) return row;
+    const renamedCid = newCid + String(row.CID).slice(String(cid).length);
+    renamed[row.CID] = renamedCid;
+    return { ...row, CID: renamedCid };
+  });
+  return { data: calculateHierarchyScores(moved, options), renamed };
+};
+
+// `collapsed` with every ancestor of `cid` expanded, so its row is shown.
+// Returns the same object when nothing was collapsed.
+export const revealCid = (collapsed, cid) => {
+  const hiding = ancestorCids(cid).filter(ancestor => collapsed[ancestor]);
+  if (!hiding.length) return collapsed;
+  const next = { ...collapsed };
+  hiding.forEach(ancestor => delete next[ancestor]);
+  return next;
+};
+
+// Carries collapsed branches over a moveBranch rename.
+export const renameCollapsed = (collapsed, renamed) => Object.fromEntries(
+  Object.keys(collapsed).map(cid => [renamed[cid] ?? cid, true])
+);
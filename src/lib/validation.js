@@ -0,0 +1,58 @@
+import { getParentCid } from './scoring.js';
+
+// --- Structural Validation ---
+// Checks CIDs and hierarchy integrity. Each issue points at the row (by index
+// into the data array) that needs fixing.
+
+const CID_SEGMENT = /^[A-Za-z0-9_-]+$/;
+
+export const isWellFormedCid = (cid) => String(cid).split('.').every(segment => CID_SEGMENT.test(segment));
+
+const hasText = (value) => String(value ?? '').trim() !== '';
+
+const issue = (severity, code, row, rowIndex, message) => ({ severity, code, rowIndex, cid: row.CID, message });
+
+export const validateStructure = (data) => {
+  const issues = [];
+  const rowsByCid = {};
+  data.forEach((row, rowIndex) => {
+    const cid = String(row.CID ?? '').trim();
+    if (cid) (rowsByCid[cid] = rowsByCid[cid] || []).push(rowIndex);
+  });
+  const parentCids = new Set(Object.keys(rowsByCid).map(getParentCid).filter(cid => cid !== null));
+
+  data.forEach((row, rowIndex) => {
+    const cid = String(row.CID ?? '').trim();
+    const label = row.Criterion ? `"${row.Criterion}"` : 'Row';
+
+    if (!cid) {
+      issues.push(issue('error', 'empty-cid', row, rowIndex, `${label} has no CID`));
+      return;
+    }
+    if (!isWellFormedCid(cid)) {
+      issues.push(issue('error', 'malformed-cid', row, rowIndex, `CID "${cid}" is malformed (expected dot-separated segments such as 1.2.3)`));
+      return;
+    }
+    if (rowsByCid[cid].length > 1) {
+      issues.push(issue('error', 'duplicate-cid', row, rowIndex, `CID ${cid} is used by ${rowsByCid[cid].length} rows`));
+    }
+
+    const parentCid = getParentCid(cid);
+    if (parentCid !== null && !rowsByCid[parentCid]) {
+      issues.push(issue('error', 'orphan', row, rowIndex, `Parent ${parentCid} of ${cid} does not exist`));
+    }
+
+    const maturities = row.maturities || [];
+    if (parentCids.has(cid)) {
+      if (maturities.some(hasText)) {
+        issues.push(issue('warning', 'parent-maturity', row, rowIndex, `${cid} has child criteria, so its maturity text is ignored`));
+      }
+    } else if (!row.notApplicable && !maturities.some(hasText)) {
+      issues.push(issue('warning', 'leaf-no-maturity', row, rowIndex, `${cid} has no maturity options to choose from`));
+    }
+  });
+
+  return issues;
+};
+
+export const hasErrors = (issues) => issues.some(i => i.severity === 'error');
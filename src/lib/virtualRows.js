@@ -0,0 +1,29 @@
+// --- Virtual Rows ---
+// Which rows of a long table to render: only those in or near the viewport,
+// with spacer heights standing in for the rest. Row heights are an average
+// (measured from the rendered rows), so the spacers are estimates; the
+// overscan keeps the viewport covered when rows are taller or shorter.
+
+// Tables up to this many rows render in full.
+export const VIRTUALIZE_FROM = 150;
+
+// Rows rendered past each edge of the viewport. The window also starts on a
+// multiple of this, so scrolling within a block does not re-render.
+export const OVERSCAN = 20;
+
+export const ROW_HEIGHT_ESTIMATE = 45;
+
+// First row of the window for a scroll position.
+export const windowStart = (scrollTop, rowHeight) => {
+  const first = Math.floor(scrollTop / rowHeight) - OVERSCAN;
+  return Math.max(0, Math.floor(first / OVERSCAN) * OVERSCAN);
+};
+
+// Returns { start, end, paddingTop, paddingBottom } for `count` rows; rows
+// start..end-1 are rendered.
+export const virtualWindow = (count, { start, viewportHeight, rowHeight }) => {
+  if (count <= VIRTUALIZE_FROM) return { start: 0, end: count, paddingTop: 0, paddingBottom: 0 };
+  const first = Math.min(start, Math.max(0, count - OVERSCAN));
+  const end = Math.min(count, first + Math.ceil(viewportHeight / rowHeight) + 3 * OVERSCAN);
+  return { start: first, end, paddingTop: first * rowHeight, paddingBottom: (count - end) * rowHeight };
+};
@@ -0,0 +1,60 @@
+import { linkHierarchy, calculateHierarchyScores, formatPercentage } from './scoring.js';
+
+// --- Sibling Weight Validation ---
+// Every group of siblings (children of one parent, or the top-level rows)
+// should carry weights that add up to 100%.
+
+export const WEIGHT_TOLERANCE = 0.001;
+
+const groupSiblings = (data) => {
+  const { rootChildren, nodeMap } = linkHierarchy(data);
+  const groups = [{ parentCid: null, children: rootChildren }];
+  Object.values(nodeMap).forEach(node => {
+    if (node.children.length > 0) groups.push({ parentCid: node.CID, children: node.children });
+  });
+  return groups;
+};
+
+const sumWeights = (rows) => rows.reduce((sum, row) => sum + (row['Calculated Weights'] || 0), 0);
+
+// Returns one issue per sibling group whose weights do not total 100%.
+export const validateSiblingWeights = (data) => {
+  return groupSiblings(data)
+    .map(({ parentCid, children }) => ({
+      parentCid,
+      cids: children.map(c => c.CID),
+      total: sumWeights(children)
+    }))
+    .filter(group => group.cids.length > 0 && Math.abs(group.total - 1) > WEIGHT_TOLERANCE);
+};
+
+// CID -> issue of the sibling group that row belongs to.
+export const indexWeightIssues = (issues) => {
+  const byCid = {};
+  issues.forEach(issue => issue.cids.forEach(cid => byCid[cid] = issue));
+  return byCid;
+};
+
+export const describeWeightIssue = (issue) => {
+  const group = issue.parentCid === null ? 'Top-level weights' : `Weights under ${issue.parentCid}`;
+  return `${group} total ${formatPercentage(issue.total, 1)} (expected 100%)`;
+};
+
+// Scales every off-balance sibling group so it totals exactly 100%. Groups
+// whose weights are all zero are split evenly.
+export const rebalanceWeights = (data, options) => {
+  const rebalanced = {};
+  validateSiblingWeights(data).forEach(issue => {
+    issue.cids.forEach(cid => {
+      const row = data.find(d => d.CID === cid);
+      rebalanced[cid] = issue.total > 0
+        ? (row['Calculated Weights'] || 0) / issue.total
+        : 1 / issue.cids.length;
+    });
+  });
+
+  const newData = data.map(row => {
+    return row.CID in rebalanced ? { ...row, 'Calculated Weights': rebalanced[row.CID] } : row;
+  });
+  return calculateHierarchyScores(newData, options);
+};
@@ -0,0 +1,69 @@
+import { calculateAbsoluteWeights, updateScoredRows, isScoredScore } from './scoring.js';
+import { scoreMaturity } from './schemes.js';
+
+// --- What-if Analysis ---
+// A sandbox of hypothetical answers (CID -> maturity index) kept apart from
+// the real ones. Projecting it rescores a copy of the data with those levels
+// in place of the answers; ranking lists the leaves whose next level would
+// add most to the overall score.
+
+const isLeaf = (row) => !row.children || row.children.length === 0;
+
+const hasLevel = (row, index) => String(row.maturities?.[index] ?? '').trim() !== '';
+
+// Level a leaf stands at: its selection or, for respondent rows, the highest
+// level scoring no more than the aggregate. -1 when unanswered.
+export const currentLevel = (row, options = {}) => {
+  if (!row.responses) return row.selectedMaturityIndex >= 0 ? row.selectedMaturityIndex : -1;
+  if (!isScoredScore(row.Score)) return -1;
+  const scheme = row.scoring || options.scoring;
+  let level = -1;
+  (row.maturities || []).forEach((_, index) => {
+    if (hasLevel(row, index) && scoreMaturity(row.maturities, index, scheme) <= row.Score + 1e-9) level = index;
+  });
+  return level;
+};
+
+// The next filled maturity column above the current level, or -1 at the top.
+export const nextLevel = (row, options = {}) => {
+  const count = (row.maturities || []).length;
+  for (let index = currentLevel(row, options) + 1; index < count; index++) {
+    if (hasLevel(row, index)) return index;
+  }
+  return -1;
+};
+
+// Rescores `scoredData` with each sandboxed leaf answered at its sandbox
+// level (respondent answers included). CIDs no longer in the data, branches
+// and Not Applicable rows are ignored. Rows the sandbox does not reach are
+// returned as they are, so `projected[i] !== scoredData[i]` marks a change.
+export const projectWhatIf = (scoredData, levels, options = {}) => {
+  const patches = {};
+  scoredData.forEach((row, index) => {
+    const level = levels[row.CID];
+    if (level >= 0 && isLeaf(row) && !row.notApplicable) {
+      patches[index] = { selectedMaturityIndex: level, responses: undefined, Spread: undefined };
+    }
+  });
+  return Object.keys(patches).length ? updateScoredRows(scoredData, patches, options) : scoredData;
+};
+
+// Leaves ranked by how much raising them one level would add to the overall
+// score: the score gained times the share of the root the leaf carries, which
+// is exact since parents roll up linearly. Leaves already at their top level
+// or gaining nothing are left out.
+export const rankImprovements = (scoredData, options = {}) => {
+  const absoluteWeights = calculateAbsoluteWeights(scoredData, options);
+  return scoredData
+    .filter(row => isLeaf(row) && !row.Excluded)
+    .map(row => {
+      const level = nextLevel(row, options);
+      if (level < 0) return null;
+      const score = isScoredScore(row.Score) ? row.Score : 0;
+      const gain = scoreMaturity(row.maturities, level, row.scoring || options.scoring) - score;
+      const weight = absoluteWeights[row.CID] || 0;
+      return { row, level, gain, weight, impact: gain * weight };
+    })
+    .filter(item => item && item.impact > 0)
+    .sort((a, b) => b.impact - a.impact || b.gain - a.gain);
+};
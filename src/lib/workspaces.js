@@ -0,0 +1,104 @@
+// --- Workspaces ---
+// Assessments persisted in the browser (localStorage) so a refresh or crash
+// loses nothing. Each workspace stores one saved-format document; a small
+// index keeps the list, and an `unsaved` flag records edits made since the
+// workspace was last written out with Save JSON.
+
+const INDEX_KEY = 'sunburst:workspaces';
+const ACTIVE_KEY = 'sunburst:active-workspace';
+const documentKey = (id) => `sunburst:workspace:${id}`;
+
+// Accessing localStorage throws when the browser blocks site storage.
+export const defaultStorage = () => {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch {
+    return null;
+  }
+};
+
+let workspaceCounter = 0;
+
+const newWorkspaceId = () => {
+  workspaceCounter += 1;
+  return `ws-${Date.now().toString(36)}-${workspaceCounter}`;
+};
+
+const readJson = (storage, key, fallback) => {
+  try {
+    const text = storage.getItem(key);
+    return text ? JSON.parse(text) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+// Newest first.
+export const listWorkspaces = (storage = defaultStorage()) => {
+  if (!storage) return [];
+  const index = readJson(storage, INDEX_KEY, []);
+  return (Array.isArray(index) ? index : []).sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+};
+
+const writeIndex = (storage, index) => storage.setItem(INDEX_KEY, JSON.stringify(index));
+
+const updateEntry = (storage, id, patch) => {
+  const index = listWorkspaces(storage);
+  const entry = index.find(w => w.id === id);
+  writeIndex(storage, entry ? index.map(w => w.id === id ? { ...w, ...patch } : w) : [...index, { id, ...patch }]);
+};
+
+export const readWorkspace = (id, storage = defaultStorage()) => storage ? readJson(storage, documentKey(id), null) : null;
+
+export const getActiveWorkspaceId = (storage = defaultStorage()) => storage ? storage.getItem(ACTIVE_KEY) : null;
+
+export const setActiveWorkspaceId = (id, storage = defaultStorage()) => {
+  if (storage) storage.setItem(ACTIVE_KEY, id);
+};
+
+// Documents differ only by their save timestamp when nothing was edited.
+const contentOf = (surveyDocument) => JSON.stringify({ ...surveyDocument, meta: { ...surveyDocument.meta, updatedAt: null } });
+
+// Writes the document if its content changed and flags the workspace as
+// having unsaved work. Returns whether anything was written; throws when the
+// browser refuses to store it (e.g. quota exceeded).
+export const saveWorkspace = (id, surveyDocument, storage = defaultStorage()) => {
+  if (!storage) return false;
+  const previous = readWorkspace(id, storage);
+  if (previous && contentOf(previous) === contentOf(surveyDocument)) return false;
+  storage.setItem(documentKey(id), JSON.stringify(surveyDocument));
+  updateEntry(storage, id, { title: surveyDocument.meta.title, updatedAt: surveyDocument.meta.updatedAt, unsaved: true });
+  return true;
+};
+
+// Creates a workspace holding `surveyDocument`, counted as saved until edited.
+export const createWorkspace = (surveyDocument, storage = defaultStorage()) => {
+  const id = newWorkspaceId();
+  if (storage) {
+    storage.setItem(documentKey(id), JSON.stringify(surveyDocument));
+    updateEntry(storage, id, { title: surveyDocument.meta.title, updatedAt: surveyDocument.meta.updatedAt, unsaved: false });
+    setActiveWorkspaceId(id, storage);
+  }
+  return id;
+};
+
+export const markWorkspaceExported = (id, storage = defaultStorage()) => {
+  if (storage) updateEntry(storage, id, { unsaved: false, exportedAt: new Date().toISOString() });
+};
+
+export const deleteWorkspace = (id, storage = defaultStorage()) => {
+  if (!storage) return;
+  storage.removeItem(documentKey(id));
+  writeIndex(storage, listWorkspaces(storage).filter(w => w.id !== id));
+  if (getActiveWorkspaceId(storage) === id) storage.removeItem(ACTIVE_KEY);
+};
+
+// The workspace to reopen on startup: the last active one, if it still
+// exists. `needsRecovery` is true when it holds work never saved to a file.
+export const findStartupWorkspace = (storage = defaultStorage()) => {
+  const id = getActiveWorkspaceId(storage);
+  const entry = id && listWorkspaces(storage).find(w => w.id === id);
+  const surveyDocument = entry && readWorkspace(id, storage);
+  if (!surveyDocument) return null;
+  return { ...entry, document: surveyDocument, needsRecovery: Boolean(entry.unsaved) };
+};
@@ -2,7 +2,19 @@ import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 
+// Lists the built scripts, styles and other assets in precache-manifest.json,
+// which public/sw.js caches on install so the first visit already works
+// offline.
+const precacheManifest = () => ({
+  name: 'precache-manifest',
+  apply: 'build',
+  generateBundle(_options, bundle) {
+    const files = Object.keys(bundle).filter(file => !file.endsWith('.html') && !file.endsWith('.map'))
+    this.emitFile({ type: 'asset', fileName: 'precache-manifest.json', source: JSON.stringify(files) })
+  },
+})
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react(),tailwindcss(),],
+  plugins: [react(),tailwindcss(),precacheManifest(),],
 })